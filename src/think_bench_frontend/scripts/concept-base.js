@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+// Command line import/export against a local replica.
+//
+//   npm run concept-base -- export --format ttl --out backup.ttl
+//   npm run concept-base -- import taxonomy.csv
+//
+// Run `dfx deploy` (or `dfx generate`) first so the backend declarations and
+// ../../.env exist. Calls are made with the anonymous identity.
+import { readFile, writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { fileURLToPath } from 'node:url';
+import { Actor, HttpAgent } from '@dfinity/agent';
+import dotenv from 'dotenv';
+import { idlFactory } from '../../declarations/think_bench_backend/think_bench_backend.did.js';
+import { ConceptBaseClient } from '../src/api/conceptBaseClient.js';
+import { FORMATS, detectFormat, fetchConceptBase, toSnapshot, serialize, parseImport, runImport } from '../src/utils/importExport.js';
+
+dotenv.config({ path: fileURLToPath(new URL('../../../.env', import.meta.url)) });
+
+const USAGE = `Usage:
+  concept-base export [--format json|csv|ttl] [--out FILE]
+  concept-base import FILE [--format json|csv|ttl]
+
+Options:
+  --host URL        Replica URL (default http://127.0.0.1:4943)
+  --canister ID     Backend canister ID (default $CANISTER_ID_THINK_BENCH_BACKEND)`;
+
+async function createClient({ host, canister }) {
+  if (!canister) throw new Error('No canister ID: pass --canister or run dfx deploy to write .env');
+  const agent = await HttpAgent.create({ host, shouldFetchRootKey: true });
+  return new ConceptBaseClient(Actor.createActor(idlFactory, { agent, canisterId: canister }));
+}
+
+async function exportCommand(client, { format = 'json', out }) {
+  if (!(format in FORMATS)) throw new Error(`Unknown format: ${format}`);
+  const text = serialize(toSnapshot(await fetchConceptBase(client)), format);
+  if (out) {
+    await writeFile(out, text);
+    console.error(`Wrote ${out}`);
+  } else {
+    process.stdout.write(text);
+  }
+}
+
+async function importCommand(client, file, { format }) {
+  if (!file) throw new Error('Missing file to import');
+  const resolvedFormat = format ?? detectFormat(file);
+  if (!resolvedFormat) throw new Error(`Cannot detect format of ${file}; pass --format`);
+
+  const parsed = parseImport(await readFile(file, 'utf8'), resolvedFormat);
+  const result = await runImport(client, parsed, { onProgress: stage => console.error(`${stage}...`) });
+
+  console.log(`Created ${result.conceptsCreated} concepts and ${result.typesCreated} relationship types`);
+  console.log(`Asserted ${result.relationshipsAsserted} relationships`);
+  for (const { row, message } of result.errors) {
+    console.log(`${row === null ? '-' : `${file}:${row}`}: ${message}`);
+  }
+  return result.errors.length === 0;
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      format: { type: 'string' },
+      out: { type: 'string' },
+      host: { type: 'string', default: 'http://127.0.0.1:4943' },
+      canister: { type: 'string', default: process.env.CANISTER_ID_THINK_BENCH_BACKEND },
+      help: { type: 'boolean' },
+    },
+  });
+  const [command, file] = positionals;
+
+  if (values.help || !command) {
+    console.log(USAGE);
+    return;
+  }
+
+  const client = await createClient(values);
+  switch (command) {
+    case 'export':
+      await exportCommand(client, values);
+      break;
+    case 'import':
+      if (!(await importCommand(client, file, values))) process.exitCode = 1;
+      break;
+    default:
+      throw new Error(`Unknown command: ${command}\n\n${USAGE}`);
+  }
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exitCode = 1;
+});
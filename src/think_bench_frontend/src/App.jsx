@@ -1,48 +1,151 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { think_bench_backend, createActor as createBackendActor, canisterId as backendCanisterId } from 'declarations/think_bench_backend';
 import { AuthClient } from '@dfinity/auth-client';
 import { Actor, HttpAgent } from '@dfinity/agent';
+import { ConceptGraph } from './components/ConceptGraph';
+import { HierarchyBrowser } from './components/HierarchyBrowser';
+import { InstanceList } from './components/InstanceList';
+import { PathFinder } from './components/PathFinder';
+import { InferenceExplainer } from './components/InferenceExplainer';
+import { RelationshipTypeManager } from './components/RelationshipTypeManager';
+import { ImportExportPanel } from './components/ImportExportPanel';
+import { ConceptList } from './components/ConceptList';
+import { SearchPanel } from './components/SearchPanel';
+import { ConceptEditor } from './components/ConceptEditor';
+import { RelationshipEditor } from './components/RelationshipEditor';
+import { InheritedProperties } from './components/InheritedProperties';
+import { ChangeTimeline } from './components/ChangeTimeline';
+import { RelationshipForm } from './components/RelationshipForm';
+import { DeletionDialog } from './components/DeletionDialog';
+import { SharingDialog } from './components/SharingDialog';
+import { MergeDialog } from './components/MergeDialog';
+import { CreateConceptForm } from './components/CreateConceptForm';
+import { RoleManager } from './components/RoleManager';
+import { QueryConsole } from './components/QueryConsole';
+import { QuickAssertBar } from './components/QuickAssertBar';
+import { ConflictsView } from './components/ConflictsView';
+import { CreatorLabel } from './components/CreatorLabel';
+import { useRelationshipTypes } from './hooks/useRelationshipTypes';
+import { useConceptPages } from './hooks/useConceptPages';
+import { useUrlFilters } from './hooks/useUrlFilters';
+import { useDebouncedValue } from './hooks/useDebouncedValue';
+import { useReliabilities } from './hooks/useReliabilities';
+import { useChangeFeed } from './hooks/useChangeFeed';
+import { ProbabilityFormatContext, useProbabilityFormatSetting } from './hooks/useProbabilityFormat';
+import { ConceptBaseClient, MAX_PAGE_SIZE, DELETION_MODES, reliabilityWeight } from './api/conceptBaseClient';
+import { toConceptFilters, toRelationshipFilters, matchesRelationshipFilters } from './utils/searchFilters';
+import { summarizeChanges, mergeRelationships } from './utils/changeFeed';
+import { DISPLAY_FORMATS, multiply } from './utils/fraction';
+import { getRelationshipTypeName, getConceptName, formatProbability, getInferenceKind, isDeprecatedType, describeEditError } from './utils/format';
+import { mockIdentity } from './mock/identity';
 import './App.scss';
 
 // Constants for mainnet deployment
 const IDENTITY_PROVIDER = 'https://identity.ic0.app';
 
+// `npm run start:mock` runs against the in-memory canister in src/mock,
+// where login skips Internet Identity
+const USE_MOCK_BACKEND = import.meta.env.VITE_MOCK_BACKEND === 'true';
+
+// Inference options for the details pane; explanations must reuse them
+// so they resolve the same chain that was displayed
+const INFERENCE_OPTIONS = { maxDepth: 3 };
+
+// Typing in the search box or filter drawer only queries once input pauses
+const FILTER_DELAY_MS = 300;
+
+// How long the header's "updated by" note stays after the last remote change
+const REMOTE_UPDATE_MS = 8000;
+
+// Choices for the header's probability display select, keyed by DISPLAY_FORMATS
+const PROBABILITY_FORMAT_LABELS = {
+  fraction: 'Fraction (17/20)',
+  percent: 'Percent (85%)',
+  decimal: 'Decimal (0.85)',
+  category: 'In words (mostly)',
+};
+
 function App() {
   const [authClient, setAuthClient] = useState(null);
   const [isAuthenticated, setIsAuthenticated] = useState(false);
   const [identity, setIdentity] = useState(null);
   const [principal, setPrincipal] = useState(null);
+  // The signed-in principal's role: 'Admin', 'Editor' or 'Viewer'
+  const [userRole, setUserRole] = useState(null);
   const [actor, setActor] = useState(createBackendActor(backendCanisterId));
-  const [concepts, setConcepts] = useState([]);
+  const client = useMemo(() => new ConceptBaseClient(actor), [actor]);
+  const [conceptSort, setConceptSort] = useState({ sortBy: 'Name', order: 'Ascending' });
+  const [filters, setFilters] = useUrlFilters();
+  const [probabilityFormat, setProbabilityFormat] = useProbabilityFormatSetting();
+  const debouncedFilters = useDebouncedValue(filters, FILTER_DELAY_MS);
+  // "Only mine" filters by the logged-in principal
+  const currentPrincipal = useMemo(() => identity?.getPrincipal() ?? null, [identity]);
+  const conceptFilters = useMemo(
+    () => toConceptFilters(debouncedFilters, currentPrincipal),
+    [debouncedFilters, currentPrincipal]
+  );
+  const relationshipFilters = useMemo(
+    () => toRelationshipFilters(debouncedFilters, currentPrincipal),
+    [debouncedFilters, currentPrincipal]
+  );
+  // Explanations must reuse the options the displayed inference ran with. The
+  // details pane shows what the concept is and what is (transitively) it
+  const inferenceOptions = useMemo(
+    () => ({ ...INFERENCE_OPTIONS, direction: 'Both', type: relationshipFilters.type, minProbability: relationshipFilters.minProbability }),
+    [relationshipFilters]
+  );
+  const conceptPages = useConceptPages(client, { ...conceptSort, filters: conceptFilters });
+  const { concepts, reload: loadConcepts } = conceptPages;
+  // Endpoints of the selected concept's relationships that the sidebar has not paged in yet
+  const [relatedConcepts, setRelatedConcepts] = useState([]);
+  const knownConcepts = useMemo(() => [...concepts, ...relatedConcepts], [concepts, relatedConcepts]);
   const [selectedConcept, setSelectedConcept] = useState(null);
+  // 'Class' or 'Individual'; only classes get the Instances tab
+  const [selectedKind, setSelectedKind] = useState(null);
+  const [editingRelationshipId, setEditingRelationshipId] = useState(null);
+  // { concept } or { relationship } awaiting confirmation in the deletion dialog
+  const [pendingDeletion, setPendingDeletion] = useState(null);
+  // Concept whose co-editors the sharing dialog is showing
+  const [sharingConcept, setSharingConcept] = useState(null);
+  // Concept the merge dialog is finding a duplicate for
+  const [mergingConcept, setMergingConcept] = useState(null);
+  // Last soft-deleted concept, offered for undo
+  const [trashedConcept, setTrashedConcept] = useState(null);
   const [relationships, setRelationships] = useState([]);
+  // Relationships the selected concept inherits from its IS-A ancestors
+  const [inheritedRelationships, setInheritedRelationships] = useState([]);
+  const [allRelationships, setAllRelationships] = useState([]);
+  // Reliability of everyone shown in the details pane, refetched with its relationships
+  const reliabilities = useReliabilities(client, useMemo(() => [
+    ...(selectedConcept ? [selectedConcept.creator.principalId] : []),
+    ...relationships.map(rel => rel.relationship.creator.principalId),
+  ], [selectedConcept, relationships]));
+  const [viewMode, setViewMode] = useState('details');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
-  const [newConceptData, setNewConceptData] = useState({
-    name: '',
-    description: '',
-  });
-  const [newRelationshipData, setNewRelationshipData] = useState({
-    targetConceptId: '',
-    relationshipTypeId: '0', // Default to IS-A
-    probability: { numerator: 1, denominator: 1 },
-    confidence: { numerator: 1, denominator: 1 }  // Add default confidence
-  });
-
-  // Relationship type constants
-  const RELATIONSHIP_TYPES = {
-    IS_A: '0',
-    HAS_A: '1',
-    PART_OF: '2',
-    PROPERTY_OF: '3'
-  };
+  const { relationshipTypes, loadRelationshipTypes } = useRelationshipTypes(client);
+  // Who last changed something from another session, for the header note
+  const [remoteUpdate, setRemoteUpdate] = useState(null);
 
   // Initialize auth client
   useEffect(() => {
     initAuth();
   }, []);
 
+  // The mock canister takes the caller from the identity the actor is created with
+  const signInToMock = () => {
+    const identity = mockIdentity();
+    setIsAuthenticated(true);
+    setIdentity(identity);
+    setPrincipal(identity.getPrincipal().toString());
+    setActor(createBackendActor(backendCanisterId, { agentOptions: { identity } }));
+  };
+
   const initAuth = async () => {
+    if (USE_MOCK_BACKEND) {
+      signInToMock();
+      return;
+    }
     try {
       const client = await AuthClient.create();
       const isAuthenticated = await client.isAuthenticated();
@@ -65,6 +168,12 @@ function App() {
   };
 
   const login = async () => {
+    if (USE_MOCK_BACKEND) {
+      signInToMock();
+      loadRelationshipTypes();
+      loadAllRelationships();
+      return;
+    }
     try {
       await authClient?.login({
         identityProvider: IDENTITY_PROVIDER,
@@ -78,8 +187,9 @@ function App() {
           agent.fetchRootKey();  // Needed for local development
           const backendActor = createBackendActor(backendCanisterId, { agentOptions: { identity } }); 
           setActor(backendActor);
-          // Load concepts after successful login
-          loadConcepts();
+          // Concepts reload through the client change
+          loadRelationshipTypes();
+          loadAllRelationships();
         },
       });
     } catch (error) {
@@ -93,158 +203,141 @@ function App() {
       setIsAuthenticated(false);
       setIdentity(null);
       setPrincipal(null);
+      setUserRole(null);
       // Clear application state
-      setConcepts([]);
+      conceptPages.clear();
       setSelectedConcept(null);
       setRelationships([]);
+      setInheritedRelationships([]);
+      setAllRelationships([]);
     } catch (error) {
       console.error('Logout failed:', error);
     }
   };
 
-  // Load concepts on mount
+  const loadUserRole = async () => {
+    try {
+      setUserRole(principal ? await client.getRole(principal) : null);
+    } catch (error) {
+      console.error('Error loading role:', error);
+    }
+  };
+
+  // The role decides which editing controls are offered
   useEffect(() => {
-    initializeRelationshipTypes();
-    loadConcepts();
+    loadUserRole();
+  }, [client, principal]);
+
+  // Load relationship types on mount
+  useEffect(() => {
+    loadRelationshipTypes();
   }, []);
 
-  // Initialize basic relationship types
-  const initializeRelationshipTypes = async () => {
-    try {
-      // Define the basic relationship types
-      const basicTypes = [
-        {
-          name: "IS-A",
-          description: ["Basic inheritance relationship"],
-          properties: {
-            logical: {
-              transitive: true,
-              symmetric: false,
-              reflexive: false,
-              irreflexive: true,
-            },
-            inheritance: {
-              inheritable: true,
-              probabilityMode: { 'MULTIPLY': null },
-            },
-            validation: [{ 'NoSelfReference': null }],
-          },
-          metadata: [],
-        },
-        {
-          name: "HAS-A",
-          description: ["Composition relationship"],
-          properties: {
-            logical: {
-              transitive: false,
-              symmetric: false,
-              reflexive: false,
-              irreflexive: true,
-            },
-            inheritance: {
-              inheritable: true,
-              probabilityMode: { 'MULTIPLY': null },
-            },
-            validation: [{ 'NoSelfReference': null }],
-          },
-          metadata: [],
-        },
-        {
-          name: "PART-OF",
-          description: ["Part-whole relationship"],
-          properties: {
-            logical: {
-              transitive: true,
-              symmetric: false,
-              reflexive: false,
-              irreflexive: true,
-            },
-            inheritance: {
-              inheritable: false,
-              probabilityMode: { 'MULTIPLY': null },
-            },
-            validation: [{ 'NoSelfReference': null }],
-          },
-          metadata: [],
-        },
-        {
-          name: "PROPERTY-OF",
-          description: ["Property relationship"],
-          properties: {
-            logical: {
-              transitive: false,
-              symmetric: false,
-              reflexive: false,
-              irreflexive: true,
-            },
-            inheritance: {
-              inheritable: true,
-              probabilityMode: { 'MULTIPLY': null },
-            },
-            validation: [{ 'NoSelfReference': null }],
-          },
-          metadata: [],
-        },
-      ];
+  // Load relationships on mount and whenever the relationship filters change
+  useEffect(() => {
+    loadAllRelationships();
+    if (selectedConcept) loadRelationships(selectedConcept.id);
+  }, [relationshipFilters]);
 
-      // Create each relationship type if it doesn't exist
-      for (const type of basicTypes) {
-        try {
-          await actor.createRelationshipType(
-            type.name,
-            type.description,
-            type.properties,
-            type.metadata
-          );
-        } catch (error) {
-          // Ignore errors - type might already exist
-          console.log(`Note: ${type.name} type might already exist`);
-        }
+  // Load the first page of concepts on mount and whenever the sort, filters or client change
+  useEffect(() => {
+    loadConcepts();
+  }, [loadConcepts]);
+
+  // Changes other principals make are merged into what is loaded rather than
+  // reloading it; our own are already there, as every action reloads
+  const applyChanges = (changes) => {
+    const remote = changes.filter(change => change.principal.toString() !== principal);
+    if (remote.length === 0) return;
+    const summary = summarizeChanges(remote);
+    if (summary.concepts.size > 0) {
+      conceptPages.applyChanges(summary.concepts);
+      const selected = selectedConcept && summary.concepts.get(BigInt(selectedConcept.id));
+      if (selected) {
+        setSelectedConcept(selected.after && { ...selected.after, id: selected.after.id.toString() });
       }
-    } catch (err) {
-      console.error('Error initializing relationship types:', err);
     }
+    if (summary.relationships.size > 0) {
+      const typeId = relationshipFilters.type === undefined
+        ? undefined
+        : relationshipTypes.find(t => t.name === relationshipFilters.type)?.id ?? null;
+      setAllRelationships(previous => mergeRelationships(
+        previous,
+        summary.relationships,
+        rel => matchesRelationshipFilters(rel, relationshipFilters, typeId)
+      ));
+      // Any new or changed edge can change what the selected concept infers
+      if (selectedConcept) loadRelationships(selectedConcept.id);
+    }
+    if (summary.typesChanged) loadRelationshipTypes();
+    if (summary.rolesChanged) loadUserRole();
+    setRemoteUpdate({ principal: remote[remote.length - 1].principal, count: remote.length });
   };
 
-  // Load concepts from backend
-  const loadConcepts = async () => {
+  useChangeFeed(client, {
+    onChanges: applyChanges,
+    onReset: () => Promise.all([loadConcepts(), loadAllRelationships(), loadRelationshipTypes()]),
+    enabled: isAuthenticated,
+  });
+
+  useEffect(() => {
+    if (!remoteUpdate) return;
+    const timer = setTimeout(() => setRemoteUpdate(null), REMOTE_UPDATE_MS);
+    return () => clearTimeout(timer);
+  }, [remoteUpdate]);
+
+  // Load every direct relationship for the graph view
+  const loadAllRelationships = async () => {
     try {
-      setLoading(true);
-      const result = await actor.queryConcepts({
-        namePattern: [],  // Optional: none
-        metadata: [],     // Empty vec
-        hasInstances: [], // Optional: none
-        isInstance: [],   // Optional: none
-        creator: []       // Optional: none, include all creators
-      });
-      if ('ok' in result) {
-        setConcepts(result.ok.items);
-      } else {
-        setError('Failed to load concepts');
-      }
+      setAllRelationships(await client.queryAllRelationships(relationshipFilters));
     } catch (err) {
       setError(err.message);
-    } finally {
-      setLoading(false);
     }
   };
 
-  // Create new concept
-  const createConcept = async (e) => {
-    e.preventDefault();
+  // Load relationships for a concept
+  const loadRelationships = async (conceptId) => {
     try {
       setLoading(true);
-      const result = await actor.createConcept(
-        newConceptData.name,
-        newConceptData.description ? [newConceptData.description] : [],
-        []
-      );
-      if ('ok' in result) {
-        setNewConceptData({ name: '', description: '' });
-        loadConcepts();
-      } else {
-        setError('Failed to create concept');
+      // Relationships from and to this concept, direct and inferred
+      const inferredResult = await client.infer(conceptId, { ...inferenceOptions, pageSize: MAX_PAGE_SIZE });
+      const inheritedResult = await client.inferInherited(conceptId, { ...inferenceOptions, pageSize: MAX_PAGE_SIZE });
+      // Inference has no upper probability bound, so apply it here
+      const { maxProbability } = relationshipFilters;
+      const belowMax = ({ relationship: { probability } }) =>
+        maxProbability === undefined ||
+        Number(probability.numerator) <= maxProbability * Number(probability.denominator);
+      // Inherited edges get their own section, labeled with their ancestor
+      const inferred = inferredResult.items.filter(rel => belowMax(rel) && getInferenceKind(rel.source) !== 'Inherited');
+      const inherited = inheritedResult.items.filter(belowMax);
+
+      // Inference follows one relationship type, so incoming assertions of
+      // other types are listed as they were asserted
+      const incoming = (await client.queryAllRelationships({ ...relationshipFilters, to: conceptId }))
+        .filter(rel => !inferred.some(({ source }) => source.Direct === rel.id));
+
+      // Combine both sets of relationships
+      const combined = [
+        ...inferred,
+        // Convert direct relationships to the same format as inferred ones
+        ...incoming.map(rel => ({
+          relationship: rel,
+          source: { Direct: rel.id }
+        }))
+      ];
+      setRelationships(combined);
+      setInheritedRelationships(inherited);
+
+      const loadedIds = new Set(concepts.map(c => c.id.toString()));
+      const missingIds = new Set();
+      for (const { relationship, source } of [...combined, ...inherited]) {
+        const ids = [relationship.fromConceptId, relationship.toConceptId];
+        if (source.Inherited) ids.push(source.Inherited.ancestor);
+        for (const id of ids) {
+          if (!loadedIds.has(id.toString())) missingIds.add(id.toString());
+        }
       }
+      setRelatedConcepts(await Promise.all([...missingIds].map(id => client.getConcept(id))));
     } catch (err) {
       setError(err.message);
     } finally {
@@ -252,383 +345,557 @@ function App() {
     }
   };
 
-  // Load relationships for a concept
-  const loadRelationships = async (conceptId) => {
+  const loadSelectedKind = async (conceptId) => {
     try {
-      setLoading(true);
-      // Get outgoing relationships (where this concept is the source)
-      const outgoingResult = await actor.inferRelationships({
-        startingConcept: conceptId,
-        relationshipType: [],
-        maxDepth: [3],
-        minProbability: [],
-        minConfidence: []  // Add empty optional for minConfidence
-      });
-
-      // Get incoming relationships (where this concept is the target)
-      const incomingResult = await actor.queryRelationships({
-        fromConceptId: [],
-        toConceptId: [conceptId],
-        relationshipTypeId: [],
-        minProbability: [],
-        maxProbability: [],
-        metadata: [],
-        creator: []  // Optional: none, include all creators
-      });
-      
-      if ('ok' in outgoingResult && 'ok' in incomingResult) {
-        // Combine both sets of relationships
-        const allRelationships = [
-          ...outgoingResult.ok.items,
-          // Convert direct relationships to the same format as inferred ones
-          ...incomingResult.ok.items.map(rel => ({
-            relationship: rel,
-            source: { tag: 'Direct', value: rel.id }
-          }))
-        ];
-        setRelationships(allRelationships);
-      } else {
-        setError('Failed to load relationships');
-      }
+      setSelectedKind(await client.getConceptKind(conceptId));
     } catch (err) {
       setError(err.message);
-    } finally {
-      setLoading(false);
     }
   };
 
+  useEffect(() => {
+    setSelectedKind(null);
+    if (selectedConcept) loadSelectedKind(selectedConcept.id);
+  }, [client, selectedConcept?.id]);
+
   // Handle concept selection
   const handleConceptSelect = (concept) => {
     setSelectedConcept({
       ...concept,
       id: concept.id.toString()  // Store ID as string
     });
+    setEditingRelationshipId(null);
     loadRelationships(concept.id);  // Motoko function expects BigInt
   };
 
-  // Create new relationship
-  const createRelationship = async (e) => {
-    e.preventDefault();
-    if (!selectedConcept) return;
-
+  // Refresh the selected concept after an inline edit
+  const handleConceptSaved = async (conceptId) => {
     try {
-      setLoading(true);
-      setError(null); // Clear any previous errors
+      const concept = await client.getConcept(conceptId);
+      setSelectedConcept({ ...concept, id: concept.id.toString() });
+      loadConcepts();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
 
-      // Validate probability values
-      const { numerator, denominator } = newRelationshipData.probability;
-      if (denominator <= 0 || numerator > denominator) {
-        setError('Invalid probability: numerator must be less than or equal to denominator, and denominator must be positive');
-        return;
-      }
+  const handleRelationshipSaved = () => {
+    setEditingRelationshipId(null);
+    loadRelationships(selectedConcept.id);
+    loadAllRelationships();
+  };
 
-      const result = await actor.assertRelationship(
-        BigInt(selectedConcept.id),
-        BigInt(newRelationshipData.targetConceptId),
-        BigInt(newRelationshipData.relationshipTypeId),
-        {
-          numerator: Number(newRelationshipData.probability.numerator),
-          denominator: Number(newRelationshipData.probability.denominator)
-        },
-        {
-          numerator: Number(newRelationshipData.confidence.numerator),
-          denominator: Number(newRelationshipData.confidence.denominator)
-        },
-        [] // Optional metadata: none
-      );
-      
-      if ('ok' in result) {
-        // Reset form and reload relationships
-        setNewRelationshipData({
-          targetConceptId: '',
-          relationshipTypeId: '0',
-          probability: { numerator: 1, denominator: 1 },
-          confidence: { numerator: 1, denominator: 1 }
-        });
-        await loadRelationships(BigInt(selectedConcept.id));
-      } else if ('err' in result) {
-        // Handle specific error messages from the backend
-        const errorMessage = result.err.ValidationError?.message || 
-                           result.err.NotFound || 
-                           result.err.InvalidOperation ||
-                           'Failed to create relationship';
-        setError(errorMessage);
-      }
+  // A revert can change the concept itself or one of its relationships
+  const handleReverted = () => {
+    handleConceptSaved(selectedConcept.id);
+    handleRelationshipSaved();
+  };
+
+  const deleteConcept = async (mode) => {
+    const { concept } = pendingDeletion;
+    await client.deleteConcept(concept.id, { mode });
+    setPendingDeletion(null);
+    setSelectedConcept(null);
+    setRelationships([]);
+    setInheritedRelationships([]);
+    setTrashedConcept(mode === 'Soft' ? concept : null);
+    loadConcepts();
+    loadAllRelationships();
+  };
+
+  // The kept concept is selected, whichever side the dialog was opened on
+  const handleMerged = async (keep) => {
+    setMergingConcept(null);
+    await handleConceptSaved(keep.id);
+    loadRelationships(keep.id);
+    loadAllRelationships();
+  };
+
+  const retractRelationship = async () => {
+    await client.retractRelationship(pendingDeletion.relationship.id);
+    setPendingDeletion(null);
+    loadRelationships(selectedConcept.id);
+    loadAllRelationships();
+  };
+
+  const restoreTrashedConcept = async () => {
+    try {
+      await client.restoreConcept(trashedConcept.id);
+      setTrashedConcept(null);
+      loadConcepts();
+      loadAllRelationships();
     } catch (err) {
-      setError(err.message || 'An unexpected error occurred');
-    } finally {
-      setLoading(false);
+      setError(describeEditError(err));
     }
   };
 
+  // Asserting INSTANCE-OF can make the selected concept an individual
+  const handleRelationshipCreated = async () => {
+    await loadRelationships(selectedConcept.id);
+    loadAllRelationships();
+    loadSelectedKind(selectedConcept.id);
+  };
+
+  const handleKindChanged = () => {
+    loadSelectedKind(selectedConcept.id);
+    loadConcepts();
+  };
+
   return (
-    <div className="app">
-      <header className="header">
-        <div className="header-content">
-          <div className="header-title">
-            <h1>Think Bench</h1>
-            <p>A Concept Base for Logical Reasoning</p>
-          </div>
-          <div className="auth-section">
-            {isAuthenticated ? (
-              <div className="user-info">
-                <span className="principal">Principal: {principal?.slice(0, 10)}...</span>
-                <button onClick={logout} className="auth-button">Logout</button>
-              </div>
-            ) : (
-              <button onClick={login} className="auth-button">Login with Internet Identity</button>
+    <ProbabilityFormatContext.Provider value={probabilityFormat}>
+      <div className="app">
+        <header className="header">
+          <div className="header-content">
+            <div className="header-title">
+              <h1>Think Bench</h1>
+              <p>A Concept Base for Logical Reasoning</p>
+            </div>
+            {remoteUpdate && (
+              <span className="remote-update" role="status">
+                Updated by {remoteUpdate.principal.toString().slice(0, 10)}...
+                {remoteUpdate.count > 1 && ` (${remoteUpdate.count} changes)`}
+              </span>
             )}
+            <label className="probability-format">
+              Show probabilities as
+              <select value={probabilityFormat} onChange={(e) => setProbabilityFormat(e.target.value)}>
+                {DISPLAY_FORMATS.map(format => (
+                  <option key={format} value={format}>{PROBABILITY_FORMAT_LABELS[format]}</option>
+                ))}
+              </select>
+            </label>
+            <div className="auth-section">
+              {isAuthenticated ? (
+                <div className="user-info">
+                  <span className="principal">Principal: {principal?.slice(0, 10)}...</span>
+                  {userRole && <span className="role">{userRole}</span>}
+                  <button onClick={logout} className="auth-button">Logout</button>
+                </div>
+              ) : (
+                <button onClick={login} className="auth-button">Login with Internet Identity</button>
+              )}
+            </div>
           </div>
-        </div>
-      </header>
-
-      <main className="main">
-        {isAuthenticated ? (
-          <>
-            <div className="sidebar">
-              <div className="create-concept">
-                <h2>Create New Concept</h2>
-                <form onSubmit={createConcept}>
-                  <input
-                    type="text"
-                    placeholder="Concept Name"
-                    value={newConceptData.name}
-                    onChange={(e) => setNewConceptData({ ...newConceptData, name: e.target.value })}
-                    required
-                  />
-                  <textarea
-                    placeholder="Description (optional)"
-                    value={newConceptData.description}
-                    onChange={(e) => setNewConceptData({ ...newConceptData, description: e.target.value })}
-                  />
-                  <button type="submit" disabled={loading}>
-                    {loading ? 'Creating...' : 'Create Concept'}
-                  </button>
-                </form>
-              </div>
-
-              <div className="concepts-list">
-                <h2>Concepts</h2>
+        </header>
+
+        <main className="main">
+          {isAuthenticated ? (
+            <>
+              <div className="sidebar">
+                <CreateConceptForm
+                  client={client}
+                  onCreated={loadConcepts}
+                  onSelect={handleConceptSelect}
+                />
+
+                <SearchPanel
+                  filters={filters}
+                  onChange={setFilters}
+                  relationshipTypes={relationshipTypes}
+                />
                 {loading && <div className="loading">Loading...</div>}
                 {error && <div className="error">{error}</div>}
-                <ul>
-                  {concepts.map((concept) => (
-                    <li
-                      key={concept.id.toString()}
-                      className={selectedConcept?.id === concept.id.toString() ? 'selected' : ''}
-                      onClick={() => handleConceptSelect(concept)}
-                    >
-                      <span className="concept-name">{concept.name}</span>
-                      {concept.description && (
-                        <span className="concept-description">{concept.description}</span>
-                      )}
-                      <span className="concept-creator">Created by: {concept.creator.principalId.toString().slice(0, 10)}...</span>
-                    </li>
-                  ))}
-                </ul>
+                <ConceptList
+                  concepts={concepts}
+                  kind={filters.kind}
+                  onKindChange={(kind) => setFilters({ ...filters, kind })}
+                  total={conceptPages.total}
+                  hasMore={conceptPages.hasMore}
+                  loading={conceptPages.loading}
+                  error={conceptPages.error}
+                  sort={conceptSort}
+                  onSortChange={setConceptSort}
+                  onLoadMore={conceptPages.loadMore}
+                  selectedConceptId={selectedConcept?.id}
+                  onSelect={handleConceptSelect}
+                />
               </div>
-            </div>
 
-            <div className="content">
-              {selectedConcept ? (
-                <div className="concept-details">
-                  <h2>{selectedConcept.name}</h2>
-                  {selectedConcept.description && <p>{selectedConcept.description}</p>}
-                  <div className="concept-creator-details">
-                    Created by: {selectedConcept.creator.principalId.toString().slice(0, 10)}...
-                  </div>
+              <div className="content">
+                <QuickAssertBar
+                  client={client}
+                  relationshipTypes={relationshipTypes}
+                  onAsserted={() => {
+                    loadConcepts();
+                    loadAllRelationships();
+                    if (selectedConcept) {
+                      loadRelationships(selectedConcept.id);
+                      loadSelectedKind(selectedConcept.id);
+                    }
+                  }}
+                />
+
+                <div className="view-toggle" role="tablist">
+                  <button
+                    type="button"
+                    role="tab"
+                    aria-selected={viewMode === 'details'}
+                    className={viewMode === 'details' ? 'active' : ''}
+                    onClick={() => setViewMode('details')}
+                  >
+                    Details
+                  </button>
+                  <button
+                    type="button"
+                    role="tab"
+                    aria-selected={viewMode === 'graph'}
+                    className={viewMode === 'graph' ? 'active' : ''}
+                    onClick={() => setViewMode('graph')}
+                  >
+                    Graph
+                  </button>
+                  <button
+                    type="button"
+                    role="tab"
+                    aria-selected={viewMode === 'hierarchy'}
+                    className={viewMode === 'hierarchy' ? 'active' : ''}
+                    onClick={() => setViewMode('hierarchy')}
+                  >
+                    Hierarchy
+                  </button>
+                  {selectedKind === 'Class' && (
+                    <button
+                      type="button"
+                      role="tab"
+                      aria-selected={viewMode === 'instances'}
+                      className={viewMode === 'instances' ? 'active' : ''}
+                      onClick={() => setViewMode('instances')}
+                    >
+                      Instances
+                    </button>
+                  )}
+                  <button
+                    type="button"
+                    role="tab"
+                    aria-selected={viewMode === 'paths'}
+                    className={viewMode === 'paths' ? 'active' : ''}
+                    onClick={() => setViewMode('paths')}
+                  >
+                    Paths
+                  </button>
+                  <button
+                    type="button"
+                    role="tab"
+                    aria-selected={viewMode === 'types'}
+                    className={viewMode === 'types' ? 'active' : ''}
+                    onClick={() => setViewMode('types')}
+                  >
+                    Types
+                  </button>
+                  <button
+                    type="button"
+                    role="tab"
+                    aria-selected={viewMode === 'import-export'}
+                    className={viewMode === 'import-export' ? 'active' : ''}
+                    onClick={() => setViewMode('import-export')}
+                  >
+                    Import / Export
+                  </button>
+                  <button
+                    type="button"
+                    role="tab"
+                    aria-selected={viewMode === 'query'}
+                    className={viewMode === 'query' ? 'active' : ''}
+                    onClick={() => setViewMode('query')}
+                  >
+                    Query
+                  </button>
+                  <button
+                    type="button"
+                    role="tab"
+                    aria-selected={viewMode === 'conflicts'}
+                    className={viewMode === 'conflicts' ? 'active' : ''}
+                    onClick={() => setViewMode('conflicts')}
+                  >
+                    Conflicts
+                  </button>
+                </div>
 
-                  <div className="create-relationship">
-                    <h3>Create New Relationship</h3>
-                    <form onSubmit={createRelationship}>
-                      <select
-                        value={newRelationshipData.targetConceptId}
-                        onChange={(e) => setNewRelationshipData({
-                          ...newRelationshipData,
-                          targetConceptId: e.target.value  // Store as string
-                        })}
-                        required
-                      >
-                        <option value="">Select Target Concept</option>
-                        {concepts
-                          .filter(c => c.id.toString() !== selectedConcept.id)
-                          .map(concept => (
-                            <option key={concept.id.toString()} value={concept.id.toString()}>
-                              {concept.name}
-                            </option>
-                          ))
-                        }
-                      </select>
-
-                      <select
-                        value={newRelationshipData.relationshipTypeId}
-                        onChange={(e) => setNewRelationshipData({
-                          ...newRelationshipData,
-                          relationshipTypeId: e.target.value
-                        })}
-                        required
-                      >
-                        <option value={RELATIONSHIP_TYPES.IS_A}>IS-A</option>
-                        <option value={RELATIONSHIP_TYPES.HAS_A}>HAS-A</option>
-                        <option value={RELATIONSHIP_TYPES.PART_OF}>PART-OF</option>
-                        <option value={RELATIONSHIP_TYPES.PROPERTY_OF}>PROPERTY-OF</option>
-                      </select>
-
-                      <div className="probability-input">
-                        <label>Probability:</label>
-                        <input
-                          type="number"
-                          min="0"
-                          max="999"
-                          value={newRelationshipData.probability.numerator}
-                          onChange={(e) => setNewRelationshipData({
-                            ...newRelationshipData,
-                            probability: {
-                              ...newRelationshipData.probability,
-                              numerator: parseInt(e.target.value, 10)
-                            }
-                          })}
-                          required
-                        />
-                        <span>/</span>
-                        <input
-                          type="number"
-                          min="1"
-                          max="999"
-                          value={newRelationshipData.probability.denominator}
-                          onChange={(e) => setNewRelationshipData({
-                            ...newRelationshipData,
-                            probability: {
-                              ...newRelationshipData.probability,
-                              denominator: parseInt(e.target.value, 10)
-                            }
-                          })}
-                          required
-                        />
-                      </div>
-
-                      <div className="confidence-input">
-                        <label>Confidence:</label>
-                        <input
-                          type="number"
-                          min="0"
-                          max="999"
-                          value={newRelationshipData.confidence.numerator}
-                          onChange={(e) => setNewRelationshipData({
-                            ...newRelationshipData,
-                            confidence: {
-                              ...newRelationshipData.confidence,
-                              numerator: parseInt(e.target.value, 10)
-                            }
-                          })}
-                          required
-                        />
-                        <span>/</span>
-                        <input
-                          type="number"
-                          min="1"
-                          max="999"
-                          value={newRelationshipData.confidence.denominator}
-                          onChange={(e) => setNewRelationshipData({
-                            ...newRelationshipData,
-                            confidence: {
-                              ...newRelationshipData.confidence,
-                              denominator: parseInt(e.target.value, 10)
-                            }
-                          })}
-                          required
-                        />
-                      </div>
-
-                      <button type="submit" disabled={loading}>
-                        {loading ? 'Creating...' : 'Create Relationship'}
-                      </button>
-                    </form>
+                {trashedConcept && (
+                  <div className="trash-notice" role="status">
+                    <span>Moved "{trashedConcept.name}" to the trash.</span>
+                    <button type="button" onClick={restoreTrashedConcept}>Undo</button>
+                    <button type="button" aria-label="Dismiss" onClick={() => setTrashedConcept(null)}>×</button>
                   </div>
-
-                  <div className="relationships">
-                    <h3>Relationships</h3>
-                    {loading && <div className="loading">Loading relationships...</div>}
-                    <ul>
-                      {relationships.map((rel) => {
-                        const isOutgoing = rel.relationship.fromConceptId.toString() === selectedConcept.id;
-                        // Skip self-referential relationships
-                        if (rel.relationship.fromConceptId.toString() === rel.relationship.toConceptId.toString()) {
-                          return null;
-                        }
-                        return (
-                          <li key={rel.relationship.id} className="relationship">
-                            <div className="relationship-type">
-                              {getRelationshipTypeName(rel.relationship.relationshipTypeId)}
-                            </div>
-                            <div className="relationship-target">
-                              {isOutgoing ? 
-                                getConceptName(concepts, rel.relationship.toConceptId) :
-                                `${getConceptName(concepts, rel.relationship.fromConceptId)} ${getRelationshipTypeName(rel.relationship.relationshipTypeId)} ${selectedConcept.name}`
-                              }
-                            </div>
-                            <div className="relationship-probability">
-                              P: {formatProbability(rel.relationship.probability)}
-                              <span className="relationship-confidence">
-                                C: {formatProbability(rel.relationship.confidence)}
-                              </span>
-                            </div>
-                            <div className="relationship-creator">
-                              Created by: {rel.relationship.creator.principalId.toString().slice(0, 10)}...
-                            </div>
-                            {rel.source.tag === 'Transitive' && (
-                              <div className="inference-info">
-                                (Inferred through transitivity)
+                )}
+
+                {pendingDeletion?.concept && (
+                  <DeletionDialog
+                    client={client}
+                    title={`Delete "${pendingDeletion.concept.name}"?`}
+                    loadImpact={() => client.previewConceptDeletion(pendingDeletion.concept.id)}
+                    modes={DELETION_MODES}
+                    confirmLabel="Delete"
+                    onConfirm={deleteConcept}
+                    onClose={() => setPendingDeletion(null)}
+                    concepts={knownConcepts}
+                    relationshipTypes={relationshipTypes}
+                  />
+                )}
+                {sharingConcept && (
+                  <SharingDialog
+                    client={client}
+                    concept={sharingConcept}
+                    principal={principal}
+                    role={userRole}
+                    onClose={() => setSharingConcept(null)}
+                  />
+                )}
+                {mergingConcept && (
+                  <MergeDialog
+                    client={client}
+                    concept={mergingConcept}
+                    concepts={concepts}
+                    onMerged={handleMerged}
+                    onClose={() => setMergingConcept(null)}
+                  />
+                )}
+                {pendingDeletion?.relationship && (
+                  <DeletionDialog
+                    client={client}
+                    title="Retract this relationship?"
+                    loadImpact={() => client.previewRetraction(pendingDeletion.relationship.id)}
+                    confirmLabel="Retract"
+                    onConfirm={retractRelationship}
+                    onClose={() => setPendingDeletion(null)}
+                    concepts={knownConcepts}
+                    relationshipTypes={relationshipTypes}
+                  />
+                )}
+
+                {viewMode === 'conflicts' ? (
+                  <ConflictsView
+                    client={client}
+                    concept={selectedConcept}
+                    concepts={knownConcepts}
+                    relationshipTypes={relationshipTypes}
+                    onResolved={() => {
+                      loadAllRelationships();
+                      if (selectedConcept) loadRelationships(selectedConcept.id);
+                    }}
+                  />
+                ) : viewMode === 'query' ? (
+                  <QueryConsole
+                    client={client}
+                    inferenceOptions={INFERENCE_OPTIONS}
+                    relationshipTypes={relationshipTypes}
+                    onSelectConcept={(concept) => {
+                      handleConceptSelect(concept);
+                      setViewMode('details');
+                    }}
+                  />
+                ) : viewMode === 'import-export' ? (
+                  <ImportExportPanel
+                    client={client}
+                    onImported={() => Promise.all([loadConcepts(), loadAllRelationships(), loadRelationshipTypes()])}
+                  />
+                ) : viewMode === 'types' ? (
+                  <>
+                    <RoleManager
+                      client={client}
+                      principal={principal}
+                      role={userRole}
+                      onRoleChange={loadUserRole}
+                    />
+                    <RelationshipTypeManager
+                      client={client}
+                      relationshipTypes={relationshipTypes}
+                      isAdmin={userRole === 'Admin'}
+                      onChange={loadRelationshipTypes}
+                    />
+                  </>
+                ) : viewMode === 'graph' ? (
+                  <ConceptGraph
+                    concepts={concepts}
+                    relationships={allRelationships}
+                    relationshipTypes={relationshipTypes}
+                    inferredRelationships={selectedConcept ? relationships : []}
+                    selectedConceptId={selectedConcept?.id}
+                    onSelect={handleConceptSelect}
+                  />
+                ) : viewMode === 'paths' ? (
+                  <PathFinder
+                    client={client}
+                    concepts={knownConcepts}
+                    relationshipTypes={relationshipTypes}
+                    initialFrom={selectedConcept}
+                    onSelect={(concept) => {
+                      handleConceptSelect(concept);
+                      setViewMode('details');
+                    }}
+                  />
+                ) : viewMode === 'hierarchy' && selectedConcept ? (
+                  <HierarchyBrowser
+                    client={client}
+                    concept={selectedConcept}
+                    concepts={knownConcepts}
+                    relationshipTypes={relationshipTypes}
+                    onSelect={handleConceptSelect}
+                  />
+                ) : viewMode === 'instances' && selectedConcept && selectedKind === 'Class' ? (
+                  <InstanceList
+                    client={client}
+                    concept={selectedConcept}
+                    concepts={knownConcepts}
+                    relationshipTypes={relationshipTypes}
+                    onSelect={handleConceptSelect}
+                  />
+                ) : selectedConcept ? (
+                  <div className="concept-details">
+                    <ConceptEditor
+                      key={selectedConcept.id}
+                      client={client}
+                      concept={selectedConcept}
+                      creatorReliability={reliabilities.get(selectedConcept.creator.principalId.toString())}
+                      kind={selectedKind}
+                      onKindChanged={handleKindChanged}
+                      onSaved={handleConceptSaved}
+                      onDelete={() => setPendingDeletion({ concept: selectedConcept })}
+                      onShare={() => setSharingConcept(selectedConcept)}
+                      onMerge={() => setMergingConcept(selectedConcept)}
+                    />
+
+                    <RelationshipForm
+                      key={selectedConcept.id}
+                      client={client}
+                      concept={selectedConcept}
+                      concepts={concepts}
+                      relationshipTypes={relationshipTypes}
+                      onCreated={handleRelationshipCreated}
+                    />
+
+                    <div className="relationships">
+                      <h3>Relationships</h3>
+                      {loading && <div className="loading">Loading relationships...</div>}
+                      <ul>
+                        {relationships.map((rel) => {
+                          const isOutgoing = rel.relationship.fromConceptId.toString() === selectedConcept.id;
+                          // Skip self-referential relationships
+                          if (rel.relationship.fromConceptId.toString() === rel.relationship.toConceptId.toString()) {
+                            return null;
+                          }
+                          return (
+                            <li
+                              key={`${getInferenceKind(rel.source)}-${rel.relationship.fromConceptId}-${rel.relationship.toConceptId}-${rel.relationship.id}`}
+                              className="relationship"
+                            >
+                              <div className="relationship-type">
+                                {getRelationshipTypeName(relationshipTypes, rel.relationship.relationshipTypeId)}
+                                {relationshipTypes.some(t => t.id === rel.relationship.relationshipTypeId && isDeprecatedType(t)) && (
+                                  <span className="deprecated-flag" title="This relationship type is deprecated">deprecated</span>
+                                )}
                               </div>
-                            )}
-                            {rel.source.tag === 'Symmetric' && (
-                              <div className="inference-info">
-                                (Inferred through symmetry)
+                              <div className="relationship-target">
+                                {isOutgoing ? 
+                                  getConceptName(knownConcepts, rel.relationship.toConceptId) :
+                                  `${getConceptName(knownConcepts, rel.relationship.fromConceptId)} ${getRelationshipTypeName(relationshipTypes, rel.relationship.relationshipTypeId)} ${selectedConcept.name}`
+                                }
                               </div>
-                            )}
-                          </li>
-                        );
-                      })}
-                    </ul>
+                              <div className="relationship-probability">
+                                P: {formatProbability(rel.relationship.probability, probabilityFormat)}
+                                <span
+                                  className="relationship-confidence"
+                                  title={getInferenceKind(rel.source) === 'Direct' ? 'Stated confidence' : 'Effective confidence along the chain'}
+                                >
+                                  C: {formatProbability(rel.relationship.confidence, probabilityFormat)}
+                                </span>
+                                {getInferenceKind(rel.source) === 'Direct' && reliabilities.has(rel.relationship.creator.principalId.toString()) && (
+                                  <span
+                                    className="relationship-confidence"
+                                    title="Confidence scaled by the creator's reliability weight, as inference uses it"
+                                  >
+                                    Effective: {formatProbability(
+                                      multiply(rel.relationship.confidence, reliabilityWeight(reliabilities.get(rel.relationship.creator.principalId.toString()))),
+                                      probabilityFormat
+                                    )}
+                                  </span>
+                                )}
+                              </div>
+                              <div className="relationship-creator">
+                                <CreatorLabel
+                                  principal={rel.relationship.creator.principalId}
+                                  reliability={reliabilities.get(rel.relationship.creator.principalId.toString())}
+                                />
+                              </div>
+                              {getInferenceKind(rel.source) === 'Direct' && editingRelationshipId !== rel.relationship.id && (
+                                <button
+                                  type="button"
+                                  className="relationship-edit"
+                                  onClick={() => setEditingRelationshipId(rel.relationship.id)}
+                                >
+                                  Edit
+                                </button>
+                              )}
+                              {getInferenceKind(rel.source) === 'Direct' && (
+                                <button
+                                  type="button"
+                                  className="relationship-retract"
+                                  onClick={() => setPendingDeletion({ relationship: rel.relationship })}
+                                >
+                                  Retract
+                                </button>
+                              )}
+                              {getInferenceKind(rel.source) === 'Direct' && editingRelationshipId === rel.relationship.id && (
+                                <RelationshipEditor
+                                  client={client}
+                                  relationship={rel.relationship}
+                                  onSaved={handleRelationshipSaved}
+                                  onCancel={() => setEditingRelationshipId(null)}
+                                />
+                              )}
+                              {getInferenceKind(rel.source) !== 'Direct' && (
+                                <InferenceExplainer
+                                  client={client}
+                                  inferred={rel}
+                                  startConceptId={selectedConcept.id}
+                                  inferenceOptions={inferenceOptions}
+                                  concepts={knownConcepts}
+                                  relationshipTypes={relationshipTypes}
+                                />
+                              )}
+                            </li>
+                          );
+                        })}
+                      </ul>
+                    </div>
+
+                    <InheritedProperties
+                      client={client}
+                      inherited={inheritedRelationships}
+                      startConceptId={selectedConcept.id}
+                      inferenceOptions={inferenceOptions}
+                      concepts={knownConcepts}
+                      relationshipTypes={relationshipTypes}
+                    />
+
+                    <ChangeTimeline
+                      key={`history-${selectedConcept.id}`}
+                      client={client}
+                      concept={selectedConcept}
+                      relationships={relationships}
+                      concepts={knownConcepts}
+                      relationshipTypes={relationshipTypes}
+                      onReverted={handleReverted}
+                    />
                   </div>
-                </div>
-              ) : (
-                <div className="no-selection">
-                  <p>Select a concept to view details</p>
-                </div>
-              )}
+                ) : (
+                  <div className="no-selection">
+                    <p>Select a concept to view details</p>
+                  </div>
+                )}
+              </div>
+            </>
+          ) : (
+            <div className="login-prompt">
+              <h2>Welcome to Think Bench</h2>
+              <p>Please login with Internet Identity to start managing concepts and relationships.</p>
+              <button onClick={login} className="auth-button">Login with Internet Identity</button>
             </div>
-          </>
-        ) : (
-          <div className="login-prompt">
-            <h2>Welcome to Think Bench</h2>
-            <p>Please login with Internet Identity to start managing concepts and relationships.</p>
-            <button onClick={login} className="auth-button">Login with Internet Identity</button>
-          </div>
-        )}
-      </main>
-    </div>
+          )}
+        </main>
+      </div>
+    </ProbabilityFormatContext.Provider>
   );
 }
 
-// Helper functions
-function getRelationshipTypeName(typeId) {
-  const types = {
-    0: 'IS-A',
-    1: 'HAS-A',
-    2: 'PART-OF',
-    3: 'PROPERTY-OF',
-  };
-  return types[Number(typeId)] || `Type ${typeId}`;
-}
-
-function getConceptName(concepts, conceptId) {
-  const concept = concepts.find(c => c.id.toString() === conceptId.toString());
-  return concept ? concept.name : `Concept ${conceptId}`;
-}
-
-function formatProbability(prob) {
-  return `${prob.numerator}/${prob.denominator}`;
-}
-
 export default App;
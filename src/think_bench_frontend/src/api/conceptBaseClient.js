@@ -0,0 +1,663 @@
+import { Principal } from '@dfinity/principal';
+import { ConceptBaseError, ValidationError, NotFoundError, fromCandidError } from './errors.js';
+import { normalize, compare, isProbability, parseProbability } from '../utils/fraction.js';
+
+// Idiomatic wrapper around the generated think_bench_backend actor.
+//
+// Inputs are plain JS: optional values are `undefined`/`null` instead of opt
+// arrays, IDs may be numbers, strings or BigInts, and probabilities may be
+// numbers in [0, 1], text such as "0.85", "85%" or "17/20", or
+// { numerator, denominator } fractions. Optional fields
+// in results are unwrapped to `value | null`; IDs stay BigInt and variants
+// keep their Candid shape (e.g. `{ Transitive: {...} }`). Every Types.Error
+// is thrown as the matching class from ./errors.
+//
+// The client takes an actor rather than creating one, so the React app and
+// Node scripts can share it:
+//
+//   const client = new ConceptBaseClient(createActor(canisterId, { agent }));
+//   const dog = await client.createConcept({ name: 'Dog' });
+//   await client.assert(dog, 'IS-A', mammal, { p: 0.95, c: 0.8 });
+
+const MAX_DECIMALS = 6;
+
+// Mirrors Lib.MAX_BATCH_SIZE; larger inputs are split into several calls
+export const MAX_BATCH_SIZE = 500;
+
+// Mirrors Lib.MAX_PAGE_SIZE
+export const MAX_PAGE_SIZE = 500;
+
+export const CONCEPT_SORT_KEYS = ['Name', 'Created', 'Modified', 'RelationshipCount'];
+export const RELATIONSHIP_SORT_KEYS = ['Created', 'Probability', 'Confidence'];
+export const DELETION_MODES = ['Soft', 'Hard'];
+export const CONFLICT_STRATEGIES = ['KeepHighestConfidence', 'CreateException', 'MarkDisputed'];
+export const ROLES = ['Admin', 'Editor', 'Viewer'];
+export const INFERENCE_DIRECTIONS = ['Outgoing', 'Incoming', 'Both'];
+export const CHANGE_ENTITIES = {
+  concept: 'Concept',
+  relationship: 'Relationship',
+  relationshipType: 'RelationshipType',
+  role: 'Role',
+  conceptEditors: 'ConceptEditors',
+  relationshipFlag: 'RelationshipFlag',
+};
+
+// Mirrors Lib.INITIAL_RELIABILITY and Lib.reliabilityWeight: the share of
+// its stated confidence a creator's assertions keep in inference. Scores
+// from the initial 1/2 up keep all of it
+export const INITIAL_RELIABILITY = { numerator: 1n, denominator: 2n };
+
+export function reliabilityWeight(score) {
+  if (compare(score, INITIAL_RELIABILITY) >= 0) return { numerator: 1n, denominator: 1n };
+  return normalize({
+    numerator: BigInt(score.numerator) * INITIAL_RELIABILITY.denominator,
+    denominator: BigInt(score.denominator) * INITIAL_RELIABILITY.numerator,
+  });
+}
+
+export function toOpt(value) {
+  return value === undefined || value === null ? [] : [value];
+}
+
+// Like toOpt, but converts a present value first
+function mapOpt(value, convert) {
+  return value === undefined || value === null ? [] : [convert(value)];
+}
+
+export function fromOpt(opt) {
+  return opt.length > 0 ? opt[0] : null;
+}
+
+export function toId(value) {
+  if (typeof value === 'bigint') return value;
+  if (typeof value === 'number' && Number.isInteger(value) && value >= 0) return BigInt(value);
+  if (typeof value === 'string' && /^\d+$/.test(value)) return BigInt(value);
+  throw new ValidationError({
+    code: 'INVALID_ID',
+    message: `Invalid ID: ${value}`,
+    details: { field: 'id', constraint: 'natural number', value: String(value) },
+  });
+}
+
+export function toPrincipal(value) {
+  if (typeof value !== 'string') return value;
+  try {
+    return Principal.fromText(value.trim());
+  } catch {
+    throw new ValidationError({
+      code: 'INVALID_PRINCIPAL',
+      message: `Invalid principal: ${value}`,
+      details: { field: 'principal', constraint: 'principal text', value },
+    });
+  }
+}
+
+// Accepts a number in [0, 1], probability text or a { numerator, denominator }
+// fraction; always returns the fraction in lowest terms
+export function toFraction(value, field = 'probability') {
+  if (value && typeof value === 'object' && 'numerator' in value && 'denominator' in value) {
+    if (isProbability(value)) return normalize(value);
+  } else if (typeof value === 'number' && value >= 0 && value <= 1) {
+    const scale = 10n ** BigInt(MAX_DECIMALS);
+    return normalize({ numerator: BigInt(Math.round(value * Number(scale))), denominator: scale });
+  } else if (typeof value === 'string') {
+    const parsed = parseProbability(value);
+    if (parsed) return parsed;
+  }
+  throw new ValidationError({
+    code: 'INVALID_FRACTION',
+    message: `Invalid ${field}: expected a value between 0 and 1 such as 0.85, 85% or 17/20`,
+    details: { field, constraint: '0 <= value <= 1', value: String(value) },
+  });
+}
+
+function unwrap(result) {
+  if ('ok' in result) return result.ok;
+  throw fromCandidError(result.err);
+}
+
+// Per-item batch results become { id } or { error } so one bad row does not
+// hide the others
+function unwrapBatch(result) {
+  return unwrap(result).map(item => ('ok' in item ? { id: item.ok } : { error: fromCandidError(item.err) }));
+}
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
+}
+
+function unwrapQuery(result) {
+  if ('ok' in result) return { ...result.ok, nextCursor: fromOpt(result.ok.nextCursor) };
+  throw new ConceptBaseError(result.err);
+}
+
+// Page options use plain strings, e.g. { sortBy: 'Name', order: 'Descending' }
+function encodePageRequest({ sortBy, order, cursor, page, pageSize } = {}) {
+  return [{
+    sortBy: mapOpt(sortBy, key => ({ [key]: null })),
+    order: mapOpt(order, value => ({ [value]: null })),
+    cursor: toOpt(cursor),
+    page: mapOpt(page, BigInt),
+    pageSize: mapOpt(pageSize, BigInt),
+  }];
+}
+
+// Follows nextCursor until the last page
+async function collectPages(fetchPage) {
+  const items = [];
+  let cursor = null;
+  do {
+    const page = await fetchPage({ cursor, pageSize: MAX_PAGE_SIZE });
+    items.push(...page.items);
+    cursor = page.nextCursor;
+  } while (cursor !== null);
+  return items;
+}
+
+// Dates and millisecond timestamps become the backend's nanoseconds
+function toNanoseconds(time) {
+  return BigInt(time instanceof Date ? time.getTime() : time) * 1_000_000n;
+}
+
+// Entity filters look like { concept: 3n }; roles are keyed by principal
+function encodeEntityRef(entity) {
+  const [[key, id]] = Object.entries(entity);
+  if (!(key in CHANGE_ENTITIES)) {
+    throw new ValidationError({
+      code: 'INVALID_ENTITY',
+      message: `Unknown entity kind: ${key}`,
+      details: { field: 'entity', constraint: Object.keys(CHANGE_ENTITIES).join(' | '), value: String(key) },
+    });
+  }
+  return { [CHANGE_ENTITIES[key]]: key === 'role' ? toPrincipal(id) : toId(id) };
+}
+
+function normalizeConcept(concept) {
+  return { ...concept, description: fromOpt(concept.description) };
+}
+
+// Snapshots stay tagged, e.g. { Concept: {...} }
+function normalizeSnapshot(snapshot) {
+  if ('Concept' in snapshot) return { Concept: normalizeConcept(snapshot.Concept) };
+  if ('RelationshipType' in snapshot) return { RelationshipType: normalizeRelationshipType(snapshot.RelationshipType) };
+  if ('Role' in snapshot) return { Role: Object.keys(snapshot.Role)[0] };
+  return snapshot;
+}
+
+function normalizeChange(change) {
+  const [before = null] = change.before.map(normalizeSnapshot);
+  const [after = null] = change.after.map(normalizeSnapshot);
+  return { ...change, before, after, reason: fromOpt(change.reason) };
+}
+
+function normalizeRelationshipType(type) {
+  const status = 'DEPRECATED' in type.status
+    ? { DEPRECATED: { ...type.status.DEPRECATED, replacedBy: fromOpt(type.status.DEPRECATED.replacedBy) } }
+    : type.status;
+  return { ...type, description: fromOpt(type.description), status };
+}
+
+// Plain property objects use strings for the probability mode and simple
+// rule names; Candid-shaped values pass through unchanged
+function encodeProperties(properties) {
+  const { logical, inheritance, validation = [] } = properties;
+  const probabilityMode = typeof inheritance.probabilityMode === 'string'
+    ? { [inheritance.probabilityMode]: null }
+    : inheritance.probabilityMode;
+  return {
+    logical: {
+      transitive: Boolean(logical.transitive),
+      symmetric: Boolean(logical.symmetric),
+      reflexive: Boolean(logical.reflexive),
+      irreflexive: Boolean(logical.irreflexive),
+    },
+    inheritance: { inheritable: Boolean(inheritance.inheritable), probabilityMode },
+    validation: validation.map(rule => {
+      if (typeof rule === 'string') return { [rule]: null };
+      if (Array.isArray(rule.requiredMetadata)) return { RequiredMetadata: rule.requiredMetadata };
+      return rule;
+    }),
+  };
+}
+
+function buildInferenceQuery(start, typeId, { maxDepth, minProbability, minConfidence, direction }) {
+  if (direction !== undefined && !INFERENCE_DIRECTIONS.includes(direction)) {
+    throw new ValidationError({
+      code: 'INVALID_DIRECTION',
+      message: `Unknown inference direction: ${direction}`,
+      details: { field: 'direction', constraint: INFERENCE_DIRECTIONS.join(' | '), value: String(direction) },
+    });
+  }
+  return {
+    startingConcept: toId(start),
+    relationshipType: toOpt(typeId),
+    maxDepth: mapOpt(maxDepth, BigInt),
+    minProbability: mapOpt(minProbability, toFraction),
+    minConfidence: mapOpt(minConfidence, v => toFraction(v, 'confidence')),
+    direction: mapOpt(direction, d => ({ [d]: null })),
+  };
+}
+
+export class ConceptBaseClient {
+  constructor(actor) {
+    this.actor = actor;
+    this.relationshipTypeCache = null;
+  }
+
+  // Concepts
+
+  async createConcept({ name, description, metadata } = {}) {
+    return unwrap(await this.actor.createConcept(name, toOpt(description), toOpt(metadata)));
+  }
+
+  // Creates many concepts in as few calls as possible. Returns one
+  // { id } or { error } per input, in input order
+  async createConcepts(concepts) {
+    const results = [];
+    for (const batch of chunk(concepts, MAX_BATCH_SIZE)) {
+      results.push(...unwrapBatch(await this.actor.createConcepts(batch.map(({ name, description, metadata }) => ({
+        name,
+        description: toOpt(description),
+        metadata: toOpt(metadata),
+      })))));
+    }
+    return results;
+  }
+
+  // Omitted fields keep their value; a null or empty description clears it.
+  // The optional reason is kept in the change history
+  async updateConcept(id, { name, description, metadata, reason } = {}) {
+    unwrap(await this.actor.updateConcept(
+      toId(id),
+      toOpt(name),
+      description === undefined ? [] : [description ?? ''],
+      toOpt(metadata),
+      toOpt(reason || null)
+    ));
+  }
+
+  async getConcept(id) {
+    return normalizeConcept(unwrap(await this.actor.getConcept(toId(id))));
+  }
+
+  // Returns { relationships, inferred }: the asserted relationships a
+  // deletion removes and the inferred edges that would no longer hold
+  async previewConceptDeletion(id) {
+    return unwrap(await this.actor.previewConceptDeletion(toId(id)));
+  }
+
+  // 'Soft' hides the concept until restoreConcept; 'Hard' also removes its
+  // relationships permanently
+  async deleteConcept(id, { mode = 'Soft', reason } = {}) {
+    if (!DELETION_MODES.includes(mode)) {
+      throw new ValidationError({
+        code: 'INVALID_DELETION_MODE',
+        message: `Unknown deletion mode: ${mode}`,
+        details: { field: 'mode', constraint: DELETION_MODES.join(' | '), value: String(mode) },
+      });
+    }
+    unwrap(await this.actor.deleteConcept(toId(id), { [mode]: null }, toOpt(reason || null)));
+  }
+
+  async restoreConcept(id, { reason } = {}) {
+    unwrap(await this.actor.restoreConcept(toId(id), toOpt(reason || null)));
+  }
+
+  // Concepts named like `name`, closest first, as { concept, match, edits }.
+  // match is 'Exact', 'Normalized' (same ignoring case and plural endings)
+  // or 'EditDistance', with edits the number of characters apart
+  async findSimilarConcepts(name, { limit } = {}) {
+    const similar = await this.actor.findSimilarConcepts(name, mapOpt(limit, BigInt));
+    return similar.map(({ concept, nameMatch }) => ({
+      concept: normalizeConcept(concept),
+      match: Object.keys(nameMatch)[0],
+      edits: 'EditDistance' in nameMatch ? Number(nameMatch.EditDistance) : 0,
+    }));
+  }
+
+  // Folds `remove` into `keep`. Returns the IDs of the relationships moved
+  // over and of those dropped as duplicates, as { rewired, retracted }; the
+  // removed ID keeps resolving to `keep`
+  async mergeConcepts(keep, remove, { reason } = {}) {
+    return unwrap(await this.actor.mergeConcepts(toId(keep), toId(remove), toOpt(reason || null)));
+  }
+
+  // 'Class' or 'Individual'. Concepts are classes until marked otherwise;
+  // asserting INSTANCE-OF from one marks it as an individual
+  async getConceptKind(id) {
+    return Object.keys(unwrap(await this.actor.getConceptKind(toId(id))))[0];
+  }
+
+  async setConceptKind(id, kind, { reason } = {}) {
+    unwrap(await this.actor.setConceptKind(toId(id), { [kind]: null }, toOpt(reason || null)));
+  }
+
+  // Returns one page: { items, total, page, pageSize, nextCursor }. Pass
+  // nextCursor back as `cursor` to continue after the last item
+  async queryConcepts({ namePattern, metadata = [], hasInstances, isInstance, creator } = {}, pageOptions = {}) {
+    const page = unwrapQuery(await this.actor.queryConcepts({
+      namePattern: toOpt(namePattern),
+      metadata,
+      hasInstances: toOpt(hasInstances),
+      isInstance: toOpt(isInstance),
+      creator: toOpt(creator),
+    }, encodePageRequest(pageOptions)));
+    return { ...page, items: page.items.map(normalizeConcept) };
+  }
+
+  async queryAllConcepts(filters = {}, { sortBy, order } = {}) {
+    return collectPages(page => this.queryConcepts(filters, { sortBy, order, ...page }));
+  }
+
+  // Relationships
+
+  async assert(from, type, to, { p = 1, c = 1, metadata } = {}) {
+    return unwrap(await this.actor.assertRelationship(
+      toId(from),
+      toId(to),
+      await this.resolveRelationshipTypeId(type),
+      toFraction(p, 'probability'),
+      toFraction(c, 'confidence'),
+      toOpt(metadata)
+    ));
+  }
+
+  // Batch form of assert; each item is { from, type, to, p, c, metadata }.
+  // Returns one { id } or { error } per input, in input order
+  async assertRelationships(relationships) {
+    const results = [];
+    for (const batch of chunk(relationships, MAX_BATCH_SIZE)) {
+      const inputs = [];
+      for (const { from, type, to, p = 1, c = 1, metadata } of batch) {
+        inputs.push({
+          fromConceptId: toId(from),
+          toConceptId: toId(to),
+          relationshipTypeId: await this.resolveRelationshipTypeId(type),
+          probability: toFraction(p, 'probability'),
+          confidence: toFraction(c, 'confidence'),
+          metadata: toOpt(metadata),
+        });
+      }
+      results.push(...unwrapBatch(await this.actor.assertRelationships(inputs)));
+    }
+    return results;
+  }
+
+  // Omitted fields keep their value
+  async updateRelationship(id, { probability, confidence, metadata, reason } = {}) {
+    unwrap(await this.actor.updateRelationship(
+      toId(id),
+      mapOpt(probability, toFraction),
+      toOpt(metadata),
+      mapOpt(confidence, v => toFraction(v, 'confidence')),
+      toOpt(reason || null)
+    ));
+  }
+
+  async getRelationship(id) {
+    return unwrap(await this.actor.getRelationship(toId(id)));
+  }
+
+  async previewRetraction(id) {
+    return unwrap(await this.actor.previewRelationshipRetraction(toId(id)));
+  }
+
+  async retractRelationship(id, { reason } = {}) {
+    unwrap(await this.actor.retractRelationship(toId(id), toOpt(reason || null)));
+  }
+
+  async queryRelationships(
+    { from, to, type, minProbability, maxProbability, metadata = [], creator } = {},
+    pageOptions = {}
+  ) {
+    return unwrapQuery(await this.actor.queryRelationships({
+      fromConceptId: mapOpt(from, toId),
+      toConceptId: mapOpt(to, toId),
+      relationshipTypeId: toOpt(await this.resolveOptionalTypeId(type)),
+      minProbability: mapOpt(minProbability, toFraction),
+      maxProbability: mapOpt(maxProbability, toFraction),
+      metadata,
+      creator: toOpt(creator),
+    }, encodePageRequest(pageOptions)));
+  }
+
+  async queryAllRelationships(filters = {}, { sortBy, order } = {}) {
+    return collectPages(page => this.queryRelationships(filters, { sortBy, order, ...page }));
+  }
+
+  // Conflicts
+
+  // `concept` and `type` narrow the check to one concept's relationships
+  // and one relationship type
+  async conflictQuery({ minDifference, concept, type }) {
+    return {
+      minDifference: mapOpt(minDifference, toFraction),
+      concept: mapOpt(concept, toId),
+      relationshipType: toOpt(await this.resolveOptionalTypeId(type)),
+    };
+  }
+
+  // Conflicts keep their Candid shape; kind is e.g. { Cycle: null } or
+  // { InheritanceDisagreement: { probability, confidence } }
+  async analyzeConflicts(criteria = {}) {
+    return unwrap(await this.actor.analyzeConflicts(await this.conflictQuery(criteria)));
+  }
+
+  // Pass the same minDifference, concept and type the conflict was found
+  // with; MarkDisputed also needs the relationship to flag
+  async resolveConflict(key, { strategy, relationship, ...criteria } = {}) {
+    if (!CONFLICT_STRATEGIES.includes(strategy)) {
+      throw new ValidationError({
+        code: 'INVALID_STRATEGY',
+        message: `Unknown conflict resolution strategy: ${strategy}`,
+        details: { field: 'strategy', constraint: CONFLICT_STRATEGIES.join(' | '), value: String(strategy) },
+      });
+    }
+    unwrap(await this.actor.resolveConflict(
+      key,
+      await this.conflictQuery(criteria),
+      { [strategy]: strategy === 'MarkDisputed' ? toId(relationship) : null }
+    ));
+  }
+
+  // Change history
+
+  // Newest first. `entity` is e.g. { relationship: 4n }; `concept` also
+  // matches changes to the concept's relationships; since/until take Dates
+  // or millisecond timestamps. Entries keep their Candid shape apart from
+  // unwrapped before/after/reason, and timestamps stay in nanoseconds
+  async getChangeHistory({ entity, concept, principal, since, until } = {}, pageOptions = {}) {
+    const page = unwrapQuery(await this.actor.getChangeHistory({
+      entity: mapOpt(entity, encodeEntityRef),
+      concept: mapOpt(concept, toId),
+      principal: toOpt(principal),
+      since: mapOpt(since, toNanoseconds),
+      until: mapOpt(until, toNanoseconds),
+    }, encodePageRequest(pageOptions)));
+    return { ...page, items: page.items.map(normalizeChange) };
+  }
+
+  async getAllChangeHistory(filters = {}) {
+    return collectPages(page => this.getChangeHistory(filters, page));
+  }
+
+  // Change feed. Every change gets the next sequence number; poll
+  // changesSince with the nextSeq of the previous call to follow along.
+  // Changes come oldest first, shaped like getChangeHistory entries. A
+  // nextSeq below the seq passed in means the canister was reinstalled
+  async getChangeSeq() {
+    return this.actor.getChangeSeq();
+  }
+
+  async changesSince(seq, { limit } = {}) {
+    const feed = await this.actor.getChangesSince(toId(seq), mapOpt(limit, BigInt));
+    return { ...feed, changes: feed.changes.map(normalizeChange) };
+  }
+
+  // Puts back the version a change recorded; the revert is logged as a new
+  // change rather than rewriting history
+  async revertChange(changeId, { reason } = {}) {
+    unwrap(await this.actor.revertChange(toId(changeId), toOpt(reason || null)));
+  }
+
+  // Reliability
+
+  // Scores are fractions in [0, 1]; principals nobody has corroborated or
+  // contradicted yet have the initial 1/2. Takes Principal objects, such as
+  // creator.principalId
+  async getUserReliability(principal) {
+    return this.actor.getUserReliability(principal);
+  }
+
+  async getUserReliabilities(principals) {
+    return this.actor.getUserReliabilities(principals);
+  }
+
+  // Access control
+
+  // Roles are 'Admin', 'Editor' or 'Viewer'. Principals may be given as
+  // Principal objects or as text
+
+  // Makes the caller admin on a canister that has none yet. Only the
+  // canister's controllers may
+  async claimAdmin() {
+    unwrap(await this.actor.claimAdmin());
+  }
+
+  async getRole(principal) {
+    return Object.keys(await this.actor.getRole(toPrincipal(principal)))[0];
+  }
+
+  async setRole(principal, role) {
+    unwrap(await this.actor.setRole(toPrincipal(principal), { [role]: null }));
+  }
+
+  // Explicitly assigned roles as [{ principal, role }]; everyone else is an
+  // editor, or a viewer when anonymous
+  async listRoles() {
+    return (await this.actor.listRoles()).map(([principal, role]) => ({ principal, role: Object.keys(role)[0] }));
+  }
+
+  // Co-editors can edit a concept like its creator; only the creator and
+  // admins can grant or revoke them
+  async grantEditor(concept, principal) {
+    unwrap(await this.actor.grantConceptEditor(toId(concept), toPrincipal(principal)));
+  }
+
+  async revokeEditor(concept, principal) {
+    unwrap(await this.actor.revokeConceptEditor(toId(concept), toPrincipal(principal)));
+  }
+
+  async getConceptEditors(concept) {
+    return unwrap(await this.actor.getConceptEditors(toId(concept)));
+  }
+
+  // Relationship types
+
+  async listRelationshipTypes() {
+    const page = unwrapQuery(await this.actor.listRelationshipTypes());
+    this.relationshipTypeCache = page.items.map(normalizeRelationshipType);
+    return this.relationshipTypeCache;
+  }
+
+  async getRelationshipType(id) {
+    return normalizeRelationshipType(unwrap(await this.actor.getRelationshipType(toId(id))));
+  }
+
+  async createRelationshipType({ name, description, properties, metadata = [] }) {
+    const id = unwrap(await this.actor.createRelationshipType(
+      name,
+      toOpt(description),
+      encodeProperties(properties),
+      metadata
+    ));
+    this.relationshipTypeCache = null;
+    return id;
+  }
+
+  async deprecateRelationshipType(id, { replacedBy, reason }) {
+    unwrap(await this.actor.deprecateRelationshipType(
+      toId(id),
+      mapOpt(replacedBy, toId),
+      reason
+    ));
+    this.relationshipTypeCache = null;
+  }
+
+  // Accepts a type ID or a type name such as 'IS-A'
+  async resolveRelationshipTypeId(type) {
+    if (typeof type !== 'string' || /^\d+$/.test(type)) return toId(type);
+    const find = (types) => types?.find(t => t.name === type);
+    const match = find(this.relationshipTypeCache) ?? find(await this.listRelationshipTypes());
+    if (!match) throw new NotFoundError(`Relationship type not found: ${type}`);
+    return match.id;
+  }
+
+  async resolveOptionalTypeId(type) {
+    return type === undefined || type === null ? null : this.resolveRelationshipTypeId(type);
+  }
+
+  // Inference
+
+  // Options combine inference parameters with page options; results default
+  // to most probable first. `direction` is 'Outgoing' (the default: what
+  // `start` relates to), 'Incoming' (what relates to `start`) or 'Both'
+  async infer(start, options = {}) {
+    const typeId = await this.resolveOptionalTypeId(options.type);
+    return unwrapQuery(await this.actor.inferRelationships(
+      buildInferenceQuery(start, typeId, options),
+      encodePageRequest(options)
+    ));
+  }
+
+  async inferAll(start, options = {}) {
+    return collectPages(page => this.infer(start, { ...options, ...page }));
+  }
+
+  // Has the canister compute inference from each of `starts` with the same
+  // options and keep the results until its next write, for scripts that
+  // read the same large closures (a root's descendants, say) many times in
+  // between. Needs at least the Editor role. Resolves to the number of
+  // queries cached
+  async warmInference(starts, options = {}) {
+    const typeId = await this.resolveOptionalTypeId(options.type);
+    return Number(unwrap(await this.actor.warmInferenceCache(
+      starts.map(start => buildInferenceQuery(start, typeId, options))
+    )));
+  }
+
+  // Relationships inherited from IS-A ancestors. Without `type` every
+  // inheritable type is included
+  async inferInherited(start, options = {}) {
+    const typeId = await this.resolveOptionalTypeId(options.type);
+    return unwrapQuery(await this.actor.inferInheritedProperties(
+      buildInferenceQuery(start, typeId, options),
+      encodePageRequest(options)
+    ));
+  }
+
+  // `target` is the other end of the inferred relationship; pass the
+  // direction it was inferred in
+  async explain(start, target, options = {}) {
+    const typeId = await this.resolveOptionalTypeId(options.type);
+    return unwrap(await this.actor.explainInference(buildInferenceQuery(start, typeId, options), toId(target)));
+  }
+
+  // The `k` most probable chains of asserted relationships from `from` to
+  // `to`, each with its steps and combined probability and confidence.
+  // `types` lists the type IDs or names a path may use (default: any)
+  async findPaths(from, to, { types, k, maxDepth, minProbability, minConfidence } = {}) {
+    const typeIds = types === undefined ? undefined : await Promise.all(types.map(type => this.resolveRelationshipTypeId(type)));
+    return unwrap(await this.actor.findPaths({
+      from: toId(from),
+      to: toId(to),
+      relationshipTypes: toOpt(typeIds),
+      maxPaths: mapOpt(k, BigInt),
+      maxDepth: mapOpt(maxDepth, BigInt),
+      minProbability: mapOpt(minProbability, toFraction),
+      minConfidence: mapOpt(minConfidence, v => toFraction(v, 'confidence')),
+    }));
+  }
+}
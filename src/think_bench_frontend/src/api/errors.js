@@ -0,0 +1,80 @@
+// Typed errors mirroring the Types.Error variants returned by the backend
+
+export class ConceptBaseError extends Error {
+  constructor(message, variant = 'SystemError') {
+    super(message);
+    this.name = 'ConceptBaseError';
+    this.variant = variant;
+  }
+}
+
+export class ValidationError extends ConceptBaseError {
+  constructor({ code, message, details = null }) {
+    super(message, 'ValidationError');
+    this.name = 'ValidationError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export class NotFoundError extends ConceptBaseError {
+  constructor(message) {
+    super(message, 'NotFound');
+    this.name = 'NotFoundError';
+  }
+}
+
+export class AlreadyExistsError extends ConceptBaseError {
+  constructor(message) {
+    super(message, 'AlreadyExists');
+    this.name = 'AlreadyExistsError';
+  }
+}
+
+export class SystemError extends ConceptBaseError {
+  constructor(message) {
+    super(message, 'SystemError');
+    this.name = 'SystemError';
+  }
+}
+
+export class InvalidOperationError extends ConceptBaseError {
+  constructor(message) {
+    super(message, 'InvalidOperation');
+    this.name = 'InvalidOperationError';
+  }
+}
+
+export class PermissionDeniedError extends ConceptBaseError {
+  constructor({ operation, resource, reason }) {
+    super(reason, 'PermissionDenied');
+    this.name = 'PermissionDeniedError';
+    this.operation = operation;
+    this.resource = resource;
+    this.reason = reason;
+  }
+}
+
+export class InvalidConfidenceError extends ConceptBaseError {
+  constructor({ value, reason }) {
+    super(reason, 'InvalidConfidence');
+    this.name = 'InvalidConfidenceError';
+    this.value = value;
+    this.reason = reason;
+  }
+}
+
+// Convert a Candid-decoded Types.Error into the matching error class
+export function fromCandidError(err) {
+  if ('ValidationError' in err) {
+    const { code, message, details } = err.ValidationError;
+    return new ValidationError({ code, message, details: details.length > 0 ? details[0] : null });
+  }
+  if ('NotFound' in err) return new NotFoundError(err.NotFound);
+  if ('AlreadyExists' in err) return new AlreadyExistsError(err.AlreadyExists);
+  if ('SystemError' in err) return new SystemError(err.SystemError);
+  if ('InvalidOperation' in err) return new InvalidOperationError(err.InvalidOperation);
+  if ('PermissionDenied' in err) return new PermissionDeniedError(err.PermissionDenied);
+  if ('InvalidConfidence' in err) return new InvalidConfidenceError(err.InvalidConfidence);
+  return new ConceptBaseError(`Unknown error: ${Object.keys(err)[0]}`);
+}
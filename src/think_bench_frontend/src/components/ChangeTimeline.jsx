@@ -0,0 +1,208 @@
+import React, { useEffect, useState } from 'react';
+import { getRelationshipTypeName, getConceptName, describeEditError } from '../utils/format';
+import { useProbabilityFormat } from '../hooks/useProbabilityFormat';
+import { fetchMissingConcepts } from '../utils/relatedConcepts';
+import './ChangeTimeline.scss';
+
+const ACTION_LABELS = {
+  Create: 'Created',
+  Update: 'Updated',
+  Deprecate: 'Deprecated',
+  Delete: 'Deleted',
+  Restore: 'Restored',
+  Retract: 'Retracted',
+  Revert: 'Reverted',
+  // Only shown on the timeline of the concept it was merged into
+  Merge: 'Merged in',
+  Classify: 'Marked as',
+};
+
+function describeAction(action) {
+  const [[kind, payload]] = Object.entries(action);
+  if (kind === 'Delete') return `${ACTION_LABELS.Delete} (${Object.keys(payload)[0].toLowerCase()})`;
+  if (kind === 'Revert') return `${ACTION_LABELS.Revert} to change #${payload}`;
+  if (kind === 'Classify') return `${ACTION_LABELS.Classify} ${'Individual' in payload ? 'an individual' : 'a class'}`;
+  return ACTION_LABELS[kind];
+}
+
+function entityKey(entity) {
+  const [[kind, id]] = Object.entries(entity);
+  return `${kind}-${id}`;
+}
+
+function snapshotOf(snapshot) {
+  return snapshot && Object.values(snapshot)[0];
+}
+
+function formatMetadata(metadata) {
+  return metadata.map(([key, value]) => `${key}=${value}`).join(', ') || '(none)';
+}
+
+function formatFlag(flagged) {
+  return flagged ? Object.keys(flagged.flag)[0].toLowerCase() : '(none)';
+}
+
+// The relationship a relationship or conflict flag change is about
+function relationshipOf(snapshot) {
+  const version = snapshotOf(snapshot);
+  return version?.relationship ?? version;
+}
+
+function formatPrincipals(principals) {
+  return principals.map(p => `${p.toString().slice(0, 10)}...`).join(', ') || '(none)';
+}
+
+// Fields that differ between the before and after versions of an edit
+function fieldDiffs(change, formatProbability) {
+  const before = snapshotOf(change.before);
+  const after = snapshotOf(change.after);
+  if ('ConceptEditors' in change.entity) {
+    return [{ field: 'co-editors', from: formatPrincipals(before), to: formatPrincipals(after) }];
+  }
+  if ('RelationshipFlag' in change.entity) {
+    return [{ field: 'flag', from: formatFlag(before), to: formatFlag(after) }];
+  }
+  const fields = 'Relationship' in change.entity
+    ? { probability: formatProbability, confidence: formatProbability, metadata: formatMetadata }
+    : { name: String, description: value => value ?? '(none)', metadata: formatMetadata };
+  return Object.entries(fields)
+    .map(([field, format]) => ({ field, from: format(before[field]), to: format(after[field]) }))
+    .filter(({ from, to }) => from !== to);
+}
+
+// Collapsible audit trail for the selected concept and its relationships,
+// newest first, with a revert action on superseded versions
+export function ChangeTimeline({ client, concept, relationships, concepts, relationshipTypes, onReverted }) {
+  const formatProbability = useProbabilityFormat();
+  const [expanded, setExpanded] = useState(false);
+  const [changes, setChanges] = useState([]);
+  const [names, setNames] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [reverting, setReverting] = useState(null);
+  const [reason, setReason] = useState('');
+
+  const loadChanges = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const history = await client.getAllChangeHistory({ concept: concept.id });
+      const snapshots = history
+        .filter(c => 'Relationship' in c.entity || 'RelationshipFlag' in c.entity)
+        .map(c => relationshipOf(c.before ?? c.after));
+      setNames(await fetchMissingConcepts(client, concepts, snapshots));
+      setChanges(history);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Edits elsewhere in the details pane replace concept or relationships
+  useEffect(() => {
+    if (expanded) loadChanges();
+  }, [expanded, concept, relationships]);
+
+  const revert = async (e) => {
+    e.preventDefault();
+    try {
+      setError(null);
+      await client.revertChange(reverting, { reason: reason.trim() });
+      setReverting(null);
+      setReason('');
+      onReverted();
+    } catch (err) {
+      setError(describeEditError(err));
+    }
+  };
+
+  const allConcepts = [...concepts, ...names];
+  const describeEntity = (change) => {
+    const version = snapshotOf(change.before ?? change.after);
+    if ('Relationship' in change.entity || 'RelationshipFlag' in change.entity) {
+      const rel = relationshipOf(change.before ?? change.after);
+      const statement = `${getConceptName(allConcepts, rel.fromConceptId)} ${getRelationshipTypeName(relationshipTypes, rel.relationshipTypeId)} ${getConceptName(allConcepts, rel.toConceptId)}`;
+      if (!('RelationshipFlag' in change.entity)) return statement;
+      return `${statement} flagged ${formatFlag(snapshotOf(change.after ?? change.before))}`;
+    }
+    if ('ConceptEditors' in change.entity) return `Co-editors of ${concept.name}`;
+    return version?.name ?? concept.name;
+  };
+
+  // The newest entry per entity is the current version, so it has nothing to revert to
+  const seen = new Set();
+  const superseded = new Set();
+  for (const change of changes) {
+    const key = entityKey(change.entity);
+    if (seen.has(key)) superseded.add(change.id);
+    seen.add(key);
+  }
+
+  return (
+    <div className="change-timeline">
+      <button
+        type="button"
+        className="change-timeline__toggle"
+        aria-expanded={expanded}
+        onClick={() => setExpanded(!expanded)}
+      >
+        {expanded ? 'Hide history' : 'History'}
+      </button>
+
+      {expanded && (
+        <div className="change-timeline__panel">
+          {loading && <div className="loading">Loading history...</div>}
+          {error && <div className="error">{error}</div>}
+          {!loading && changes.length === 0 && <div className="change-timeline__empty">No recorded changes</div>}
+          <ol>
+            {changes.map(change => {
+              const revertable = superseded.has(change.id) && change.after && !('RelationshipType' in change.after || 'Role' in change.after || 'ConceptEditors' in change.after) &&
+                !('Classify' in change.action);
+              return (
+                <li key={change.id.toString()} className="change-timeline__entry">
+                  <header>
+                    <span className="change-timeline__action">{describeAction(change.action)}</span>
+                    <span className="change-timeline__entity">{describeEntity(change)}</span>
+                    <span className="change-timeline__meta">
+                      {change.principal.toString().slice(0, 10)}... · {new Date(Number(change.timestamp / 1_000_000n)).toLocaleString()}
+                    </span>
+                  </header>
+                  {change.before && change.after && (
+                    <ul className="change-timeline__diffs">
+                      {fieldDiffs(change, formatProbability).map(({ field, from, to }) => (
+                        <li key={field}>
+                          {field}: <del>{from}</del> → <ins>{to}</ins>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                  {change.reason && <p className="change-timeline__reason">“{change.reason}”</p>}
+                  {revertable && reverting !== change.id && (
+                    <button type="button" className="change-timeline__revert" onClick={() => setReverting(change.id)}>
+                      Revert to this version
+                    </button>
+                  )}
+                  {reverting === change.id && (
+                    <form className="change-timeline__confirm" onSubmit={revert}>
+                      <input
+                        type="text"
+                        value={reason}
+                        onChange={(e) => setReason(e.target.value)}
+                        placeholder="Reason for reverting (optional)"
+                      />
+                      <button type="submit">Revert</button>
+                      <button type="button" className="change-timeline__cancel" onClick={() => setReverting(null)}>
+                        Cancel
+                      </button>
+                    </form>
+                  )}
+                </li>
+              );
+            })}
+          </ol>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,150 @@
+import React, { useState } from 'react';
+import { MetadataEditor, cleanMetadata } from './MetadataEditor';
+import { CreatorLabel } from './CreatorLabel';
+import { describeEditError } from '../utils/format';
+import './ConceptEditor.scss';
+
+// Header of the concept details pane; switches to an inline form for
+// renaming and editing the description and metadata. `kind` is 'Class' or
+// 'Individual', null while it loads
+export function ConceptEditor({ client, concept, creatorReliability, kind, onKindChanged, onSaved, onDelete, onShare, onMerge }) {
+  const [draft, setDraft] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const toggleKind = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      await client.setConceptKind(concept.id, kind === 'Individual' ? 'Class' : 'Individual');
+      onKindChanged();
+    } catch (err) {
+      setError(describeEditError(err));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const startEditing = () => {
+    setDraft({
+      name: concept.name,
+      description: concept.description ?? '',
+      metadata: concept.metadata.map(([key, value]) => [key, value]),
+      reason: '',
+    });
+    setError(null);
+  };
+
+  const save = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+    try {
+      await client.updateConcept(concept.id, {
+        name: draft.name.trim() !== concept.name ? draft.name.trim() : undefined,
+        description: draft.description.trim(),
+        metadata: cleanMetadata(draft.metadata),
+        reason: draft.reason.trim(),
+      });
+      setDraft(null);
+      onSaved(concept.id);
+    } catch (err) {
+      setError(describeEditError(err));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!draft) {
+    return (
+      <div className="concept-editor">
+        <div className="concept-editor__heading">
+          <h2>
+            {concept.name}
+            {kind && <span className="concept-editor__kind">{kind === 'Individual' ? 'individual' : 'class'}</span>}
+          </h2>
+          <div className="concept-editor__buttons">
+            <button type="button" className="concept-editor__edit" onClick={startEditing}>
+              Edit
+            </button>
+            {kind && (
+              <button type="button" className="concept-editor__classify" onClick={toggleKind} disabled={saving}>
+                {kind === 'Individual' ? 'Mark as class' : 'Mark as individual'}
+              </button>
+            )}
+            <button type="button" className="concept-editor__share" onClick={onShare}>
+              Share
+            </button>
+            <button type="button" className="concept-editor__merge" onClick={onMerge}>
+              Merge
+            </button>
+            <button type="button" className="concept-editor__delete" onClick={onDelete}>
+              Delete
+            </button>
+          </div>
+        </div>
+        {error && <div className="error">{error}</div>}
+        {concept.description && <p>{concept.description}</p>}
+        {concept.metadata.length > 0 && (
+          <dl className="concept-editor__metadata">
+            {concept.metadata.map(([key, value]) => (
+              <React.Fragment key={key}>
+                <dt>{key}</dt>
+                <dd>{value}</dd>
+              </React.Fragment>
+            ))}
+          </dl>
+        )}
+        <div className="concept-creator-details">
+          <CreatorLabel principal={concept.creator.principalId} reliability={creatorReliability} />
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <form className="concept-editor concept-editor--editing" onSubmit={save}>
+      <label>
+        Name
+        <input
+          type="text"
+          value={draft.name}
+          onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+          required
+        />
+      </label>
+      <label>
+        Description
+        <textarea
+          value={draft.description}
+          onChange={(e) => setDraft({ ...draft, description: e.target.value })}
+        />
+      </label>
+      <fieldset>
+        <legend>Metadata</legend>
+        <MetadataEditor
+          value={draft.metadata}
+          onChange={(metadata) => setDraft({ ...draft, metadata })}
+        />
+      </fieldset>
+      <label>
+        Reason for change
+        <input
+          type="text"
+          value={draft.reason}
+          onChange={(e) => setDraft({ ...draft, reason: e.target.value })}
+          placeholder="Optional, shown in the history"
+        />
+      </label>
+      {error && <div className="error">{error}</div>}
+      <div className="concept-editor__actions">
+        <button type="submit" disabled={saving}>
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+        <button type="button" className="concept-editor__cancel" onClick={() => setDraft(null)} disabled={saving}>
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,304 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { computeForceLayout } from '../utils/graphLayout';
+import { getRelationshipTypeName, getInferenceKind } from '../utils/format';
+import { useProbabilityFormat } from '../hooks/useProbabilityFormat';
+import './ConceptGraph.scss';
+
+const WIDTH = 800;
+const HEIGHT = 600;
+const NODE_RADIUS = 18;
+const MIN_SCALE = 0.2;
+const MAX_SCALE = 4;
+const DEFAULT_VIEW = { x: 0, y: 0, scale: 1 };
+
+// Colors are assigned by type ID so the same type keeps its color everywhere
+const TYPE_COLORS = ['#3498db', '#27ae60', '#e67e22', '#9b59b6', '#e74c3c', '#16a085', '#f1c40f', '#34495e'];
+
+export function getRelationshipTypeColor(typeId) {
+  return TYPE_COLORS[Number(typeId) % TYPE_COLORS.length];
+}
+
+function toNumber(fraction) {
+  const denominator = Number(fraction.denominator);
+  return denominator === 0 ? 0 : Number(fraction.numerator) / denominator;
+}
+
+// Curved path between two nodes, bent by `offset` so parallel edges stay apart
+function edgePath(a, b, offset) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const dist = Math.max(Math.hypot(dx, dy), 0.01);
+  const cx = (a.x + b.x) / 2 - (dy / dist) * offset;
+  const cy = (a.y + b.y) / 2 + (dx / dist) * offset;
+
+  // Stop the path at the edge of the target node so the arrowhead is visible
+  const ex = b.x - cx;
+  const ey = b.y - cy;
+  const elen = Math.max(Math.hypot(ex, ey), 0.01);
+  const tx = b.x - (ex / elen) * NODE_RADIUS;
+  const ty = b.y - (ey / elen) * NODE_RADIUS;
+
+  return `M ${a.x} ${a.y} Q ${cx} ${cy} ${tx} ${ty}`;
+}
+
+// `highlightedIds` (relationship IDs as text) picks out direct edges, e.g.
+// one path found between two concepts; the other edges are dimmed
+export function ConceptGraph({ concepts, relationships, relationshipTypes, inferredRelationships = [], selectedConceptId, highlightedIds = null, onSelect }) {
+  const formatProbability = useProbabilityFormat();
+  const svgRef = useRef(null);
+  const panRef = useRef(null);
+  const [view, setView] = useState(DEFAULT_VIEW);
+
+  const nodeIds = useMemo(() => concepts.map(c => c.id.toString()), [concepts]);
+
+  const edges = useMemo(() => {
+    const list = relationships.map(rel => ({
+      key: `Direct-${rel.id}`,
+      from: rel.fromConceptId.toString(),
+      to: rel.toConceptId.toString(),
+      typeId: rel.relationshipTypeId,
+      probability: rel.probability,
+      kind: 'Direct',
+      relationshipId: rel.id.toString(),
+    }));
+
+    // Overlay inferred edges for the selected concept; direct ones are already drawn
+    const seen = new Set();
+    for (const inferred of inferredRelationships) {
+      const kind = getInferenceKind(inferred.source);
+      if (kind === 'Direct') continue;
+      const rel = inferred.relationship;
+      const key = `${kind}-${rel.fromConceptId}-${rel.toConceptId}-${rel.relationshipTypeId}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      list.push({
+        key,
+        from: rel.fromConceptId.toString(),
+        to: rel.toConceptId.toString(),
+        typeId: rel.relationshipTypeId,
+        probability: rel.probability,
+        kind,
+      });
+    }
+    return list;
+  }, [relationships, inferredRelationships]);
+
+  // Layout only depends on direct structure, so selecting a concept doesn't reshuffle it
+  const layoutKey = useMemo(
+    () => nodeIds.join(',') + '|' + relationships.map(r => `${r.fromConceptId}-${r.toConceptId}`).join(','),
+    [nodeIds, relationships]
+  );
+  const positions = useMemo(
+    () => computeForceLayout(
+      nodeIds,
+      relationships.map(r => ({ from: r.fromConceptId.toString(), to: r.toConceptId.toString() })),
+      { width: WIDTH, height: HEIGHT }
+    ),
+    [layoutKey]
+  );
+
+  const edgeOffsets = useMemo(() => {
+    const groups = new Map();
+    for (const edge of edges) {
+      const pair = [edge.from, edge.to].sort().join('-');
+      if (!groups.has(pair)) groups.set(pair, []);
+      groups.get(pair).push(edge);
+    }
+    const offsets = new Map();
+    for (const group of groups.values()) {
+      group.forEach((edge, i) => {
+        // Flip the sign for reversed edges so both directions bend the same way
+        const sign = edge.from < edge.to ? 1 : -1;
+        offsets.set(edge.key, sign * (i - (group.length - 1) / 2) * 30 + sign * 10);
+      });
+    }
+    return offsets;
+  }, [edges]);
+
+  const typeIds = useMemo(
+    () => [...new Set(edges.map(e => Number(e.typeId)))].sort((a, b) => a - b),
+    [edges]
+  );
+
+  const isEmpty = concepts.length === 0;
+
+  const toSvgPoint = (clientX, clientY) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    return {
+      x: ((clientX - rect.left) / rect.width) * WIDTH,
+      y: ((clientY - rect.top) / rect.height) * HEIGHT,
+    };
+  };
+
+  // React registers wheel listeners as passive, so zooming needs a native listener
+  useEffect(() => {
+    const svg = svgRef.current;
+    if (!svg) return undefined;
+    const handleWheel = (e) => {
+      e.preventDefault();
+      const point = toSvgPoint(e.clientX, e.clientY);
+      setView(current => {
+        const scale = Math.min(MAX_SCALE, Math.max(MIN_SCALE, current.scale * Math.exp(-e.deltaY * 0.001)));
+        const ratio = scale / current.scale;
+        return {
+          scale,
+          x: point.x - (point.x - current.x) * ratio,
+          y: point.y - (point.y - current.y) * ratio,
+        };
+      });
+    };
+    svg.addEventListener('wheel', handleWheel, { passive: false });
+    return () => svg.removeEventListener('wheel', handleWheel);
+  }, [isEmpty]);
+
+  const handlePointerDown = (e) => {
+    // Only pan when grabbing the background, not a node
+    if (e.target.closest('.concept-graph__node')) return;
+    const point = toSvgPoint(e.clientX, e.clientY);
+    panRef.current = { start: point, origin: view };
+    e.currentTarget.setPointerCapture(e.pointerId);
+  };
+
+  const handlePointerMove = (e) => {
+    if (!panRef.current) return;
+    const point = toSvgPoint(e.clientX, e.clientY);
+    const { start, origin } = panRef.current;
+    setView({ ...origin, x: origin.x + point.x - start.x, y: origin.y + point.y - start.y });
+  };
+
+  const handlePointerUp = (e) => {
+    if (!panRef.current) return;
+    panRef.current = null;
+    e.currentTarget.releasePointerCapture(e.pointerId);
+  };
+
+  const zoomBy = (factor) => {
+    setView(current => {
+      const scale = Math.min(MAX_SCALE, Math.max(MIN_SCALE, current.scale * factor));
+      const ratio = scale / current.scale;
+      return {
+        scale,
+        x: WIDTH / 2 - (WIDTH / 2 - current.x) * ratio,
+        y: HEIGHT / 2 - (HEIGHT / 2 - current.y) * ratio,
+      };
+    });
+  };
+
+  const conceptNames = useMemo(
+    () => new Map(concepts.map(c => [c.id.toString(), c.name])),
+    [concepts]
+  );
+
+  if (isEmpty) {
+    return <div className="concept-graph concept-graph--empty">No concepts to display</div>;
+  }
+
+  return (
+    <div className="concept-graph">
+      <div className="concept-graph__toolbar">
+        <button type="button" onClick={() => zoomBy(1.25)} aria-label="Zoom in">+</button>
+        <button type="button" onClick={() => zoomBy(0.8)} aria-label="Zoom out">−</button>
+        <button type="button" onClick={() => setView(DEFAULT_VIEW)}>Reset view</button>
+      </div>
+
+      <svg
+        ref={svgRef}
+        className="concept-graph__canvas"
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+      >
+        <defs>
+          {typeIds.map(typeId => (
+            <marker
+              key={typeId}
+              id={`concept-graph-arrow-${typeId}`}
+              viewBox="0 0 10 10"
+              refX="9"
+              refY="5"
+              markerWidth="6"
+              markerHeight="6"
+              orient="auto-start-reverse"
+            >
+              <path d="M 0 0 L 10 5 L 0 10 z" fill={getRelationshipTypeColor(typeId)} />
+            </marker>
+          ))}
+        </defs>
+
+        <g transform={`translate(${view.x} ${view.y}) scale(${view.scale})`}>
+          {edges.map(edge => {
+            const a = positions.get(edge.from);
+            const b = positions.get(edge.to);
+            if (!a || !b || edge.from === edge.to) return null;
+            const probability = toNumber(edge.probability);
+            const typeName = getRelationshipTypeName(relationshipTypes, edge.typeId);
+            const emphasis = highlightedIds === null
+              ? ''
+              : highlightedIds.has(edge.relationshipId) ? ' concept-graph__edge--highlighted' : ' concept-graph__edge--dimmed';
+            return (
+              <path
+                key={edge.key}
+                className={`concept-graph__edge${edge.kind !== 'Direct' ? ' concept-graph__edge--inferred' : ''}${emphasis}`}
+                d={edgePath(a, b, edgeOffsets.get(edge.key) || 0)}
+                stroke={getRelationshipTypeColor(edge.typeId)}
+                strokeWidth={1 + probability * 4}
+                markerEnd={`url(#concept-graph-arrow-${Number(edge.typeId)})`}
+              >
+                <title>
+                  {`${conceptNames.get(edge.from)} ${typeName} ${conceptNames.get(edge.to)} (P: ${formatProbability(edge.probability)})`}
+                  {(edge.kind === 'Transitive' || edge.kind === 'IncomingTransitive') && ' — inferred through transitivity'}
+                  {edge.kind === 'Symmetric' && ' — inferred through symmetry'}
+                </title>
+              </path>
+            );
+          })}
+
+          {concepts.map(concept => {
+            const id = concept.id.toString();
+            const pos = positions.get(id);
+            if (!pos) return null;
+            const selected = id === selectedConceptId;
+            return (
+              <g
+                key={id}
+                className={`concept-graph__node${selected ? ' concept-graph__node--selected' : ''}`}
+                transform={`translate(${pos.x} ${pos.y})`}
+                role="button"
+                tabIndex={0}
+                aria-label={concept.name}
+                onClick={() => onSelect(concept)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    onSelect(concept);
+                  }
+                }}
+              >
+                <circle r={NODE_RADIUS} />
+                <text y={NODE_RADIUS + 14} textAnchor="middle">{concept.name}</text>
+              </g>
+            );
+          })}
+        </g>
+      </svg>
+
+      {typeIds.length > 0 && (
+        <ul className="concept-graph__legend">
+          {typeIds.map(typeId => (
+            <li key={typeId}>
+              <span className="concept-graph__swatch" style={{ backgroundColor: getRelationshipTypeColor(typeId) }} />
+              {getRelationshipTypeName(relationshipTypes, typeId)}
+            </li>
+          ))}
+          <li>
+            <span className="concept-graph__swatch concept-graph__swatch--inferred" />
+            Inferred
+          </li>
+          <li className="concept-graph__hint">Line width shows probability</li>
+        </ul>
+      )}
+    </div>
+  );
+}
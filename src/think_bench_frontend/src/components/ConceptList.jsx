@@ -0,0 +1,113 @@
+import React, { useEffect, useRef } from 'react';
+import './ConceptList.scss';
+
+const SORT_OPTIONS = [
+  { value: 'Name', label: 'Name' },
+  { value: 'Created', label: 'Created' },
+  { value: 'Modified', label: 'Last modified' },
+  { value: 'RelationshipCount', label: 'Relationship count' },
+];
+
+const KIND_OPTIONS = [
+  { value: '', label: 'All' },
+  { value: 'classes', label: 'Classes' },
+  { value: 'individuals', label: 'Individuals' },
+];
+
+// Sidebar concept list; fetches the next page when the end of the list
+// scrolls into view. `kind` narrows it to classes or individuals
+export function ConceptList({
+  concepts,
+  kind,
+  onKindChange,
+  total,
+  hasMore,
+  loading,
+  error,
+  sort,
+  onSortChange,
+  onLoadMore,
+  selectedConceptId,
+  onSelect,
+}) {
+  const listRef = useRef(null);
+  const sentinelRef = useRef(null);
+
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !hasMore) return undefined;
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries.some(entry => entry.isIntersecting)) onLoadMore();
+      },
+      { root: listRef.current, rootMargin: '100px' }
+    );
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [hasMore, onLoadMore]);
+
+  return (
+    <div className="concepts-list">
+      <h2>Concepts</h2>
+      <div className="concepts-list__kinds" role="group" aria-label="Show">
+        {KIND_OPTIONS.map(option => (
+          <button
+            key={option.value}
+            type="button"
+            aria-pressed={kind === option.value}
+            className={kind === option.value ? 'active' : ''}
+            onClick={() => onKindChange(option.value)}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+      <div className="concepts-list__toolbar">
+        <label>
+          Sort by
+          <select value={sort.sortBy} onChange={(e) => onSortChange({ ...sort, sortBy: e.target.value })}>
+            {SORT_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+        <button
+          type="button"
+          className="concepts-list__order"
+          onClick={() => onSortChange({ ...sort, order: sort.order === 'Ascending' ? 'Descending' : 'Ascending' })}
+          aria-label={sort.order === 'Ascending' ? 'Sort descending' : 'Sort ascending'}
+        >
+          {sort.order === 'Ascending' ? '↑' : '↓'}
+        </button>
+        <span className="concepts-list__count">
+          {concepts.length} of {total}
+        </span>
+      </div>
+      {error && <div className="error">{error}</div>}
+      <ul ref={listRef}>
+        {concepts.map((concept) => (
+          <li
+            key={concept.id.toString()}
+            className={selectedConceptId === concept.id.toString() ? 'selected' : ''}
+            onClick={() => onSelect(concept)}
+          >
+            <span className="concept-name">{concept.name}</span>
+            {concept.description && (
+              <span className="concept-description">{concept.description}</span>
+            )}
+            <span className="concept-creator">Created by: {concept.creator.principalId.toString().slice(0, 10)}...</span>
+          </li>
+        ))}
+        {hasMore && (
+          <li ref={sentinelRef} className="concepts-list__more">
+            <button type="button" onClick={onLoadMore} disabled={loading}>
+              {loading ? 'Loading...' : 'Load more'}
+            </button>
+          </li>
+        )}
+      </ul>
+      {loading && concepts.length === 0 && <div className="loading">Loading...</div>}
+      {!loading && !error && concepts.length === 0 && <div className="concepts-list__empty">No concepts found</div>}
+    </div>
+  );
+}
@@ -0,0 +1,204 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { getRelationshipTypeName, getConceptName, describeEditError } from '../utils/format';
+import { useProbabilityFormat } from '../hooks/useProbabilityFormat';
+import { useReliabilities } from '../hooks/useReliabilities';
+import { CreatorLabel } from './CreatorLabel';
+import { fetchMissingConcepts } from '../utils/relatedConcepts';
+import './ConflictsView.scss';
+
+const THRESHOLDS = [
+  { value: 0.1, label: '1/10' },
+  { value: 0.25, label: '1/4' },
+  { value: 0.5, label: '1/2' },
+];
+
+const KIND_LABELS = {
+  ProbabilityDisagreement: 'Conflicting probabilities',
+  Cycle: 'Cycle',
+  InheritanceDisagreement: 'Disagrees with inheritance',
+};
+
+function conflictKind(conflict) {
+  return Object.keys(conflict.kind)[0];
+}
+
+// Report of contradictory assertions with the resolution strategies the
+// backend offers for each kind of conflict. Checking every relationship is
+// costly on a large store, so it starts with the selected concept's
+export function ConflictsView({ client, concept, concepts, relationshipTypes, onResolved }) {
+  const formatProbability = useProbabilityFormat();
+  const [minDifference, setMinDifference] = useState(0.25);
+  const [wholeStore, setWholeStore] = useState(false);
+  const [type, setType] = useState('');
+  const [conflicts, setConflicts] = useState(null);
+  const [names, setNames] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [busyKey, setBusyKey] = useState(null);
+  const [error, setError] = useState(null);
+
+  const scopeId = wholeStore ? null : concept?.id ?? null;
+  const criteria = useMemo(
+    () => ({ minDifference, concept: scopeId, type: type || null }),
+    [minDifference, scopeId, type]
+  );
+
+  const loadConflicts = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const result = await client.analyzeConflicts(criteria);
+      setNames(await fetchMissingConcepts(client, concepts, result.flatMap(c => c.relationships)));
+      setConflicts(result);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [client, criteria]);
+
+  useEffect(() => {
+    loadConflicts();
+  }, [loadConflicts]);
+
+  const resolve = async (conflict, strategy, relationship) => {
+    try {
+      setBusyKey(conflict.key);
+      setError(null);
+      await client.resolveConflict(conflict.key, { strategy, relationship, ...criteria });
+      await loadConflicts();
+      onResolved();
+    } catch (err) {
+      setError(describeEditError(err));
+    } finally {
+      setBusyKey(null);
+    }
+  };
+
+  const reliabilities = useReliabilities(
+    client,
+    useMemo(() => (conflicts ?? []).flatMap(c => c.relationships.map(rel => rel.creator.principalId)), [conflicts])
+  );
+
+  const allConcepts = [...concepts, ...names];
+  const conceptName = (id) => getConceptName(allConcepts, id);
+  const typeName = (id) => getRelationshipTypeName(relationshipTypes, id);
+
+  const summarize = (conflict) => {
+    const [first] = conflict.relationships;
+    switch (conflictKind(conflict)) {
+      case 'Cycle':
+        return `${typeName(first.relationshipTypeId)} cycle through ${conflict.relationships.map(rel => conceptName(rel.fromConceptId)).join(', ')}`;
+      case 'InheritanceDisagreement':
+        return `${conceptName(first.fromConceptId)} ${typeName(first.relationshipTypeId)} ${conceptName(first.toConceptId)} is asserted at ${formatProbability(first.probability)} but inherited at ${formatProbability(conflict.kind.InheritanceDisagreement.probability)}`;
+      default:
+        return `${conceptName(first.fromConceptId)} ${typeName(first.relationshipTypeId)} ${conceptName(first.toConceptId)} is asserted ${conflict.relationships.length} times with different probabilities`;
+    }
+  };
+
+  return (
+    <div className="conflicts">
+      <h2>Conflicts</h2>
+      <div className="conflicts__toolbar">
+        <label>
+          Report probability gaps of at least
+          <select value={minDifference} onChange={(e) => setMinDifference(Number(e.target.value))}>
+            {THRESHOLDS.map(({ value, label }) => <option key={value} value={value}>{label}</option>)}
+          </select>
+        </label>
+        <label>
+          in
+          <select value={scopeId === null ? 'all' : 'concept'} onChange={(e) => setWholeStore(e.target.value === 'all')}>
+            {concept && <option value="concept">{concept.name}</option>}
+            <option value="all">all concepts</option>
+          </select>
+        </label>
+        <label>
+          of type
+          <select value={type} onChange={(e) => setType(e.target.value)}>
+            <option value="">any</option>
+            {relationshipTypes.map(t => <option key={t.id.toString()} value={t.name}>{t.name}</option>)}
+          </select>
+        </label>
+        <button type="button" onClick={loadConflicts} disabled={loading}>
+          {loading ? 'Analyzing...' : 'Refresh'}
+        </button>
+      </div>
+
+      {error && <div className="error">{error}</div>}
+      {conflicts && conflicts.length === 0 && <div className="conflicts__empty">No conflicts found</div>}
+
+      {conflicts?.map(conflict => {
+        const kind = conflictKind(conflict);
+        const busy = busyKey === conflict.key;
+        return (
+          <section key={conflict.key} className={`conflicts__item conflicts__item--${kind}`}>
+            <header>
+              <span className="conflicts__kind">{KIND_LABELS[kind]}</span>
+              {conflict.disputed.length > 0 && <span className="conflicts__badge">disputed</span>}
+            </header>
+            <p>{summarize(conflict)}</p>
+            <table className="conflicts__relationships">
+              <thead>
+                <tr>
+                  <th>Assertion</th>
+                  <th>P</th>
+                  <th>C</th>
+                  <th>Created by</th>
+                  <th aria-label="Actions" />
+                </tr>
+              </thead>
+              <tbody>
+                {conflict.relationships.map((rel, i) => {
+                  const disputed = conflict.disputed.includes(rel.id);
+                  return (
+                    <tr key={rel.id.toString()}>
+                      <td>
+                        {kind === 'InheritanceDisagreement' && (
+                          <span className="conflicts__role">{i === 0 ? 'asserted' : 'via'}</span>
+                        )}
+                        {conceptName(rel.fromConceptId)} {typeName(rel.relationshipTypeId)} {conceptName(rel.toConceptId)}
+                      </td>
+                      <td className="conflicts__fraction">{formatProbability(rel.probability)}</td>
+                      <td className="conflicts__fraction">{formatProbability(rel.confidence)}</td>
+                      <td>
+                        <CreatorLabel
+                          label={null}
+                          principal={rel.creator.principalId}
+                          reliability={reliabilities.get(rel.creator.principalId.toString())}
+                        />
+                      </td>
+                      <td>
+                        {disputed ? (
+                          <span className="conflicts__badge">disputed</span>
+                        ) : (
+                          <button
+                            type="button"
+                            className="conflicts__flag"
+                            onClick={() => resolve(conflict, 'MarkDisputed', rel.id)}
+                            disabled={busy}
+                          >
+                            Mark disputed
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+            <div className="conflicts__actions">
+              <button type="button" onClick={() => resolve(conflict, 'KeepHighestConfidence')} disabled={busy}>
+                {kind === 'Cycle' ? 'Retract the least confident links' : 'Keep highest confidence'}
+              </button>
+              {kind === 'InheritanceDisagreement' && (
+                <button type="button" onClick={() => resolve(conflict, 'CreateException')} disabled={busy}>
+                  Create exception
+                </button>
+              )}
+            </div>
+          </section>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,100 @@
+import React, { useState } from 'react';
+import { describeEditError } from '../utils/format';
+import './CreateConceptForm.scss';
+
+function describeMatch({ match, edits }) {
+  if (match === 'Exact') return 'same name';
+  if (match === 'Normalized') return 'same apart from case or plural';
+  return `${edits} letter${edits === 1 ? '' : 's'} different`;
+}
+
+// Sidebar form for new concepts. Before creating one it looks for concepts
+// with similar names and asks whether one of those was meant; an exact
+// match can only be opened, since creating it again would return it
+export function CreateConceptForm({ client, onCreated, onSelect }) {
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+  // Similar concepts for the name as typed; null until it has been checked
+  const [suggestions, setSuggestions] = useState(null);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState(null);
+
+  const exists = suggestions?.some(({ match }) => match === 'Exact');
+
+  const reset = () => {
+    setName('');
+    setDescription('');
+    setSuggestions(null);
+  };
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setWorking(true);
+    setError(null);
+    try {
+      if (suggestions === null) {
+        const similar = await client.findSimilarConcepts(name.trim());
+        if (similar.length > 0) {
+          setSuggestions(similar);
+          return;
+        }
+      }
+      await client.createConcept({ name: name.trim(), description: description.trim() || null });
+      reset();
+      onCreated();
+    } catch (err) {
+      setError(describeEditError(err));
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const open = (concept) => {
+    reset();
+    onSelect(concept);
+  };
+
+  return (
+    <div className="create-concept">
+      <h2>Create New Concept</h2>
+      <form onSubmit={submit}>
+        <input
+          type="text"
+          placeholder="Concept Name"
+          value={name}
+          onChange={(e) => {
+            setName(e.target.value);
+            setSuggestions(null);
+          }}
+          required
+        />
+        <textarea
+          placeholder="Description (optional)"
+          value={description}
+          onChange={(e) => setDescription(e.target.value)}
+        />
+        {suggestions && (
+          <div className="create-concept__suggestions" role="status">
+            <p>{exists ? `${name.trim()} already exists.` : 'Did you mean…?'}</p>
+            <ul>
+              {suggestions.map(similar => (
+                <li key={similar.concept.id.toString()}>
+                  <button type="button" className="create-concept__suggestion" onClick={() => open(similar.concept)}>
+                    {similar.concept.name}
+                  </button>
+                  <span className="create-concept__match">{describeMatch(similar)}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+        {error && <div className="error">{error}</div>}
+        {!exists && (
+          <button type="submit" disabled={working}>
+            {working ? 'Creating...' : suggestions ? 'Create anyway' : 'Create Concept'}
+          </button>
+        )}
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,19 @@
+import React from 'react';
+import { useProbabilityFormat } from '../hooks/useProbabilityFormat';
+import './CreatorLabel.scss';
+
+// Truncated principal followed by its reliability score, once loaded. Pass
+// label={null} where a column heading already says who it is
+export function CreatorLabel({ label = 'Created by', principal, reliability }) {
+  const formatProbability = useProbabilityFormat();
+  return (
+    <span className="creator-label">
+      {label && `${label}: `}{principal.toString().slice(0, 10)}...
+      {reliability && (
+        <span className="creator-label__reliability" title="How often other contributors have corroborated this principal">
+          reliability {formatProbability(reliability)}
+        </span>
+      )}
+    </span>
+  );
+}
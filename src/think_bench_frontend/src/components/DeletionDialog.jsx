@@ -0,0 +1,127 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { getRelationshipTypeName, getConceptName, describeEditError } from '../utils/format';
+import { useProbabilityFormat } from '../hooks/useProbabilityFormat';
+import { fetchMissingConcepts } from '../utils/relatedConcepts';
+import './DeletionDialog.scss';
+
+const MODE_LABELS = {
+  Soft: 'Move to trash (can be restored)',
+  Hard: 'Delete permanently, including its relationships',
+};
+
+// Confirmation dialog that previews what a deletion or retraction removes.
+// Pass `modes` to let the user pick between soft and hard deletion
+export function DeletionDialog({
+  client,
+  title,
+  loadImpact,
+  modes,
+  confirmLabel,
+  onConfirm,
+  onClose,
+  concepts,
+  relationshipTypes,
+}) {
+  const formatProbability = useProbabilityFormat();
+  const dialogRef = useRef(null);
+  const [impact, setImpact] = useState(null);
+  const [names, setNames] = useState([]);
+  const [mode, setMode] = useState(modes?.[0]);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    dialogRef.current?.showModal();
+  }, []);
+
+  // The preview is taken once, when the dialog opens
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        const result = await loadImpact();
+        const fetched = await fetchMissingConcepts(client, concepts, [
+          ...result.relationships,
+          ...result.inferred.map(edge => edge.relationship),
+        ]);
+        if (cancelled) return;
+        setNames(fetched);
+        setImpact(result);
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      }
+    })();
+    return () => { cancelled = true; };
+  }, []);
+
+  const confirm = async () => {
+    setWorking(true);
+    setError(null);
+    try {
+      await onConfirm(mode);
+    } catch (err) {
+      setError(describeEditError(err));
+      setWorking(false);
+    }
+  };
+
+  const allConcepts = [...concepts, ...names];
+  const describe = (rel) =>
+    `${getConceptName(allConcepts, rel.fromConceptId)} ${getRelationshipTypeName(relationshipTypes, rel.relationshipTypeId)} ${getConceptName(allConcepts, rel.toConceptId)}`;
+
+  return (
+    <dialog ref={dialogRef} className="deletion-dialog" onCancel={onClose}>
+      <h3>{title}</h3>
+      {!impact && !error && <div className="loading">Calculating impact...</div>}
+      {impact && (
+        <div className="deletion-dialog__impact">
+          <h4>
+            {impact.relationships.length} asserted relationship{impact.relationships.length === 1 ? '' : 's'} removed
+          </h4>
+          <ul>
+            {impact.relationships.map(rel => (
+              <li key={rel.id.toString()}>
+                {describe(rel)} <span className="deletion-dialog__probability">P: {formatProbability(rel.probability)}</span>
+              </li>
+            ))}
+          </ul>
+          <h4>
+            {impact.inferred.length} inferred edge{impact.inferred.length === 1 ? '' : 's'} no longer derived
+          </h4>
+          <ul>
+            {impact.inferred.map(({ relationship }) => (
+              <li key={`${relationship.fromConceptId}-${relationship.relationshipTypeId}-${relationship.toConceptId}`}>
+                {describe(relationship)} <span className="deletion-dialog__probability">P: {formatProbability(relationship.probability)}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+      {modes && (
+        <fieldset className="deletion-dialog__modes">
+          {modes.map(option => (
+            <label key={option}>
+              <input
+                type="radio"
+                name="deletion-mode"
+                value={option}
+                checked={mode === option}
+                onChange={() => setMode(option)}
+              />
+              {MODE_LABELS[option]}
+            </label>
+          ))}
+        </fieldset>
+      )}
+      {error && <div className="error">{error}</div>}
+      <div className="deletion-dialog__actions">
+        <button type="button" className="deletion-dialog__confirm" onClick={confirm} disabled={!impact || working}>
+          {working ? 'Working...' : confirmLabel}
+        </button>
+        <button type="button" className="deletion-dialog__cancel" onClick={onClose} disabled={working}>
+          Cancel
+        </button>
+      </div>
+    </dialog>
+  );
+}
@@ -0,0 +1,41 @@
+import React, { useEffect, useState } from 'react';
+import { categorize, compare, formatFraction, parseProbability } from '../utils/fraction';
+import './FractionInput.scss';
+
+// Text field for a probability or confidence. Accepts "0.85", "85%" or
+// "17/20" and reports the parsed fraction, or null while the text is not a
+// value between 0 and 1
+export function FractionInput({ label, value, onChange }) {
+  const [text, setText] = useState(() => (value ? formatFraction(value) : ''));
+  const parsed = parseProbability(text);
+
+  // Follow values set by the parent, e.g. a form reset after saving
+  useEffect(() => {
+    if (value && (!parsed || compare(parsed, value) !== 0)) setText(formatFraction(value));
+  }, [value]);
+
+  const update = (e) => {
+    setText(e.target.value);
+    onChange(parseProbability(e.target.value));
+  };
+
+  return (
+    <div className="fraction-input">
+      <label>
+        {label}:
+        <input
+          type="text"
+          inputMode="decimal"
+          placeholder="0.85, 85% or 17/20"
+          value={text}
+          onChange={update}
+          aria-invalid={!parsed}
+          required
+        />
+      </label>
+      <span className={`fraction-input__hint${parsed ? '' : ' fraction-input__hint--invalid'}`}>
+        {parsed ? `${formatFraction(parsed)} · ${categorize(parsed)}` : 'Enter a value between 0 and 1'}
+      </span>
+    </div>
+  );
+}
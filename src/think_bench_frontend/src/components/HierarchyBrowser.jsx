@@ -0,0 +1,184 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { MAX_PAGE_SIZE } from '../api/conceptBaseClient';
+import { getInferenceKind, isDeprecatedType } from '../utils/format';
+import { multiply } from '../utils/fraction';
+import { useProbabilityFormat } from '../hooks/useProbabilityFormat';
+import './HierarchyBrowser.scss';
+
+const CERTAIN = { numerator: 1n, denominator: 1n };
+
+// The concepts one asserted edge away: parents for 'Outgoing', children for
+// 'Incoming'
+async function loadLevel(client, conceptId, type, direction) {
+  const { items } = await client.infer(conceptId, { type, direction, maxDepth: 1, pageSize: MAX_PAGE_SIZE });
+  return items
+    .filter(({ source }) => getInferenceKind(source) === 'Direct')
+    .map(({ relationship }) => ({
+      id: direction === 'Outgoing' ? relationship.toConceptId : relationship.fromConceptId,
+      probability: relationship.probability,
+    }));
+}
+
+// A concept and, once expanded, the next level of the tree. `probability`
+// is the product along the branch from the browsed concept; concepts
+// already on the branch are left out so cycles stay finite
+function HierarchyNode({ tree, node, branch, autoExpand }) {
+  const formatProbability = useProbabilityFormat();
+  const [children, setChildren] = useState(null);
+  const [expanded, setExpanded] = useState(false);
+  const [error, setError] = useState(null);
+
+  const expand = async () => {
+    setExpanded(true);
+    if (children !== null) return;
+    try {
+      const level = await loadLevel(tree.client, node.id, tree.type, tree.direction);
+      await tree.loadNames(level.map(child => child.id));
+      setChildren(level
+        .filter(child => !branch.includes(child.id.toString()))
+        .map(child => ({ ...child, probability: multiply(node.probability, child.probability) })));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  useEffect(() => {
+    if (autoExpand > 0) expand();
+  }, []);
+
+  const isRoot = branch.length === 1;
+  const leaf = children !== null && children.length === 0;
+  return (
+    <li className="hierarchy-node">
+      <div className="hierarchy-node__row">
+        <button
+          type="button"
+          className="hierarchy-node__toggle"
+          aria-expanded={expanded}
+          aria-label={expanded ? 'Collapse' : 'Expand'}
+          onClick={() => (expanded ? setExpanded(false) : expand())}
+          disabled={leaf}
+        >
+          {leaf ? '·' : expanded ? '▾' : '▸'}
+        </button>
+        {isRoot ? (
+          <strong>{tree.nameOf(node.id)}</strong>
+        ) : (
+          <button type="button" className="hierarchy-node__name" onClick={() => tree.onSelect(node.id)}>
+            {tree.nameOf(node.id)}
+          </button>
+        )}
+        {!isRoot && <span className="hierarchy-node__probability">P: {formatProbability(node.probability)}</span>}
+      </div>
+      {error && <div className="error">{error}</div>}
+      {expanded && children === null && !error && <div className="loading">Loading...</div>}
+      {expanded && children?.length > 0 && (
+        <ul className="hierarchy-node__children">
+          {children.map(child => (
+            <HierarchyNode
+              key={child.id.toString()}
+              tree={tree}
+              node={child}
+              branch={[...branch, child.id.toString()]}
+              autoExpand={autoExpand - 1}
+            />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+}
+
+// Collapsible trees of what a concept is (its ancestors through the chosen
+// type) and what it covers (its descendants: subclasses, parts and so on), with
+// totals from inference in both directions. Selecting a concept in either
+// tree browses from it instead
+export function HierarchyBrowser({ client, concept, concepts, relationshipTypes, onSelect }) {
+  const [typeId, setTypeId] = useState('0'); // Default to IS-A
+  const [totals, setTotals] = useState(null);
+  const [names, setNames] = useState(() => new Map());
+  const namesRef = useRef(names);
+  namesRef.current = names;
+
+  const nameOf = (id) => {
+    const key = id.toString();
+    return concepts.find(c => c.id.toString() === key)?.name ?? names.get(key) ?? `Concept ${key}`;
+  };
+
+  // Fetches the names of concepts the sidebar has not paged in yet
+  const loadNames = useCallback(async (ids) => {
+    const known = new Set([...concepts.map(c => c.id.toString()), ...namesRef.current.keys()]);
+    const missing = [...new Set(ids.map(id => id.toString()))].filter(id => !known.has(id));
+    if (missing.length === 0) return;
+    const fetched = await Promise.all(missing.map(id => client.getConcept(id)));
+    setNames(previous => new Map([...previous, ...fetched.map(c => [c.id.toString(), c.name])]));
+  }, [client, concepts]);
+
+  useEffect(() => {
+    let cancelled = false;
+    setTotals(null);
+    client.infer(concept.id, { type: typeId, direction: 'Both', pageSize: MAX_PAGE_SIZE })
+      .then(({ items }) => {
+        if (cancelled) return;
+        const outgoing = items.filter(({ relationship }) => relationship.fromConceptId.toString() === concept.id.toString());
+        setTotals({ ancestors: outgoing.length, descendants: items.length - outgoing.length });
+      })
+      .catch(() => {
+        // The trees still load; only the totals are missing
+        if (!cancelled) setTotals(null);
+      });
+    return () => { cancelled = true; };
+  }, [client, concept.id, typeId]);
+
+  const selectById = async (id) => {
+    onSelect(concepts.find(c => c.id.toString() === id.toString()) ?? await client.getConcept(id));
+  };
+
+  const trees = [
+    // Ancestor chains are usually short, so they open all the way
+    { direction: 'Outgoing', title: 'Ancestors', total: totals?.ancestors, autoExpand: Infinity },
+    { direction: 'Incoming', title: 'Descendants', total: totals?.descendants, autoExpand: 1 },
+  ];
+  const typeName = relationshipTypes.find(t => t.id.toString() === typeId)?.name ?? 'IS-A';
+
+  return (
+    <div className="hierarchy-browser">
+      <div className="hierarchy-browser__header">
+        <h2>{concept.name}</h2>
+        <label>
+          Relationship type
+          <select value={typeId} onChange={(e) => setTypeId(e.target.value)}>
+            {relationshipTypes
+              .filter(type => !isDeprecatedType(type))
+              .map(type => (
+                <option key={type.id.toString()} value={type.id.toString()}>{type.name}</option>
+              ))}
+          </select>
+        </label>
+      </div>
+
+      <div className="hierarchy-browser__trees">
+        {trees.map(({ direction, title, total, autoExpand }) => (
+          <section key={direction} className="hierarchy-browser__tree">
+            <h3>
+              {title}
+              {total !== undefined && <span className="hierarchy-browser__total">{total}</span>}
+            </h3>
+            <p className="hierarchy-browser__hint">
+              {direction === 'Outgoing' ? `${concept.name} ${typeName} ...` : `... ${typeName} ${concept.name}`}
+            </p>
+            <ul>
+              <HierarchyNode
+                key={`${concept.id}-${typeId}`}
+                tree={{ client, type: typeId, direction, nameOf, loadNames, onSelect: selectById }}
+                node={{ id: concept.id, probability: CERTAIN }}
+                branch={[concept.id.toString()]}
+                autoExpand={autoExpand}
+              />
+            </ul>
+          </section>
+        ))}
+      </div>
+    </div>
+  );
+}
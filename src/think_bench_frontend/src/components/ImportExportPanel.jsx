@@ -0,0 +1,130 @@
+import React, { useState } from 'react';
+import { FORMATS, detectFormat, fetchConceptBase, toSnapshot, serialize, parseImport, runImport } from '../utils/importExport';
+import './ImportExportPanel.scss';
+
+function download(text, format) {
+  const { extension, mimeType } = FORMATS[format];
+  const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `concept-base.${extension}`;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+// Downloads the whole concept base and loads JSON, CSV or Turtle files back in
+export function ImportExportPanel({ client, onImported }) {
+  const [exportFormat, setExportFormat] = useState('json');
+  const [file, setFile] = useState(null);
+  const [importFormat, setImportFormat] = useState('');
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  const busy = progress !== null;
+
+  const exportData = async () => {
+    try {
+      setProgress('Exporting');
+      setError(null);
+      download(serialize(toSnapshot(await fetchConceptBase(client)), exportFormat), exportFormat);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  const selectFile = (e) => {
+    const selected = e.target.files[0] ?? null;
+    setFile(selected);
+    setImportFormat(selected ? detectFormat(selected.name) ?? '' : '');
+    setResult(null);
+    setError(null);
+  };
+
+  const importData = async (e) => {
+    e.preventDefault();
+    try {
+      setProgress('Reading file');
+      setError(null);
+      setResult(null);
+      const parsed = parseImport(await file.text(), importFormat);
+      setResult(await runImport(client, parsed, { onProgress: setProgress }));
+      await onImported();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  return (
+    <div className="import-export">
+      <h2>Import &amp; Export</h2>
+      {error && <div className="error">{error}</div>}
+
+      <section className="import-export__section">
+        <h3>Export</h3>
+        <p className="import-export__hint">
+          Concepts, relationships and relationship types, ordered by ID so backups can be diffed.
+        </p>
+        <div className="import-export__row">
+          <select value={exportFormat} onChange={(e) => setExportFormat(e.target.value)}>
+            {Object.entries(FORMATS).map(([format, { label }]) => (
+              <option key={format} value={format}>{label}</option>
+            ))}
+          </select>
+          <button type="button" onClick={exportData} disabled={busy}>Download</button>
+        </div>
+      </section>
+
+      <section className="import-export__section">
+        <h3>Import</h3>
+        <p className="import-export__hint">
+          Concepts are matched by name and created when missing. CSV files need
+          <code>from</code>, <code>relationship</code> and <code>to</code> columns.
+        </p>
+        <form className="import-export__row" onSubmit={importData}>
+          <input type="file" accept=".json,.csv,.ttl" onChange={selectFile} />
+          <select value={importFormat} onChange={(e) => setImportFormat(e.target.value)} required>
+            <option value="">Format</option>
+            {Object.entries(FORMATS).map(([format, { label }]) => (
+              <option key={format} value={format}>{label}</option>
+            ))}
+          </select>
+          <button type="submit" disabled={busy || !file}>Import</button>
+        </form>
+
+        {busy && <div className="loading">{progress}...</div>}
+
+        {result && (
+          <div className="import-export__result">
+            <p>
+              Created {result.conceptsCreated} concepts and {result.typesCreated} relationship types;
+              asserted {result.relationshipsAsserted} relationships.
+            </p>
+            {result.errors.length > 0 && (
+              <table className="import-export__errors">
+                <thead>
+                  <tr>
+                    <th>Row</th>
+                    <th>Error</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.errors.map((rowError, i) => (
+                    <tr key={i}>
+                      <td>{rowError.row ?? '—'}</td>
+                      <td>{rowError.message}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        )}
+      </section>
+    </div>
+  );
+}
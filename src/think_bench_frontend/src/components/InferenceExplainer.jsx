@@ -0,0 +1,164 @@
+import React, { useMemo, useState } from 'react';
+import { getRelationshipTypeName, getConceptName, getInferenceKind } from '../utils/format';
+import { useProbabilityFormat } from '../hooks/useProbabilityFormat';
+import { useReliabilities } from '../hooks/useReliabilities';
+import { CreatorLabel } from './CreatorLabel';
+import './InferenceExplainer.scss';
+
+const INFERENCE_LABELS = {
+  Transitive: '(Inferred through transitivity)',
+  IncomingTransitive: '(Inferred through transitivity)',
+  Symmetric: '(Inferred through symmetry)',
+  Inherited: '(Inherited through IS-A)',
+};
+
+// How the last hop of an inherited chain combines with the IS-A links before it
+const INHERITANCE_RULES = {
+  MINIMUM: 'lower of the IS-A chain and the inherited assertion',
+  MAXIMUM: 'higher of the IS-A chain and the inherited assertion',
+  OVERRIDE: 'nearest assertion, unchanged',
+};
+
+function inheritanceMode(relationshipTypes, typeId) {
+  const type = relationshipTypes.find(t => t.id === typeId);
+  return type ? Object.keys(type.properties.inheritance.probabilityMode)[0] : 'MULTIPLY';
+}
+
+// Expandable "why?" panel resolving an inferred relationship back to the
+// directly asserted relationships it was derived from
+export function InferenceExplainer({ client, inferred, startConceptId, inferenceOptions, concepts, relationshipTypes }) {
+  const formatProbability = useProbabilityFormat();
+  const [expanded, setExpanded] = useState(false);
+  const [explanation, setExplanation] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const kind = getInferenceKind(inferred.source);
+  // Inherited edges only appear when inference runs for their own type
+  const options = kind === 'Inherited'
+    ? { ...inferenceOptions, type: inferred.relationship.relationshipTypeId }
+    : inferenceOptions;
+  const mode = kind === 'Inherited'
+    ? inheritanceMode(relationshipTypes, inferred.relationship.relationshipTypeId)
+    : 'MULTIPLY';
+
+  const loadExplanation = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      // Incoming chains start at the other concept and end at this one
+      const target = kind === 'IncomingTransitive' ? inferred.relationship.fromConceptId : inferred.relationship.toConceptId;
+      setExplanation(await client.explain(startConceptId, target, options));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggle = () => {
+    if (!expanded && !explanation) {
+      loadExplanation();
+    }
+    setExpanded(!expanded);
+  };
+
+  const steps = explanation?.steps ?? [];
+  const final = steps[steps.length - 1];
+  const reliabilities = useReliabilities(
+    client,
+    useMemo(() => (explanation?.steps ?? []).map(step => step.relationship.creator.principalId), [explanation])
+  );
+
+  return (
+    <div className="inference-explainer">
+      <span className="inference-info">
+        {INFERENCE_LABELS[kind]}
+      </span>
+      <button
+        type="button"
+        className="inference-explainer__toggle"
+        aria-expanded={expanded}
+        onClick={toggle}
+      >
+        {expanded ? 'Hide' : 'Why?'}
+      </button>
+
+      {expanded && (
+        <div className="inference-explainer__panel">
+          {loading && <div className="loading">Resolving inference chain...</div>}
+          {error && <div className="error">{error}</div>}
+          {!loading && !error && final && (
+            <>
+              <ol className="inference-explainer__steps">
+                {steps.map((step, i) => (
+                  <li key={`${step.relationship.id}-${i}`} className="inference-explainer__step">
+                    <div className="inference-explainer__assertion">
+                      {getConceptName(concepts, step.relationship.fromConceptId)}{' '}
+                      <strong>{getRelationshipTypeName(relationshipTypes, step.relationship.relationshipTypeId)}</strong>{' '}
+                      {getConceptName(concepts, step.relationship.toConceptId)}
+                    </div>
+                    <div className="inference-explainer__values">
+                      P: {formatProbability(step.relationship.probability)}
+                      {' '}Effective C: {formatProbability(step.relationship.confidence)}
+                      <span className="inference-explainer__creator">
+                        <CreatorLabel
+                          label="Asserted by"
+                          principal={step.relationship.creator.principalId}
+                          reliability={reliabilities.get(step.relationship.creator.principalId.toString())}
+                        />
+                      </span>
+                    </div>
+                    {kind === 'Symmetric' && (
+                      <div className="inference-explainer__combined">
+                        Reversed because {getRelationshipTypeName(relationshipTypes, step.relationship.relationshipTypeId)} is symmetric
+                      </div>
+                    )}
+                    {i > 0 && (
+                      <div className="inference-explainer__combined">
+                        Chain so far: P {formatProbability(step.probability)}, C {formatProbability(step.confidence)}
+                      </div>
+                    )}
+                  </li>
+                ))}
+              </ol>
+
+              {steps.length > 1 && (
+                <dl className="inference-explainer__summary">
+                  {mode === 'MULTIPLY' ? (
+                    <>
+                      <dt>Probability (product of each hop)</dt>
+                      <dd>
+                        {steps.map(s => formatProbability(s.relationship.probability)).join(' × ')}
+                        {' = '}{formatProbability(final.probability)}
+                      </dd>
+                    </>
+                  ) : (
+                    <>
+                      <dt>Probability ({INHERITANCE_RULES[mode]})</dt>
+                      <dd>{formatProbability(final.probability)}</dd>
+                    </>
+                  )}
+                  {mode === 'OVERRIDE' ? (
+                    <>
+                      <dt>Confidence (nearest assertion, unchanged)</dt>
+                      <dd>{formatProbability(final.confidence)}</dd>
+                    </>
+                  ) : (
+                    <>
+                      <dt>Confidence (weakest hop)</dt>
+                      <dd>
+                        min({steps.map(s => formatProbability(s.relationship.confidence)).join(', ')})
+                        {' = '}{formatProbability(final.confidence)}
+                      </dd>
+                    </>
+                  )}
+                </dl>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,58 @@
+import React from 'react';
+import { InferenceExplainer } from './InferenceExplainer';
+import { getRelationshipTypeName, getConceptName } from '../utils/format';
+import { useProbabilityFormat } from '../hooks/useProbabilityFormat';
+import './InheritedProperties.scss';
+
+// Groups inherited relationships by the ancestor that asserts them, nearest
+// ancestor first (the order inference returns them in)
+function groupByAncestor(inherited) {
+  const groups = new Map();
+  for (const rel of inherited) {
+    const ancestor = rel.source.Inherited.ancestor.toString();
+    if (!groups.has(ancestor)) groups.set(ancestor, []);
+    groups.get(ancestor).push(rel);
+  }
+  return [...groups];
+}
+
+// Relationships the selected concept inherits down IS-A chains, each labeled
+// with the ancestor it came from
+export function InheritedProperties({ client, inherited, startConceptId, inferenceOptions, concepts, relationshipTypes }) {
+  const formatProbability = useProbabilityFormat();
+
+  if (inherited.length === 0) return null;
+
+  return (
+    <div className="inherited-properties">
+      <h3>Inherited properties</h3>
+      {groupByAncestor(inherited).map(([ancestor, items]) => (
+        <section key={ancestor} className="inherited-properties__group">
+          <h4>From {getConceptName(concepts, ancestor)}</h4>
+          <ul>
+            {items.map(rel => (
+              <li key={rel.source.Inherited.relationship.toString()} className="inherited-properties__item">
+                <span className="inherited-properties__type">
+                  {getRelationshipTypeName(relationshipTypes, rel.relationship.relationshipTypeId)}
+                </span>
+                {getConceptName(concepts, rel.relationship.toConceptId)}
+                <span className="inherited-properties__values">
+                  P: {formatProbability(rel.relationship.probability)}
+                  {' '}C: {formatProbability(rel.relationship.confidence)}
+                </span>
+                <InferenceExplainer
+                  client={client}
+                  inferred={rel}
+                  startConceptId={startConceptId}
+                  inferenceOptions={inferenceOptions}
+                  concepts={concepts}
+                  relationshipTypes={relationshipTypes}
+                />
+              </li>
+            ))}
+          </ul>
+        </section>
+      ))}
+    </div>
+  );
+}
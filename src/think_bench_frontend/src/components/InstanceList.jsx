@@ -0,0 +1,84 @@
+import React, { useEffect, useState } from 'react';
+import { InferenceExplainer } from './InferenceExplainer';
+import { getConceptName, getInferenceKind } from '../utils/format';
+import { fetchMissingConcepts } from '../utils/relatedConcepts';
+import { useProbabilityFormat } from '../hooks/useProbabilityFormat';
+import './InstanceList.scss';
+
+const INSTANCE_OPTIONS = { type: 'INSTANCE-OF', direction: 'Incoming' };
+
+// The individuals of a class: those asserted INSTANCE-OF it, then those of
+// its IS-A descendants, which inference makes instances of it too
+export function InstanceList({ client, concept, concepts, relationshipTypes, onSelect }) {
+  const formatProbability = useProbabilityFormat();
+  const [instances, setInstances] = useState(null);
+  const [names, setNames] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setInstances(null);
+    setError(null);
+    (async () => {
+      const items = await client.inferAll(concept.id, INSTANCE_OPTIONS);
+      const missing = await fetchMissingConcepts(client, concepts, items.map(item => item.relationship));
+      if (cancelled) return;
+      setNames(missing);
+      setInstances(items);
+    })().catch(err => {
+      if (!cancelled) setError(err.message);
+    });
+    return () => { cancelled = true; };
+  }, [client, concept.id]);
+
+  const allConcepts = [...concepts, ...names];
+  const selectById = async (id) => {
+    onSelect(allConcepts.find(c => c.id.toString() === id.toString()) ?? await client.getConcept(id));
+  };
+
+  const groups = instances && [
+    { title: 'Direct instances', items: instances.filter(item => getInferenceKind(item.source) === 'Direct') },
+    { title: 'Through subclasses', items: instances.filter(item => getInferenceKind(item.source) !== 'Direct') },
+  ];
+
+  return (
+    <div className="instance-list">
+      <h2>Instances of {concept.name}</h2>
+      {error && <div className="error">{error}</div>}
+      {!instances && !error && <div className="loading">Loading instances...</div>}
+      {instances?.length === 0 && (
+        <p className="instance-list__empty">
+          Nothing is INSTANCE-OF {concept.name} yet. Assert one with, say, <code>Fido INSTANCE-OF {concept.name}</code>.
+        </p>
+      )}
+      {groups?.filter(({ items }) => items.length > 0).map(({ title, items }) => (
+        <section key={title} className="instance-list__group">
+          <h3>{title}<span className="instance-list__total">{items.length}</span></h3>
+          <ul>
+            {items.map(item => (
+              <li key={item.relationship.fromConceptId.toString()} className="instance-list__item">
+                <button type="button" className="instance-list__name" onClick={() => selectById(item.relationship.fromConceptId)}>
+                  {getConceptName(allConcepts, item.relationship.fromConceptId)}
+                </button>
+                <span className="instance-list__values">
+                  P: {formatProbability(item.relationship.probability)}
+                  {' '}C: {formatProbability(item.relationship.confidence)}
+                </span>
+                {getInferenceKind(item.source) !== 'Direct' && (
+                  <InferenceExplainer
+                    client={client}
+                    inferred={item}
+                    startConceptId={concept.id}
+                    inferenceOptions={INSTANCE_OPTIONS}
+                    concepts={allConcepts}
+                    relationshipTypes={relationshipTypes}
+                  />
+                )}
+              </li>
+            ))}
+          </ul>
+        </section>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,114 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { describeEditError } from '../utils/format';
+import './MergeDialog.scss';
+
+// How many similarly named concepts are offered ahead of the rest
+const SIMILAR_LIMIT = 10;
+
+// Folds a duplicate into another concept. Concepts with similar names are
+// offered first, and either side can be the one kept
+export function MergeDialog({ client, concept, concepts, onMerged, onClose }) {
+  const dialogRef = useRef(null);
+  const [similar, setSimilar] = useState(null);
+  const [otherId, setOtherId] = useState('');
+  // Whether the concept the dialog was opened for is the one kept
+  const [keepSelected, setKeepSelected] = useState(true);
+  const [reason, setReason] = useState('');
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    dialogRef.current?.showModal();
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        const found = (await client.findSimilarConcepts(concept.name, { limit: SIMILAR_LIMIT }))
+          .map(match => match.concept)
+          .filter(c => c.id.toString() !== concept.id.toString());
+        if (cancelled) return;
+        setSimilar(found);
+        if (found.length > 0) setOtherId(found[0].id.toString());
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      }
+    })();
+    return () => { cancelled = true; };
+  }, []);
+
+  const listed = new Set([concept, ...(similar ?? [])].map(c => c.id.toString()));
+  const rest = concepts.filter(c => !listed.has(c.id.toString()));
+  const other = [...(similar ?? []), ...rest].find(c => c.id.toString() === otherId);
+  const [keep, remove] = keepSelected ? [concept, other] : [other, concept];
+
+  const merge = async (e) => {
+    e.preventDefault();
+    setWorking(true);
+    setError(null);
+    try {
+      await client.mergeConcepts(keep.id, remove.id, { reason: reason.trim() });
+      onMerged(keep);
+    } catch (err) {
+      setError(describeEditError(err));
+      setWorking(false);
+    }
+  };
+
+  return (
+    <dialog ref={dialogRef} className="merge-dialog" onCancel={onClose}>
+      <h3>Merge a duplicate of {concept.name}</h3>
+      {!similar && !error && <div className="loading">Looking for similar names...</div>}
+      {similar && (
+        <form onSubmit={merge}>
+          <label>
+            Duplicate
+            <select value={otherId} onChange={(e) => setOtherId(e.target.value)} required>
+              <option value="">Choose a concept</option>
+              {similar.length > 0 && (
+                <optgroup label="Similar names">
+                  {similar.map(c => <option key={c.id.toString()} value={c.id.toString()}>{c.name}</option>)}
+                </optgroup>
+              )}
+              <optgroup label="Other concepts">
+                {rest.map(c => <option key={c.id.toString()} value={c.id.toString()}>{c.name}</option>)}
+              </optgroup>
+            </select>
+          </label>
+          {other && (
+            <>
+              <div className="merge-dialog__direction">
+                <span>Keep <strong>{keep.name}</strong> and merge <strong>{remove.name}</strong> into it</span>
+                <button type="button" className="merge-dialog__swap" onClick={() => setKeepSelected(!keepSelected)}>
+                  Swap
+                </button>
+              </div>
+              <p className="merge-dialog__note">
+                {`Relationships from and to ${remove.name} move to ${keep.name}. Any that would repeat one of ` +
+                  `${keep.name}'s from the same person collapse into the more confident, and metadata ` +
+                  `${keep.name} lacks is copied over. Links to ${remove.name} open ${keep.name} from now on.`}
+              </p>
+            </>
+          )}
+          <input
+            type="text"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            placeholder="Reason for merging (optional)"
+          />
+          {error && <div className="error">{error}</div>}
+          <div className="merge-dialog__actions">
+            <button type="submit" className="merge-dialog__confirm" disabled={!other || working}>
+              {working ? 'Merging...' : 'Merge'}
+            </button>
+            <button type="button" className="merge-dialog__cancel" onClick={onClose} disabled={working}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+      {!similar && error && <div className="error">{error}</div>}
+    </dialog>
+  );
+}
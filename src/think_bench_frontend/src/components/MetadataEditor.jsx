@@ -0,0 +1,56 @@
+import React from 'react';
+import './MetadataEditor.scss';
+
+// Editable list of metadata key/value pairs, in the [key, value] tuple shape
+// the backend uses
+export function MetadataEditor({ value, onChange }) {
+  const update = (index, position, text) => {
+    onChange(value.map((entry, i) => {
+      if (i !== index) return entry;
+      const next = [...entry];
+      next[position] = text;
+      return next;
+    }));
+  };
+
+  return (
+    <div className="metadata-editor">
+      {value.map(([key, entryValue], i) => (
+        <div key={i} className="metadata-editor__row">
+          <input
+            type="text"
+            placeholder="Key"
+            aria-label="Metadata key"
+            value={key}
+            onChange={(e) => update(i, 0, e.target.value)}
+          />
+          <input
+            type="text"
+            placeholder="Value"
+            aria-label="Metadata value"
+            value={entryValue}
+            onChange={(e) => update(i, 1, e.target.value)}
+          />
+          <button
+            type="button"
+            className="metadata-editor__remove"
+            aria-label={`Remove ${key || 'entry'}`}
+            onClick={() => onChange(value.filter((_, j) => j !== i))}
+          >
+            ×
+          </button>
+        </div>
+      ))}
+      <button type="button" className="metadata-editor__add" onClick={() => onChange([...value, ['', '']])}>
+        Add metadata
+      </button>
+    </div>
+  );
+}
+
+// Drops rows without a key before saving
+export function cleanMetadata(metadata) {
+  return metadata
+    .map(([key, value]) => [key.trim(), value.trim()])
+    .filter(([key]) => key !== '');
+}
@@ -0,0 +1,187 @@
+import React, { useMemo, useState } from 'react';
+import { ConceptGraph } from './ConceptGraph';
+import { getRelationshipTypeName, getConceptName, isDeprecatedType } from '../utils/format';
+import { fetchMissingConcepts } from '../utils/relatedConcepts';
+import { useProbabilityFormat } from '../hooks/useProbabilityFormat';
+import './PathFinder.scss';
+
+const PATH_COUNTS = [1, 3, 5, 10];
+
+// "How are A and B related?": the most probable chains of assertions from
+// one concept to another, listed and drawn with the chosen one highlighted
+export function PathFinder({ client, concepts, relationshipTypes, initialFrom, onSelect }) {
+  const formatProbability = useProbabilityFormat();
+  const [fromId, setFromId] = useState(initialFrom?.id.toString() ?? '');
+  const [toId, setToId] = useState('');
+  // Unchecked types, so types created after the finder opened are allowed
+  const [excludedTypeIds, setExcludedTypeIds] = useState(() => new Set());
+  const [k, setK] = useState(3);
+  const [paths, setPaths] = useState(null);
+  const [searched, setSearched] = useState(null);
+  const [names, setNames] = useState([]);
+  const [selectedPath, setSelectedPath] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const sortedConcepts = useMemo(
+    () => [...concepts].sort((a, b) => a.name.localeCompare(b.name)),
+    [concepts]
+  );
+
+  const toggleType = (id) => {
+    setExcludedTypeIds(current => {
+      const next = new Set(current);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const typeIds = relationshipTypes.map(t => t.id.toString()).filter(id => !excludedTypeIds.has(id));
+    if (typeIds.length === 0) {
+      setError('Allow at least one relationship type');
+      return;
+    }
+    try {
+      setLoading(true);
+      setError(null);
+      const result = await client.findPaths(fromId, toId, { types: typeIds, k });
+      setNames(await fetchMissingConcepts(client, concepts, result.flatMap(path => path.steps.map(step => step.relationship))));
+      setPaths(result);
+      setSearched({ fromId, toId });
+      setSelectedPath(0);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const allConcepts = [...concepts, ...names];
+  const conceptName = (id) => getConceptName(allConcepts, id);
+
+  // Every concept and assertion on any path, each relationship drawn once
+  const graph = useMemo(() => {
+    const relationships = new Map();
+    for (const path of paths ?? []) {
+      for (const { relationship } of path.steps) {
+        if (!relationships.has(relationship.id)) relationships.set(relationship.id, relationship);
+      }
+    }
+    const ids = new Set([...relationships.values()].flatMap(rel => [rel.fromConceptId.toString(), rel.toConceptId.toString()]));
+    return {
+      concepts: [...concepts, ...names].filter((c, i, all) => ids.has(c.id.toString()) && all.findIndex(o => o.id === c.id) === i),
+      relationships: [...relationships.values()],
+    };
+  }, [paths, concepts, names]);
+
+  const highlightedIds = paths?.[selectedPath]
+    ? new Set(paths[selectedPath].steps.map(step => step.relationship.id.toString()))
+    : null;
+
+  return (
+    <div className="path-finder">
+      <h2>How are they related?</h2>
+      <form className="path-finder__form" onSubmit={handleSubmit}>
+        <div className="path-finder__concepts">
+          <label>
+            From
+            <select value={fromId} onChange={(e) => setFromId(e.target.value)} required>
+              <option value="">Select a concept</option>
+              {sortedConcepts.map(c => <option key={c.id.toString()} value={c.id.toString()}>{c.name}</option>)}
+            </select>
+          </label>
+          <button
+            type="button"
+            className="path-finder__swap"
+            aria-label="Swap concepts"
+            onClick={() => {
+              setFromId(toId);
+              setToId(fromId);
+            }}
+          >
+            ⇄
+          </button>
+          <label>
+            To
+            <select value={toId} onChange={(e) => setToId(e.target.value)} required>
+              <option value="">Select a concept</option>
+              {sortedConcepts.map(c => <option key={c.id.toString()} value={c.id.toString()}>{c.name}</option>)}
+            </select>
+          </label>
+          <label>
+            Paths
+            <select value={k} onChange={(e) => setK(Number(e.target.value))}>
+              {PATH_COUNTS.map(count => <option key={count} value={count}>{count}</option>)}
+            </select>
+          </label>
+        </div>
+
+        <fieldset className="path-finder__types">
+          <legend>Relationship types a path may use</legend>
+          {relationshipTypes.map(type => (
+            <label key={type.id.toString()} className={isDeprecatedType(type) ? 'path-finder__type--deprecated' : ''}>
+              <input
+                type="checkbox"
+                checked={!excludedTypeIds.has(type.id.toString())}
+                onChange={() => toggleType(type.id.toString())}
+              />
+              {type.name}
+            </label>
+          ))}
+        </fieldset>
+
+        <button type="submit" disabled={loading || !fromId || !toId || fromId === toId}>
+          {loading ? 'Searching...' : 'Find paths'}
+        </button>
+      </form>
+
+      {error && <div className="error">{error}</div>}
+      {paths && paths.length === 0 && (
+        <div className="path-finder__empty">
+          No path leads from {conceptName(searched.fromId)} to {conceptName(searched.toId)} through the allowed types
+        </div>
+      )}
+
+      {paths?.length > 0 && (
+        <>
+          <ol className="path-finder__paths">
+            {paths.map((path, index) => (
+              <li key={index}>
+                <button
+                  type="button"
+                  className={`path-finder__path${index === selectedPath ? ' path-finder__path--selected' : ''}`}
+                  aria-pressed={index === selectedPath}
+                  onClick={() => setSelectedPath(index)}
+                >
+                  <span className="path-finder__chain">
+                    {conceptName(path.steps[0].relationship.fromConceptId)}
+                    {path.steps.map(({ relationship }) => (
+                      <React.Fragment key={`${relationship.id}-${relationship.toConceptId}`}>
+                        <span className="path-finder__type">{getRelationshipTypeName(relationshipTypes, relationship.relationshipTypeId)}</span>
+                        {conceptName(relationship.toConceptId)}
+                      </React.Fragment>
+                    ))}
+                  </span>
+                  <span className="path-finder__values">
+                    P: {formatProbability(path.probability)} · C: {formatProbability(path.confidence)}
+                  </span>
+                </button>
+              </li>
+            ))}
+          </ol>
+
+          <ConceptGraph
+            concepts={graph.concepts}
+            relationships={graph.relationships}
+            relationshipTypes={relationshipTypes}
+            highlightedIds={highlightedIds}
+            onSelect={onSelect}
+          />
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,111 @@
+import React, { useState } from 'react';
+import { EXAMPLE_QUERIES, describePlan, runQuery } from '../utils/patternQuery';
+import { getRelationshipTypeName, getInferenceKind } from '../utils/format';
+import { useProbabilityFormat } from '../hooks/useProbabilityFormat';
+import './QueryConsole.scss';
+
+// Editor and result table for pattern queries such as
+// `?x IS-A Mammal AND ?x HAS-A Wings WHERE p >= 0.8`
+export function QueryConsole({ client, inferenceOptions, relationshipTypes, onSelectConcept }) {
+  const formatProbability = useProbabilityFormat();
+  const [text, setText] = useState(EXAMPLE_QUERIES[0]);
+  const [result, setResult] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+
+  const run = async (e) => {
+    e?.preventDefault();
+    if (!text.trim()) return;
+    try {
+      setProgress('Planning');
+      setError(null);
+      setResult(null);
+      setResult(await runQuery(client, text, { inferenceOptions, onProgress: setProgress }));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  const runOnShortcut = (e) => {
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) run(e);
+  };
+
+  return (
+    <div className="query-console">
+      <h2>Query</h2>
+      <form className="query-console__editor" onSubmit={run}>
+        <textarea
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          onKeyDown={runOnShortcut}
+          spellCheck={false}
+          aria-label="Pattern query"
+        />
+        <div className="query-console__toolbar">
+          <button type="submit" disabled={progress !== null}>
+            {progress ?? 'Run'}
+          </button>
+          <span className="query-console__hint">Ctrl+Enter to run. Examples:</span>
+          {EXAMPLE_QUERIES.map(example => (
+            <button key={example} type="button" className="query-console__example" onClick={() => setText(example)}>
+              {example}
+            </button>
+          ))}
+        </div>
+      </form>
+
+      {error && <div className="error">{error}</div>}
+
+      {result && (
+        <section className="query-console__result">
+          <ol className="query-console__plan" aria-label="Query plan">
+            {describePlan(result.plan).map((step, i) => <li key={i}>{step}</li>)}
+          </ol>
+          {result.rows.length === 0 ? (
+            <div className="query-console__empty">No matches</div>
+          ) : (
+            <table className="query-console__table">
+              <thead>
+                <tr>
+                  {result.variables.map(name => <th key={name}>?{name}</th>)}
+                  <th>P</th>
+                  <th>C</th>
+                  <th>Matched</th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.rows.map((row, i) => (
+                  <tr key={i}>
+                    {result.variables.map(name => (
+                      <td key={name}>
+                        <button
+                          type="button"
+                          className="query-console__concept"
+                          onClick={() => onSelectConcept(row.bindings[name])}
+                        >
+                          {row.bindings[name].name}
+                        </button>
+                      </td>
+                    ))}
+                    <td className="query-console__fraction">{formatProbability(row.probability)}</td>
+                    <td className="query-console__fraction">{formatProbability(row.confidence)}</td>
+                    <td className="query-console__edges">
+                      {row.edges.map(({ relationship, source }, j) => (
+                        <span key={j}>
+                          {getRelationshipTypeName(relationshipTypes, relationship.relationshipTypeId)}
+                          {' '}({getInferenceKind(source).toLowerCase()})
+                        </span>
+                      ))}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </section>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,288 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import {
+  EXAMPLE_STATEMENTS, parseStatements, statementNames, lookupConcepts, submitStatements, wordAt, applyCompletion,
+} from '../utils/quickAssert';
+import { describeEditError, isDeprecatedType } from '../utils/format';
+import { useDebouncedValue } from '../hooks/useDebouncedValue';
+import { useProbabilityFormat } from '../hooks/useProbabilityFormat';
+import './QuickAssertBar.scss';
+
+const PREVIEW_DELAY_MS = 400;
+const COMPLETION_DELAY_MS = 150;
+const MAX_COMPLETIONS = 8;
+
+// What an unknown name becomes unless the user picks otherwise: a concept
+// that differs only in case or plural ending, else a new one
+function defaultChoice(entry) {
+  const [closest] = entry.suggestions;
+  return closest?.match === 'Normalized' ? closest.concept.id.toString() : 'create';
+}
+
+// Command bar for asserting statements such as `Dog IS-A Mammal 0.95 conf 0.8`,
+// one per line. It completes concept and type names as they are typed,
+// previews how each line was read, and asks what to do with unknown names
+// before creating concepts and asserting the relationships.
+export function QuickAssertBar({ client, relationshipTypes, onAsserted }) {
+  const formatProbability = useProbabilityFormat();
+  const textareaRef = useRef(null);
+  const [text, setText] = useState('');
+  const [caret, setCaret] = useState(0);
+  // Caret to restore once an accepted completion has been rendered
+  const [pendingCaret, setPendingCaret] = useState(null);
+  const [completionsOpen, setCompletionsOpen] = useState(false);
+  const [conceptNames, setConceptNames] = useState([]);
+  const [activeCompletion, setActiveCompletion] = useState(0);
+  const [lookup, setLookup] = useState(new Map());
+  const [checking, setChecking] = useState(false);
+  // Bumped after a submit, since it may have created concepts the lookup missed
+  const [lookupVersion, setLookupVersion] = useState(0);
+  // Unknown name -> 'create', 'skip' or a concept ID; unset names use defaultChoice
+  const [choices, setChoices] = useState(new Map());
+  const [submitting, setSubmitting] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  const activeTypes = useMemo(() => relationshipTypes.filter(t => !isDeprecatedType(t)), [relationshipTypes]);
+  const debouncedText = useDebouncedValue(text, PREVIEW_DELAY_MS);
+  const parsed = useMemo(() => parseStatements(debouncedText, relationshipTypes), [debouncedText, relationshipTypes]);
+  const names = useMemo(() => statementNames(parsed), [parsed]);
+  const unknownNames = names.filter(name => lookup.get(name)?.suggestions);
+  const statementCount = parsed.filter(item => item.statement).length;
+  // The preview trails typing; submit only what it shows
+  const ready = text === debouncedText && !checking;
+
+  const word = useMemo(() => wordAt(text, caret, relationshipTypes), [text, caret, relationshipTypes]);
+  const debouncedPrefix = useDebouncedValue(word.prefix, COMPLETION_DELAY_MS);
+
+  useEffect(() => {
+    let cancelled = false;
+    setChecking(true);
+    lookupConcepts(client, names)
+      .then(found => {
+        if (!cancelled) setLookup(found);
+      })
+      .catch(err => {
+        if (!cancelled) setError(describeEditError(err));
+      })
+      .finally(() => {
+        if (!cancelled) setChecking(false);
+      });
+    return () => { cancelled = true; };
+  }, [client, names, lookupVersion]);
+
+  useEffect(() => {
+    if (!debouncedPrefix) {
+      setConceptNames([]);
+      return;
+    }
+    let cancelled = false;
+    client.queryConcepts({ namePattern: debouncedPrefix }, { pageSize: MAX_COMPLETIONS })
+      .then(page => {
+        if (!cancelled) setConceptNames(page.items.map(concept => concept.name));
+      })
+      .catch(() => {
+        // Completion is a convenience; typing the full name still works
+        if (!cancelled) setConceptNames([]);
+      });
+    return () => { cancelled = true; };
+  }, [client, debouncedPrefix]);
+
+  useEffect(() => {
+    if (pendingCaret === null) return;
+    textareaRef.current?.setSelectionRange(pendingCaret, pendingCaret);
+    setPendingCaret(null);
+  }, [pendingCaret]);
+
+  const completions = useMemo(() => {
+    if (!word.prefix) return [];
+    const prefix = word.prefix.toLowerCase();
+    const types = word.expects === 'type'
+      ? activeTypes.filter(t => t.name.toLowerCase().startsWith(prefix)).map(t => ({ kind: 'type', value: t.name }))
+      : [];
+    const concepts = conceptNames
+      .filter(name => name.toLowerCase() !== prefix)
+      .map(name => ({ kind: 'concept', value: name }));
+    return [...types, ...concepts].slice(0, MAX_COMPLETIONS);
+  }, [word, activeTypes, conceptNames]);
+  const showCompletions = completionsOpen && completions.length > 0;
+
+  const trackCaret = (e) => setCaret(e.target.selectionStart);
+
+  const accept = (option) => {
+    const completed = applyCompletion(text, word, option, relationshipTypes);
+    setText(completed.text);
+    setCaret(completed.caret);
+    setPendingCaret(completed.caret);
+    setCompletionsOpen(false);
+  };
+
+  const submit = async (e) => {
+    e?.preventDefault();
+    if (statementCount === 0 || !ready) return;
+    setSubmitting(true);
+    setError(null);
+    try {
+      const chosen = new Map(unknownNames.map(name => [name, choices.get(name) ?? defaultChoice(lookup.get(name))]));
+      const outcome = await submitStatements(client, parsed, lookup, chosen);
+      // Keep the lines that failed so they can be fixed and sent again
+      const failed = new Set(outcome.errors.map(({ line }) => line));
+      setText(parsed.filter(({ line }) => failed.has(line)).map(item => item.text).join('\n'));
+      setChoices(new Map());
+      setLookupVersion(version => version + 1);
+      setResult({ ...outcome, lines: new Map(parsed.map(item => [item.line, item.text])) });
+      if (outcome.asserted.length > 0 || outcome.created > 0) onAsserted();
+    } catch (err) {
+      setError(describeEditError(err));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      submit(e);
+    } else if (showCompletions && (e.key === 'ArrowDown' || e.key === 'ArrowUp')) {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setActiveCompletion(index => (index + step + completions.length) % completions.length);
+    } else if (showCompletions && (e.key === 'Enter' || e.key === 'Tab')) {
+      e.preventDefault();
+      accept(completions[Math.min(activeCompletion, completions.length - 1)]);
+    } else if (showCompletions && e.key === 'Escape') {
+      setCompletionsOpen(false);
+    }
+  };
+
+  const nameClass = name => (lookup.get(name)?.suggestions ? 'quick-assert__name quick-assert__name--unknown' : 'quick-assert__name');
+
+  return (
+    <form className="quick-assert" onSubmit={submit}>
+      <div className="quick-assert__editor">
+        <textarea
+          ref={textareaRef}
+          value={text}
+          rows={Math.min(8, Math.max(2, text.split('\n').length))}
+          placeholder={EXAMPLE_STATEMENTS}
+          onChange={(e) => {
+            setText(e.target.value);
+            trackCaret(e);
+            setCompletionsOpen(true);
+            setActiveCompletion(0);
+            setResult(null);
+          }}
+          onSelect={trackCaret}
+          onKeyDown={handleKeyDown}
+          onBlur={() => setCompletionsOpen(false)}
+          spellCheck={false}
+          aria-label="Statements to assert"
+          aria-autocomplete="list"
+          aria-expanded={showCompletions}
+        />
+        {showCompletions && (
+          <ul className="quick-assert__completions" role="listbox">
+            {completions.map((option, i) => (
+              <li
+                key={`${option.kind}-${option.value}`}
+                role="option"
+                aria-selected={i === activeCompletion}
+                className={i === activeCompletion ? 'quick-assert__completion--active' : ''}
+                // Keep focus in the textarea so the caret stays put
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  accept(option);
+                }}
+              >
+                {option.value}
+                <span className="quick-assert__kind">{option.kind}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <div className="quick-assert__toolbar">
+        <button type="submit" disabled={submitting || !ready || statementCount === 0}>
+          {submitting ? 'Asserting...' : `Assert ${statementCount} statement${statementCount === 1 ? '' : 's'}`}
+        </button>
+        <span className="quick-assert__hint">
+          One statement per line: subject TYPE object, then an optional probability and conf. Ctrl+Enter to assert.
+        </span>
+      </div>
+
+      {error && <div className="error">{error}</div>}
+
+      {parsed.length > 0 && (
+        <table className="quick-assert__preview" aria-label="Preview">
+          <tbody>
+            {parsed.map(({ line, text: source, statement, error: lineError }) => (
+              <tr key={line} className={lineError ? 'quick-assert__row--invalid' : ''}>
+                <td className="quick-assert__line">{line}</td>
+                {statement ? (
+                  <>
+                    <td>
+                      <span className={nameClass(statement.subject)}>{statement.subject}</span>
+                      {' '}<span className="quick-assert__type">{statement.type.name}</span>{' '}
+                      <span className={nameClass(statement.object)}>{statement.object}</span>
+                    </td>
+                    <td className="quick-assert__values">
+                      P: {formatProbability(statement.probability)} C: {formatProbability(statement.confidence)}
+                    </td>
+                  </>
+                ) : (
+                  <td colSpan={2}>
+                    <code>{source}</code>
+                    <div className="quick-assert__error">{lineError}</div>
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {unknownNames.length > 0 && (
+        <fieldset className="quick-assert__unknown">
+          <legend>New concepts</legend>
+          {unknownNames.map(name => {
+            const entry = lookup.get(name);
+            return (
+              <label key={name}>
+                <span>{name}</span>
+                <select
+                  value={choices.get(name) ?? defaultChoice(entry)}
+                  onChange={(e) => setChoices(previous => new Map(previous).set(name, e.target.value))}
+                >
+                  <option value="create">Create "{name}"</option>
+                  {entry.suggestions.map(({ concept }) => (
+                    <option key={concept.id.toString()} value={concept.id.toString()}>Use "{concept.name}"</option>
+                  ))}
+                  <option value="skip">Skip its statements</option>
+                </select>
+              </label>
+            );
+          })}
+        </fieldset>
+      )}
+
+      {result && (
+        <div className="quick-assert__result" role="status">
+          <p>
+            Asserted {result.asserted.length} statement{result.asserted.length === 1 ? '' : 's'}
+            {result.created > 0 && `, created ${result.created} concept${result.created === 1 ? '' : 's'}`}.
+            {result.errors.length > 0 && ' The lines below failed and were left in the editor.'}
+          </p>
+          {result.errors.length > 0 && (
+            <ul>
+              {result.errors.map(({ line, message }) => (
+                <li key={line}>
+                  <code>{result.lines.get(line)}</code>
+                  <span className="quick-assert__error">{message}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </form>
+  );
+}
@@ -0,0 +1,74 @@
+import React, { useState } from 'react';
+import { FractionInput } from './FractionInput';
+import { MetadataEditor, cleanMetadata } from './MetadataEditor';
+import { describeEditError } from '../utils/format';
+import './RelationshipEditor.scss';
+
+// Inline form for a direct relationship's probability, confidence and
+// metadata; the relationship's endpoints and type are fixed once asserted
+export function RelationshipEditor({ client, relationship, onSaved, onCancel }) {
+  const [draft, setDraft] = useState(() => ({
+    probability: relationship.probability,
+    confidence: relationship.confidence,
+    metadata: relationship.metadata.map(([key, value]) => [key, value]),
+    reason: '',
+  }));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const save = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+    try {
+      await client.updateRelationship(relationship.id, {
+        probability: draft.probability,
+        confidence: draft.confidence,
+        metadata: cleanMetadata(draft.metadata),
+        reason: draft.reason.trim(),
+      });
+      onSaved(relationship.id);
+    } catch (err) {
+      setError(describeEditError(err));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form className="relationship-editor" onSubmit={save}>
+      <FractionInput
+        label="Probability"
+        value={draft.probability}
+        onChange={(probability) => setDraft({ ...draft, probability })}
+      />
+      <FractionInput
+        label="Confidence"
+        value={draft.confidence}
+        onChange={(confidence) => setDraft({ ...draft, confidence })}
+      />
+      <MetadataEditor
+        value={draft.metadata}
+        onChange={(metadata) => setDraft({ ...draft, metadata })}
+      />
+      <label className="relationship-editor__reason">
+        Reason for change:
+        <input
+          type="text"
+          value={draft.reason}
+          onChange={(e) => setDraft({ ...draft, reason: e.target.value })}
+          placeholder="Optional, shown in the history"
+        />
+      </label>
+      {error && <div className="error">{error}</div>}
+      <div className="relationship-editor__actions">
+        <button type="submit" disabled={saving || !draft.probability || !draft.confidence}>
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+        <button type="button" className="relationship-editor__cancel" onClick={onCancel} disabled={saving}>
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,211 @@
+import React, { useEffect, useState } from 'react';
+import { FractionInput } from './FractionInput';
+import { MetadataEditor, cleanMetadata } from './MetadataEditor';
+import { getConceptName, isDeprecatedType } from '../utils/format';
+import './RelationshipForm.scss';
+
+const CERTAIN = { numerator: 1n, denominator: 1n };
+
+const emptyDraft = () => ({
+  targetConceptId: '',
+  relationshipTypeId: '0', // Default to IS-A
+  probability: CERTAIN,
+  confidence: CERTAIN,
+  required: {},
+  metadata: [],
+});
+
+const rulesOf = (type, tag) => (type?.properties.validation ?? []).filter(rule => tag in rule).map(rule => rule[tag]);
+
+// Which input a ValidationError's details point at: 'metadata' names a
+// missing key in its value, 'metadata.<key>' a key whose value was refused
+function detailsTarget({ field, value }) {
+  if (field === 'metadata') return `metadata.${value}`;
+  return field;
+}
+
+// Form for asserting a relationship from `concept`. It follows the selected
+// type's validation rules: required metadata keys get their own inputs, custom
+// rules are listed, and a second target for a unique-target type is flagged
+// before submitting. Rejections are shown next to the input they concern.
+export function RelationshipForm({ client, concept, concepts, relationshipTypes, onCreated }) {
+  const [draft, setDraft] = useState(() => emptyDraft());
+  const [existingTargets, setExistingTargets] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const selectedType = relationshipTypes.find(t => t.id.toString() === draft.relationshipTypeId);
+  const requiredKeys = rulesOf(selectedType, 'RequiredMetadata').flat();
+  const customRules = rulesOf(selectedType, 'CustomRule');
+  const uniqueTarget = rulesOf(selectedType, 'UniqueTarget').length > 0;
+
+  useEffect(() => {
+    if (!uniqueTarget) {
+      setExistingTargets([]);
+      return;
+    }
+    let cancelled = false;
+    client.queryAllRelationships({ from: concept.id, type: draft.relationshipTypeId })
+      .then(rels => {
+        if (!cancelled) setExistingTargets([...new Set(rels.map(rel => rel.toConceptId.toString()))]);
+      })
+      .catch(() => {
+        // The backend still enforces the rule; only the early warning is lost
+        if (!cancelled) setExistingTargets([]);
+      });
+    return () => { cancelled = true; };
+  }, [client, concept.id, draft.relationshipTypeId, uniqueTarget]);
+
+  const otherTarget = draft.targetConceptId
+    ? existingTargets.find(id => id !== draft.targetConceptId)
+    : undefined;
+
+  const update = (changes) => {
+    setDraft({ ...draft, ...changes });
+    setError(null);
+  };
+
+  const submit = async (e) => {
+    e.preventDefault();
+    // FractionInput reports null while its text is not a valid value
+    if (!draft.probability || !draft.confidence) {
+      setError({ message: 'Enter probability and confidence as a decimal, percentage or fraction between 0 and 1' });
+      return;
+    }
+
+    const required = requiredKeys.map(key => [key, (draft.required[key] ?? '').trim()]);
+    const extra = cleanMetadata(draft.metadata).filter(([key]) => !requiredKeys.includes(key));
+    try {
+      setSaving(true);
+      setError(null);
+      await client.assert(concept.id, draft.relationshipTypeId, draft.targetConceptId, {
+        p: draft.probability,
+        c: draft.confidence,
+        metadata: [...required, ...extra],
+      });
+      setDraft(emptyDraft());
+      onCreated();
+    } catch (err) {
+      setError({ message: err.message || 'An unexpected error occurred', details: err.details ?? null });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // A rejection shows beside the input its details name, below the free-form
+  // metadata for other keys, and at the end of the form otherwise
+  const inlineTargets = ['toConceptId', 'probability', 'confidence', ...requiredKeys.map(key => `metadata.${key}`)];
+  const target = error?.details ? detailsTarget(error.details) : null;
+  const errorSlot = target === null ? null
+    : inlineTargets.includes(target) ? target
+    : target.startsWith('metadata.') ? 'metadata' : null;
+
+  const constraint = error?.details && (
+    <span className="relationship-form__constraint">
+      {error.details.field} · {error.details.constraint} · {error.details.value}
+    </span>
+  );
+  const detailsFor = (slot) => errorSlot === slot && (
+    <div className="relationship-form__details" role="alert">
+      {error.message}
+      {constraint}
+    </div>
+  );
+
+  return (
+    <div className="create-relationship">
+      <h3>Create New Relationship</h3>
+      <form className="relationship-form" onSubmit={submit}>
+        <select
+          value={draft.targetConceptId}
+          onChange={(e) => update({ targetConceptId: e.target.value })}
+          required
+        >
+          <option value="">Select Target Concept</option>
+          {concepts
+            .filter(c => c.id.toString() !== concept.id)
+            .map(c => (
+              <option key={c.id.toString()} value={c.id.toString()}>
+                {c.name}
+              </option>
+            ))
+          }
+        </select>
+        {detailsFor('toConceptId')}
+
+        <select
+          value={draft.relationshipTypeId}
+          onChange={(e) => update({ relationshipTypeId: e.target.value })}
+          required
+        >
+          {relationshipTypes
+            .filter(type => !isDeprecatedType(type))
+            .map(type => (
+              <option key={type.id.toString()} value={type.id.toString()}>
+                {type.name}
+              </option>
+            ))
+          }
+        </select>
+
+        {otherTarget !== undefined && (
+          <div className="relationship-form__warning">
+            {concept.name} already has a {selectedType.name} target: {getConceptName(concepts, otherTarget)}.
+            {' '}{selectedType.name} allows one target per concept, so this assertion will be rejected.
+          </div>
+        )}
+
+        {customRules.length > 0 && (
+          <ul className="relationship-form__rules">
+            {customRules.map(rule => <li key={rule.name}>{rule.description}</li>)}
+          </ul>
+        )}
+
+        <FractionInput
+          label="Probability"
+          value={draft.probability}
+          onChange={(probability) => update({ probability })}
+        />
+        {detailsFor('probability')}
+        <FractionInput
+          label="Confidence"
+          value={draft.confidence}
+          onChange={(confidence) => update({ confidence })}
+        />
+        {detailsFor('confidence')}
+
+        {requiredKeys.map(key => (
+          <React.Fragment key={key}>
+            <label className="relationship-form__required">
+              {key}
+              <input
+                type="text"
+                value={draft.required[key] ?? ''}
+                onChange={(e) => update({ required: { ...draft.required, [key]: e.target.value } })}
+                required
+              />
+            </label>
+            {detailsFor(`metadata.${key}`)}
+          </React.Fragment>
+        ))}
+
+        <MetadataEditor
+          value={draft.metadata}
+          onChange={(metadata) => update({ metadata })}
+        />
+        {detailsFor('metadata')}
+
+        {error && errorSlot === null && (
+          <div className="error">
+            {error.message}
+            {constraint}
+          </div>
+        )}
+
+        <button type="submit" disabled={saving}>
+          {saving ? 'Creating...' : 'Create Relationship'}
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,249 @@
+import React, { useState } from 'react';
+import { getRelationshipTypeName, isDeprecatedType } from '../utils/format';
+import './RelationshipTypeManager.scss';
+
+const PROBABILITY_MODES = ['MULTIPLY', 'MINIMUM', 'MAXIMUM', 'OVERRIDE'];
+
+const EMPTY_TYPE = {
+  name: '',
+  description: '',
+  transitive: false,
+  symmetric: false,
+  reflexive: false,
+  irreflexive: true,
+  inheritable: false,
+  probabilityMode: 'MULTIPLY',
+  noSelfReference: true,
+  uniqueTarget: false,
+  requiredMetadata: '',
+};
+
+function describeRule(rule) {
+  if ('NoSelfReference' in rule) return 'No self reference';
+  if ('UniqueTarget' in rule) return 'Unique target';
+  if ('RequiredMetadata' in rule) return `Requires metadata: ${rule.RequiredMetadata.join(', ')}`;
+  if ('CustomRule' in rule) return `${rule.CustomRule.name}: ${rule.CustomRule.description}`;
+  return 'Unknown rule';
+}
+
+// Lists relationship type definitions and lets admins create and deprecate them
+export function RelationshipTypeManager({ client, relationshipTypes, isAdmin, onChange }) {
+  const [newType, setNewType] = useState(EMPTY_TYPE);
+  const [deprecating, setDeprecating] = useState(null);
+  const [deprecation, setDeprecation] = useState({ replacedBy: '', reason: '' });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const activeTypes = relationshipTypes.filter(t => !isDeprecatedType(t));
+
+  const setFlag = (field) => (e) => setNewType({ ...newType, [field]: e.target.checked });
+
+  const createType = async (e) => {
+    e.preventDefault();
+    if (newType.reflexive && newType.irreflexive) {
+      setError('A relationship type cannot be both reflexive and irreflexive');
+      return;
+    }
+
+    const validation = [];
+    if (newType.noSelfReference) validation.push('NoSelfReference');
+    if (newType.uniqueTarget) validation.push('UniqueTarget');
+    const requiredKeys = newType.requiredMetadata.split(',').map(k => k.trim()).filter(Boolean);
+    if (requiredKeys.length > 0) validation.push({ requiredMetadata: requiredKeys });
+
+    try {
+      setLoading(true);
+      setError(null);
+      await client.createRelationshipType({
+        name: newType.name.trim(),
+        description: newType.description || null,
+        properties: {
+          logical: {
+            transitive: newType.transitive,
+            symmetric: newType.symmetric,
+            reflexive: newType.reflexive,
+            irreflexive: newType.irreflexive,
+          },
+          inheritance: {
+            inheritable: newType.inheritable,
+            probabilityMode: newType.probabilityMode,
+          },
+          validation,
+        },
+      });
+      setNewType(EMPTY_TYPE);
+      await onChange();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const startDeprecation = (type) => {
+    setDeprecating(type.id.toString());
+    setDeprecation({ replacedBy: '', reason: '' });
+    setError(null);
+  };
+
+  const deprecateType = async (e) => {
+    e.preventDefault();
+    try {
+      setLoading(true);
+      setError(null);
+      await client.deprecateRelationshipType(deprecating, {
+        replacedBy: deprecation.replacedBy || null,
+        reason: deprecation.reason,
+      });
+      setDeprecating(null);
+      await onChange();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="type-manager">
+      <h2>Relationship Types</h2>
+      {!isAdmin && <p className="type-manager__note">Only admins can create or deprecate relationship types.</p>}
+      {error && <div className="error">{error}</div>}
+
+      <ul className="type-manager__list">
+        {relationshipTypes.map(type => {
+          const id = type.id.toString();
+          const deprecated = isDeprecatedType(type);
+          const { logical, inheritance, validation } = type.properties;
+          return (
+            <li key={id} className={`type-manager__item${deprecated ? ' type-manager__item--deprecated' : ''}`}>
+              <div className="type-manager__header">
+                <span className="type-manager__name">{type.name}</span>
+                {deprecated && <span className="type-manager__badge">Deprecated</span>}
+                {!deprecated && isAdmin && (
+                  <button type="button" className="type-manager__action" onClick={() => startDeprecation(type)}>
+                    Deprecate
+                  </button>
+                )}
+              </div>
+              {type.description && <p className="type-manager__description">{type.description}</p>}
+              <div className="type-manager__flags">
+                {Object.entries(logical).filter(([, on]) => on).map(([flag]) => (
+                  <span key={flag} className="type-manager__flag">{flag}</span>
+                ))}
+                {inheritance.inheritable && <span className="type-manager__flag">inheritable</span>}
+                <span className="type-manager__flag">{Object.keys(inheritance.probabilityMode)[0].toLowerCase()}</span>
+              </div>
+              {validation.length > 0 && (
+                <ul className="type-manager__rules">
+                  {validation.map((rule, i) => <li key={i}>{describeRule(rule)}</li>)}
+                </ul>
+              )}
+              {deprecated && (
+                <div className="type-manager__deprecation">
+                  {type.status.DEPRECATED.reason}
+                  {type.status.DEPRECATED.replacedBy !== null &&
+                    ` — use ${getRelationshipTypeName(relationshipTypes, type.status.DEPRECATED.replacedBy)} instead`}
+                </div>
+              )}
+
+              {deprecating === id && (
+                <form className="type-manager__deprecate-form" onSubmit={deprecateType}>
+                  <select
+                    value={deprecation.replacedBy}
+                    onChange={(e) => setDeprecation({ ...deprecation, replacedBy: e.target.value })}
+                  >
+                    <option value="">No replacement</option>
+                    {activeTypes
+                      .filter(t => t.id.toString() !== id)
+                      .map(t => (
+                        <option key={t.id.toString()} value={t.id.toString()}>{t.name}</option>
+                      ))}
+                  </select>
+                  <input
+                    type="text"
+                    placeholder="Reason"
+                    value={deprecation.reason}
+                    onChange={(e) => setDeprecation({ ...deprecation, reason: e.target.value })}
+                    required
+                  />
+                  <button type="submit" disabled={loading}>Confirm</button>
+                  <button type="button" onClick={() => setDeprecating(null)}>Cancel</button>
+                </form>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+
+      {isAdmin && (
+        <div className="type-manager__create">
+          <h3>Create Relationship Type</h3>
+          <form onSubmit={createType}>
+            <input
+              type="text"
+              placeholder="Type Name (e.g. CAUSES)"
+              value={newType.name}
+              onChange={(e) => setNewType({ ...newType, name: e.target.value })}
+              required
+            />
+            <textarea
+              placeholder="Description (optional)"
+              value={newType.description}
+              onChange={(e) => setNewType({ ...newType, description: e.target.value })}
+            />
+
+            <fieldset>
+              <legend>Logical properties</legend>
+              {['transitive', 'symmetric', 'reflexive', 'irreflexive'].map(flag => (
+                <label key={flag}>
+                  <input type="checkbox" checked={newType[flag]} onChange={setFlag(flag)} />
+                  {flag}
+                </label>
+              ))}
+            </fieldset>
+
+            <fieldset>
+              <legend>Inheritance</legend>
+              <label>
+                <input type="checkbox" checked={newType.inheritable} onChange={setFlag('inheritable')} />
+                Inheritable through IS-A
+              </label>
+              <label>
+                Probability mode
+                <select
+                  value={newType.probabilityMode}
+                  onChange={(e) => setNewType({ ...newType, probabilityMode: e.target.value })}
+                >
+                  {PROBABILITY_MODES.map(mode => <option key={mode} value={mode}>{mode}</option>)}
+                </select>
+              </label>
+            </fieldset>
+
+            <fieldset>
+              <legend>Validation rules</legend>
+              <label>
+                <input type="checkbox" checked={newType.noSelfReference} onChange={setFlag('noSelfReference')} />
+                No self reference
+              </label>
+              <label>
+                <input type="checkbox" checked={newType.uniqueTarget} onChange={setFlag('uniqueTarget')} />
+                Unique target
+              </label>
+              <input
+                type="text"
+                placeholder="Required metadata keys (comma separated)"
+                value={newType.requiredMetadata}
+                onChange={(e) => setNewType({ ...newType, requiredMetadata: e.target.value })}
+              />
+            </fieldset>
+
+            <button type="submit" disabled={loading}>
+              {loading ? 'Creating...' : 'Create Type'}
+            </button>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,97 @@
+import React, { useEffect, useState } from 'react';
+import { ROLES } from '../api/conceptBaseClient';
+import { describeEditError } from '../utils/format';
+import './RoleManager.scss';
+
+// Lists explicitly assigned roles. Admins can assign roles to any principal;
+// until someone is admin, a controller of the canister can claim the role
+export function RoleManager({ client, principal, role, onRoleChange }) {
+  const [roles, setRoles] = useState([]);
+  const [draft, setDraft] = useState({ principal: '', role: 'Editor' });
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState(null);
+
+  const isAdmin = role === 'Admin';
+  const hasAdmin = roles.some(entry => entry.role === 'Admin');
+
+  const loadRoles = async () => {
+    try {
+      setRoles(await client.listRoles());
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  useEffect(() => {
+    loadRoles();
+  }, [client]);
+
+  const run = async (action) => {
+    setWorking(true);
+    setError(null);
+    try {
+      await action();
+      await loadRoles();
+      onRoleChange();
+    } catch (err) {
+      setError(describeEditError(err));
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const assign = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await client.setRole(draft.principal, draft.role);
+      setDraft({ principal: '', role: 'Editor' });
+    });
+  };
+
+  return (
+    <div className="role-manager">
+      <h2>Roles</h2>
+      <p className="role-manager__note">
+        Signed-in users are editors unless given another role. Editors create concepts and relationships and change
+        their own; viewers only read; admins change anything and manage relationship types.
+      </p>
+      {error && <div className="error">{error}</div>}
+
+      {roles.length > 0 && (
+        <ul className="role-manager__list">
+          {roles.map(entry => (
+            <li key={entry.principal.toString()}>
+              <span className="role-manager__principal" title={entry.principal.toString()}>
+                {entry.principal.toString()}
+                {entry.principal.toString() === principal && ' (you)'}
+              </span>
+              <span className={`role-manager__role role-manager__role--${entry.role.toLowerCase()}`}>{entry.role}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {!hasAdmin && (
+        <button type="button" className="role-manager__claim" onClick={() => run(() => client.claimAdmin())} disabled={working}>
+          Claim admin role
+        </button>
+      )}
+
+      {isAdmin && (
+        <form className="role-manager__form" onSubmit={assign}>
+          <input
+            type="text"
+            placeholder="Principal"
+            value={draft.principal}
+            onChange={(e) => setDraft({ ...draft, principal: e.target.value })}
+            required
+          />
+          <select value={draft.role} onChange={(e) => setDraft({ ...draft, role: e.target.value })}>
+            {ROLES.map(r => <option key={r} value={r}>{r}</option>)}
+          </select>
+          <button type="submit" disabled={working}>Set role</button>
+        </form>
+      )}
+    </div>
+  );
+}
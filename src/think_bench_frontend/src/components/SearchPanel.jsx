@@ -0,0 +1,128 @@
+import React, { useState } from 'react';
+import { EMPTY_FILTERS, countActiveFilters } from '../utils/searchFilters';
+import { isDeprecatedType } from '../utils/format';
+import './SearchPanel.scss';
+
+// Name search plus a drawer for metadata, creator, relationship type and
+// probability filters. Every change is reported immediately; callers
+// debounce before querying.
+export function SearchPanel({ filters, onChange, relationshipTypes }) {
+  const [drawerOpen, setDrawerOpen] = useState(false);
+
+  const update = (changes) => onChange({ ...filters, ...changes });
+
+  const updateMetadata = (index, changes) => {
+    update({ metadata: filters.metadata.map((entry, i) => (i === index ? { ...entry, ...changes } : entry)) });
+  };
+
+  const activeCount = countActiveFilters(filters);
+
+  return (
+    <div className="search-panel">
+      <div className="search-panel__bar">
+        <input
+          type="search"
+          className="search-panel__query"
+          placeholder="Search concepts"
+          aria-label="Search concepts by name"
+          value={filters.q}
+          onChange={(e) => update({ q: e.target.value })}
+        />
+        <button
+          type="button"
+          className={`search-panel__toggle${activeCount > 0 ? ' search-panel__toggle--active' : ''}`}
+          aria-expanded={drawerOpen}
+          onClick={() => setDrawerOpen(!drawerOpen)}
+        >
+          Filters{activeCount > 0 && ` (${activeCount})`}
+        </button>
+      </div>
+
+      {drawerOpen && (
+        <div className="search-panel__drawer">
+          <fieldset>
+            <legend>Concept metadata</legend>
+            {filters.metadata.map((entry, i) => (
+              <div key={i} className="search-panel__pair">
+                <input
+                  type="text"
+                  placeholder="Key"
+                  value={entry.key}
+                  onChange={(e) => updateMetadata(i, { key: e.target.value })}
+                />
+                <input
+                  type="text"
+                  placeholder="Value"
+                  value={entry.value}
+                  onChange={(e) => updateMetadata(i, { value: e.target.value })}
+                />
+                <button
+                  type="button"
+                  aria-label="Remove metadata filter"
+                  onClick={() => update({ metadata: filters.metadata.filter((_, j) => j !== i) })}
+                >
+                  ×
+                </button>
+              </div>
+            ))}
+            <button
+              type="button"
+              className="search-panel__add"
+              onClick={() => update({ metadata: [...filters.metadata, { key: '', value: '' }] })}
+            >
+              Add key/value
+            </button>
+          </fieldset>
+
+          <label className="search-panel__check">
+            <input type="checkbox" checked={filters.mine} onChange={(e) => update({ mine: e.target.checked })} />
+            Only mine
+          </label>
+
+          <fieldset>
+            <legend>Relationships</legend>
+            <select
+              value={filters.relationshipType}
+              onChange={(e) => update({ relationshipType: e.target.value })}
+              aria-label="Relationship type"
+            >
+              <option value="">All types</option>
+              {relationshipTypes.map(type => (
+                <option key={type.id.toString()} value={type.name}>
+                  {type.name}{isDeprecatedType(type) ? ' (deprecated)' : ''}
+                </option>
+              ))}
+            </select>
+            <div className="search-panel__range">
+              <input
+                type="number"
+                min="0"
+                max="1"
+                step="0.05"
+                placeholder="Min P"
+                aria-label="Minimum probability"
+                value={filters.minProbability}
+                onChange={(e) => update({ minProbability: e.target.value })}
+              />
+              <span>to</span>
+              <input
+                type="number"
+                min="0"
+                max="1"
+                step="0.05"
+                placeholder="Max P"
+                aria-label="Maximum probability"
+                value={filters.maxProbability}
+                onChange={(e) => update({ maxProbability: e.target.value })}
+              />
+            </div>
+          </fieldset>
+
+          <button type="button" className="search-panel__clear" onClick={() => onChange(EMPTY_FILTERS)}>
+            Clear all
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
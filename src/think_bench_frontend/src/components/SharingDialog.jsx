@@ -0,0 +1,123 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { describeEditError } from '../utils/format';
+import './SharingDialog.scss';
+
+// Lists who can edit a concept, with each principal's canister-wide role.
+// The creator and admins can grant and revoke co-editors; everyone else
+// sees the list read-only
+export function SharingDialog({ client, concept, principal, role, onClose }) {
+  const dialogRef = useRef(null);
+  const [people, setPeople] = useState(null);
+  const [newEditor, setNewEditor] = useState('');
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState(null);
+
+  const creator = concept.creator.principalId;
+  const canShare = role === 'Admin' || creator.toString() === principal;
+
+  useEffect(() => {
+    dialogRef.current?.showModal();
+  }, []);
+
+  const loadPeople = useCallback(async () => {
+    try {
+      const editors = await client.getConceptEditors(concept.id);
+      const everyone = [creator, ...editors];
+      const roles = await Promise.all(everyone.map(p => client.getRole(p)));
+      setPeople(everyone.map((p, i) => ({ principal: p, role: roles[i], creator: i === 0 })));
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [client, concept.id]);
+
+  useEffect(() => {
+    loadPeople();
+  }, [loadPeople]);
+
+  const run = async (action) => {
+    setWorking(true);
+    setError(null);
+    try {
+      await action();
+      await loadPeople();
+    } catch (err) {
+      setError(describeEditError(err));
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const grant = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await client.grantEditor(concept.id, newEditor);
+      setNewEditor('');
+    });
+  };
+
+  return (
+    <dialog ref={dialogRef} className="sharing-dialog" onCancel={onClose}>
+      <h3>Share {concept.name}</h3>
+      {!people && !error && <div className="loading">Loading editors...</div>}
+      {people && (
+        <table className="sharing-dialog__people">
+          <thead>
+            <tr>
+              <th>Principal</th>
+              <th>Access</th>
+              <th>Role</th>
+              {canShare && <th aria-label="Actions" />}
+            </tr>
+          </thead>
+          <tbody>
+            {people.map(person => (
+              <tr key={person.principal.toString()}>
+                <td className="sharing-dialog__principal" title={person.principal.toString()}>
+                  {person.principal.toString()}
+                  {person.principal.toString() === principal && ' (you)'}
+                </td>
+                <td>{person.creator ? 'Creator' : 'Co-editor'}</td>
+                <td>{person.role}</td>
+                {canShare && (
+                  <td>
+                    {!person.creator && (
+                      <button
+                        type="button"
+                        className="sharing-dialog__revoke"
+                        onClick={() => run(() => client.revokeEditor(concept.id, person.principal))}
+                        disabled={working}
+                      >
+                        Revoke
+                      </button>
+                    )}
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <p className="sharing-dialog__note">
+        Co-editors can change this concept like its creator. Admins can change any concept; viewers cannot change anything.
+      </p>
+      {canShare && (
+        <form className="sharing-dialog__grant" onSubmit={grant}>
+          <input
+            type="text"
+            placeholder="Principal to add as co-editor"
+            value={newEditor}
+            onChange={(e) => setNewEditor(e.target.value)}
+            required
+          />
+          <button type="submit" disabled={working}>Add co-editor</button>
+        </form>
+      )}
+      {error && <div className="error">{error}</div>}
+      <div className="sharing-dialog__actions">
+        <button type="button" className="sharing-dialog__close" onClick={onClose}>
+          Close
+        </button>
+      </div>
+    </dialog>
+  );
+}
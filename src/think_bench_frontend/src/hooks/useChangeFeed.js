@@ -0,0 +1,64 @@
+import { useEffect, useRef } from 'react';
+
+const POLL_INTERVAL_MS = 5000;
+const BATCH_SIZE = 500;
+
+// Follows the change feed: polls client.changesSince while the page is
+// visible, and again as soon as it becomes visible, handing each batch of
+// changes made since the hook started to onChanges, oldest first. onReset is
+// called instead if the canister's log is shorter than what was already seen,
+// i.e. it was reinstalled and everything loaded is stale.
+export function useChangeFeed(client, { onChanges, onReset, enabled = true }) {
+  // The loop keeps running across renders, so it reads the latest callbacks
+  const handlers = useRef({ onChanges, onReset });
+  handlers.current = { onChanges, onReset };
+
+  useEffect(() => {
+    if (!enabled) return;
+    let seq = null;
+    let timer = null;
+    let polling = false;
+    let stopped = false;
+
+    const poll = async () => {
+      if (polling) return;
+      polling = true;
+      clearTimeout(timer);
+      try {
+        if (seq === null) {
+          seq = await client.getChangeSeq();
+        } else if (document.visibilityState === 'visible') {
+          let feed;
+          do {
+            feed = await client.changesSince(seq, { limit: BATCH_SIZE });
+            if (stopped) return;
+            if (feed.nextSeq < seq) {
+              seq = feed.nextSeq;
+              handlers.current.onReset();
+              break;
+            }
+            seq = feed.nextSeq;
+            if (feed.changes.length > 0) handlers.current.onChanges(feed.changes);
+          } while (feed.hasMore);
+        }
+      } catch (err) {
+        console.error('Error polling for changes:', err);
+      } finally {
+        polling = false;
+        if (!stopped) timer = setTimeout(poll, POLL_INTERVAL_MS);
+      }
+    };
+
+    const onVisibilityChange = () => {
+      if (document.visibilityState === 'visible') poll();
+    };
+
+    poll();
+    document.addEventListener('visibilitychange', onVisibilityChange);
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+      document.removeEventListener('visibilitychange', onVisibilityChange);
+    };
+  }, [client, enabled]);
+}
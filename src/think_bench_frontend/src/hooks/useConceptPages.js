@@ -0,0 +1,64 @@
+import { useState, useCallback, useRef } from 'react';
+import { mergeConcepts } from '../utils/changeFeed';
+import { matchesConceptFilters } from '../utils/searchFilters';
+
+const PAGE_SIZE = 50;
+
+// Loads concepts one cursor page at a time for the sidebar. `reload` starts
+// over from the first page (e.g. after a sort or filter change or a new
+// concept); `loadMore` appends the next page; `applyChanges` merges in the
+// concepts of a summarizeChanges result. `filters` are client.queryConcepts
+// filters and should be memoized.
+export function useConceptPages(client, { sortBy, order, filters = {} }) {
+  const [concepts, setConcepts] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  // Responses for an outdated sort or a superseded reload are dropped
+  const requestRef = useRef(0);
+
+  const fetchPage = useCallback(async (cursor) => {
+    const request = ++requestRef.current;
+    try {
+      setLoading(true);
+      const page = await client.queryConcepts(filters, { sortBy, order, cursor, pageSize: PAGE_SIZE });
+      if (request !== requestRef.current) return;
+      setConcepts(previous => (cursor === null ? page.items : [...previous, ...page.items]));
+      setTotal(page.total);
+      setNextCursor(page.nextCursor);
+      setError(null);
+    } catch (err) {
+      if (request === requestRef.current) setError(err.message);
+    } finally {
+      if (request === requestRef.current) setLoading(false);
+    }
+  }, [client, sortBy, order, filters]);
+
+  const reload = useCallback(() => fetchPage(null), [fetchPage]);
+
+  const loadMore = useCallback(() => {
+    if (nextCursor !== null && !loading) return fetchPage(nextCursor);
+  }, [fetchPage, nextCursor, loading]);
+
+  const applyChanges = useCallback((changed) => {
+    // Changes cannot tell whether a concept still matches a kind filter
+    if (filters.isInstance !== undefined) return fetchPage(null);
+    const merged = mergeConcepts(concepts, changed, {
+      matches: concept => matchesConceptFilters(concept, filters),
+      sort: { sortBy, order },
+      complete: nextCursor === null,
+    });
+    setConcepts(merged.items);
+    setTotal(previous => previous + merged.totalChange);
+  }, [concepts, nextCursor, sortBy, order, filters, fetchPage]);
+
+  const clear = useCallback(() => {
+    requestRef.current++;
+    setConcepts([]);
+    setTotal(0);
+    setNextCursor(null);
+  }, []);
+
+  return { concepts, total, hasMore: nextCursor !== null, loading, error, reload, loadMore, applyChanges, clear };
+}
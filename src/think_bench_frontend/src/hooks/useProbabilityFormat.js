@@ -0,0 +1,29 @@
+import { createContext, useCallback, useContext, useState } from 'react';
+import { DISPLAY_FORMATS } from '../utils/fraction';
+import { formatProbability } from '../utils/format';
+
+const STORAGE_KEY = 'thinkBench.probabilityFormat';
+
+// The display format chosen in the header; App provides it to every view
+export const ProbabilityFormatContext = createContext('fraction');
+
+// [format, setFormat] for the provider, remembered across sessions
+export function useProbabilityFormatSetting() {
+  const [format, setFormatState] = useState(() => {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    return DISPLAY_FORMATS.includes(stored) ? stored : 'fraction';
+  });
+
+  const setFormat = useCallback((next) => {
+    setFormatState(next);
+    window.localStorage.setItem(STORAGE_KEY, next);
+  }, []);
+
+  return [format, setFormat];
+}
+
+// formatProbability bound to the current display format
+export function useProbabilityFormat() {
+  const format = useContext(ProbabilityFormatContext);
+  return useCallback((prob) => formatProbability(prob, format), [format]);
+}
@@ -0,0 +1,18 @@
+import { useState, useCallback } from 'react';
+
+// Loads the relationship type definitions from the backend
+export function useRelationshipTypes(client) {
+  const [relationshipTypes, setRelationshipTypes] = useState([]);
+  const [error, setError] = useState(null);
+
+  const loadRelationshipTypes = useCallback(async () => {
+    try {
+      setRelationshipTypes(await client.listRelationshipTypes());
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [client]);
+
+  return { relationshipTypes, loadRelationshipTypes, error };
+}
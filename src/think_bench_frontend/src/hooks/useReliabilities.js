@@ -0,0 +1,24 @@
+import { useEffect, useState } from 'react';
+
+// Reliability scores keyed by principal text. Refetches whenever the
+// principals array changes identity, so callers memoize it on the data the
+// principals come from
+export function useReliabilities(client, principals) {
+  const [scores, setScores] = useState(() => new Map());
+
+  useEffect(() => {
+    const unique = new Map(principals.map(principal => [principal.toString(), principal]));
+    if (unique.size === 0) return undefined;
+    let cancelled = false;
+    client.getUserReliabilities([...unique.values()])
+      .then(results => {
+        if (!cancelled) setScores(new Map(results.map(({ principalId, score }) => [principalId.toString(), score])));
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, [client, principals]);
+
+  return scores;
+}
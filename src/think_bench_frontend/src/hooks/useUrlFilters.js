@@ -0,0 +1,22 @@
+import { useState, useEffect, useCallback } from 'react';
+import { filtersFromSearch, filtersToSearch } from '../utils/searchFilters';
+
+// Filter state mirrored in the URL query string, so searches can be
+// bookmarked and shared and survive a reload
+export function useUrlFilters() {
+  const [filters, setFiltersState] = useState(() => filtersFromSearch(window.location.search));
+
+  useEffect(() => {
+    const onPopState = () => setFiltersState(filtersFromSearch(window.location.search));
+    window.addEventListener('popstate', onPopState);
+    return () => window.removeEventListener('popstate', onPopState);
+  }, []);
+
+  const setFilters = useCallback((next) => {
+    setFiltersState(next);
+    const url = `${window.location.pathname}${filtersToSearch(next)}${window.location.hash}`;
+    window.history.replaceState(null, '', url);
+  }, []);
+
+  return [filters, setFilters];
+}
@@ -0,0 +1,44 @@
+import { Principal } from '@dfinity/principal';
+import { createMockCanister, seedFixture } from './mockCanister';
+import { MOCK_PRINCIPAL } from './identity';
+
+// Stand-in for the generated declarations/think_bench_backend module.
+// vite.config.js aliases it in when VITE_MOCK_BACKEND=true, so the app runs
+// against one in-memory canister per page load instead of a replica.
+// VITE_MOCK_FIXTURE names the file in ./fixtures to seed it with (animals
+// by default; set it empty to start blank).
+
+const FIXTURES = import.meta.glob('./fixtures/*.json', { eager: true, import: 'default' });
+const fixtureName = import.meta.env.VITE_MOCK_FIXTURE ?? 'animals';
+
+export const canisterId = 'mock';
+
+const canister = createMockCanister({ controllers: [MOCK_PRINCIPAL] });
+
+// The mock user controls the canister and claims admin, so types can be managed
+const seeded = (async () => {
+  await canister.createActor(MOCK_PRINCIPAL).claimAdmin();
+  if (!fixtureName) return;
+  const fixture = FIXTURES[`./fixtures/${fixtureName}.json`];
+  if (!fixture) {
+    console.error(`Unknown mock fixture: ${fixtureName}`);
+    return;
+  }
+  const { errors } = await seedFixture(canister.createActor(MOCK_PRINCIPAL), fixture);
+  for (const { row, message } of errors) console.warn(`Fixture ${fixtureName}${row === null ? '' : `:${row}`}: ${message}`);
+})();
+
+// Calls wait for the fixture so the first queries already see it
+export function createActor(_canisterId, options = {}) {
+  const principal = options.agentOptions?.identity?.getPrincipal() ?? Principal.anonymous();
+  const actor = canister.createActor(principal);
+  return Object.fromEntries(Object.entries(actor).map(([name, method]) => [
+    name,
+    async (...args) => {
+      await seeded;
+      return method(...args);
+    },
+  ]));
+}
+
+export const think_bench_backend = createActor(canisterId);
@@ -0,0 +1,11 @@
+import { Principal } from '@dfinity/principal';
+
+// Principal the mock backend signs in as and seeds fixtures with, so
+// everything in a fixture is editable after login
+export const MOCK_PRINCIPAL = Principal.fromUint8Array(new TextEncoder().encode('think-bench-mock'));
+
+// Just enough of an Identity for App and the mock declarations, which only
+// ever ask for the principal
+export function mockIdentity(principal = MOCK_PRINCIPAL) {
+  return { getPrincipal: () => principal };
+}
@@ -0,0 +1,1539 @@
+import { compare, multiply, normalize } from '../utils/fraction.js';
+import { toOpt, fromOpt } from '../api/conceptBaseClient.js';
+
+// JavaScript port of think_bench_backend/lib.mo for the in-memory canister.
+//
+// Functions keep the Motoko names and semantics and work on Candid-shaped
+// values as the agent decodes them: Nats and Ints are BigInts, optionals are
+// [] or [value], variants are { Tag: payload } and results are { ok } or
+// { err }. Stored values are never mutated; edits return new objects.
+
+// Core relationship type IDs, seeded in this order (Types.RELATIONSHIP_TYPE_*)
+export const RELATIONSHIP_TYPE_IS_A = 0n;
+export const RELATIONSHIP_TYPE_HAS_A = 1n;
+export const RELATIONSHIP_TYPE_PART_OF = 2n;
+export const RELATIONSHIP_TYPE_PROPERTY_OF = 3n;
+// INSTANCE-OF has no fixed ID (see Types.mo); it is seeded and found by name
+export const INSTANCE_OF = 'INSTANCE-OF';
+
+export const MAX_BATCH_SIZE = 500;
+export const DEFAULT_PAGE_SIZE = 50n;
+export const MAX_PAGE_SIZE = 500n;
+
+export const INITIAL_RELIABILITY = { numerator: 1n, denominator: 2n };
+const RELIABILITY_STEP = { numerator: 1n, denominator: 10n };
+
+export const DEFAULT_CONFLICT_DIFFERENCE = { numerator: 1n, denominator: 4n };
+
+const ONE = { numerator: 1n, denominator: 1n };
+
+export const ok = (value = null) => ({ ok: value });
+export const err = (error) => ({ err: error });
+
+export function validationError(code, message, details = null) {
+  return { ValidationError: { code, message, details: toOpt(details) } };
+}
+
+export function variantKey(variant) {
+  return Object.keys(variant)[0];
+}
+
+export function samePrincipal(a, b) {
+  return a.toText() === b.toText();
+}
+
+function fractionLess(a, b) {
+  return compare(a, b) < 0;
+}
+
+function fractionText({ numerator, denominator }) {
+  return `${numerator}/${denominator}`;
+}
+
+// |a - b| >= min, compared without division
+function differsBy(a, b, min) {
+  const left = a.numerator * b.denominator;
+  const right = b.numerator * a.denominator;
+  const gap = left > right ? left - right : right - left;
+  return gap * min.denominator >= min.numerator * a.denominator * b.denominator;
+}
+
+function complement(f) {
+  return normalize({ numerator: f.denominator - f.numerator, denominator: f.denominator });
+}
+
+function combineConfidences(c1, c2) {
+  return normalize(fractionLess(c2, c1) ? c2 : c1);
+}
+
+function meetsThreshold(value, threshold) {
+  const min = fromOpt(threshold);
+  return min === null || compare(value, min) >= 0;
+}
+
+export function validateBatchSize(size) {
+  if (size > MAX_BATCH_SIZE) {
+    return err(validationError('BATCH_TOO_LARGE', `Batch exceeds the maximum of ${MAX_BATCH_SIZE} items`, {
+      field: 'batch',
+      constraint: `size <= ${MAX_BATCH_SIZE}`,
+      value: String(size),
+    }));
+  }
+  return ok();
+}
+
+// Concept Management
+
+export function createConcept(concepts, name, description, metadata, nextId, caller, now) {
+  // A concept with the same name is returned instead of a duplicate
+  const existing = concepts.find(concept => concept.name === name);
+  if (existing) return ok(existing);
+  return ok({
+    id: nextId,
+    name,
+    description,
+    creator: { principalId: caller, timestamp: now },
+    created: now,
+    modified: now,
+    outgoingRelationships: [],
+    incomingRelationships: [],
+    metadata: fromOpt(metadata) ?? [],
+  });
+}
+
+// Null arguments keep the current value and an empty description clears it
+export function updateConcept(concepts, concept, name, description, metadata, now) {
+  const newName = fromOpt(name);
+  if (newName !== null) {
+    if (newName === '') {
+      return err(validationError('EMPTY_NAME', 'Concept name cannot be empty', {
+        field: 'name',
+        constraint: 'non-empty',
+        value: newName,
+      }));
+    }
+    if (concepts.some(c => c.id !== concept.id && c.name === newName)) {
+      return err({ AlreadyExists: `A concept named ${newName} already exists` });
+    }
+  }
+
+  const newDescription = fromOpt(description);
+  return ok({
+    ...concept,
+    name: newName ?? concept.name,
+    description: newDescription === null ? concept.description : toOpt(newDescription || null),
+    metadata: fromOpt(metadata) ?? concept.metadata,
+    modified: now,
+  });
+}
+
+export function validateConceptModification(concept, caller, role, coEditors) {
+  return checkAccess(
+    samePrincipal(concept.creator.principalId, caller) || coEditors.some(p => samePrincipal(p, caller)),
+    role,
+    'modify',
+    'concept',
+    'Only the creator, co-editors and admins can modify this concept'
+  );
+}
+
+export function validateConceptDeletion(concept, caller, role) {
+  return checkAccess(samePrincipal(concept.creator.principalId, caller), role, 'delete', 'concept', 'Only the creator and admins can delete this concept');
+}
+
+// Granting and revoking co-editors is kept to the creator, so a co-editor
+// cannot lock the creator out
+export function validateConceptSharing(concept, caller, role) {
+  return checkAccess(samePrincipal(concept.creator.principalId, caller), role, 'share', 'concept', 'Only the creator and admins can change who edits this concept');
+}
+
+// Access Control
+// Principals without an assigned role are editors, except the anonymous
+// principal, which can only read
+export function defaultRole(principal) {
+  return principal.isAnonymous() ? { Viewer: null } : { Editor: null };
+}
+
+// Creating concepts, asserting relationships and flagging them
+export function validateContribution(role, resource) {
+  return checkAccess(true, role, 'create', resource, '');
+}
+
+// Update calls that leave the graph alone, such as warming the inference cache
+export function validateEditor(role, operation, resource) {
+  return checkAccess(true, role, operation, resource, '');
+}
+
+export function validateAdmin(role, operation, resource) {
+  return checkAccess(false, role, operation, resource, `Only admins can ${operation} ${resource}s`);
+}
+
+// Admins may do anything and viewers nothing; for editors `allowed` decides
+function checkAccess(allowed, role, operation, resource, reason) {
+  if ('Admin' in role) return ok();
+  if ('Viewer' in role) return err({ PermissionDenied: { operation, resource, reason: 'Viewers have read-only access' } });
+  return allowed ? ok() : err({ PermissionDenied: { operation, resource, reason } });
+}
+
+// Relationship Management
+
+function validateProbability(probability) {
+  if (probability.denominator === 0n || probability.numerator > probability.denominator) {
+    return err(validationError('INVALID_PROBABILITY', 'Invalid probability values', {
+      field: 'probability',
+      constraint: '0 <= p <= 1',
+      value: fractionText(probability),
+    }));
+  }
+  return ok();
+}
+
+function validateConfidence(confidence) {
+  if (confidence.denominator === 0n || confidence.numerator > confidence.denominator) {
+    return err({
+      InvalidConfidence: {
+        value: fractionText(confidence),
+        reason: 'Confidence must be between 0 and 1',
+      },
+    });
+  }
+  return ok();
+}
+
+export function createRelationship(concepts, fromConceptId, toConceptId, relationshipTypeId, probability, confidence, metadata, nextId, caller, now) {
+  if (!concepts.some(c => c.id === fromConceptId)) return err({ NotFound: 'Source concept not found' });
+  if (!concepts.some(c => c.id === toConceptId)) return err({ NotFound: 'Target concept not found' });
+
+  const probabilityCheck = validateProbability(probability);
+  if ('err' in probabilityCheck) return probabilityCheck;
+  const confidenceCheck = validateConfidence(confidence);
+  if ('err' in confidenceCheck) return confidenceCheck;
+
+  return ok({
+    id: nextId,
+    fromConceptId,
+    toConceptId,
+    relationshipTypeId,
+    probability: normalize(probability),
+    confidence: normalize(confidence),
+    creator: { principalId: caller, timestamp: now },
+    metadata: fromOpt(metadata) ?? [],
+  });
+}
+
+// Null arguments keep the current value; the result must still carry the
+// metadata its type requires
+export function updateRelationship(relationship, relationshipType, probability, confidence, metadata) {
+  const newProbability = fromOpt(probability);
+  if (newProbability !== null) {
+    const check = validateProbability(newProbability);
+    if ('err' in check) return check;
+  }
+  const newConfidence = fromOpt(confidence);
+  if (newConfidence !== null) {
+    const check = validateConfidence(newConfidence);
+    if ('err' in check) return check;
+  }
+
+  const updated = {
+    ...relationship,
+    probability: normalize(newProbability ?? relationship.probability),
+    confidence: normalize(newConfidence ?? relationship.confidence),
+    metadata: fromOpt(metadata) ?? relationship.metadata,
+  };
+  // Updates never move a relationship's endpoints, so rules that look at
+  // other relationships have nothing new to find
+  for (const rule of relationshipType.properties.validation) {
+    const check = checkValidationRule([], updated, rule);
+    if ('err' in check) return check;
+  }
+  return ok(updated);
+}
+
+export function validateRelationshipModification(relationship, caller, role) {
+  return checkAccess(samePrincipal(relationship.creator.principalId, caller), role, 'modify', 'relationship', 'Only the creator and admins can modify this relationship');
+}
+
+export function validateRelationshipRetraction(relationship, caller, role) {
+  return checkAccess(samePrincipal(relationship.creator.principalId, caller), role, 'retract', 'relationship', 'Only the creator and admins can retract this relationship');
+}
+
+export function incidentRelationships(relationships, conceptId) {
+  return relationships.filter(rel => rel.fromConceptId === conceptId || rel.toConceptId === conceptId);
+}
+
+export function unlinkRelationship(concept, relationshipId) {
+  return {
+    ...concept,
+    outgoingRelationships: concept.outgoingRelationships.filter(id => id !== relationshipId),
+    incomingRelationships: concept.incomingRelationships.filter(id => id !== relationshipId),
+  };
+}
+
+// Compare inference with and without the removed relationships, re-running
+// it only from concepts that can reach a removed relationship's source. A
+// symmetric relationship is walked from both ends, and the IS-A descendants
+// of a source inherit through it, so those are re-run too
+export function deletionImpact(relationships, relationshipTypes, removed) {
+  const removedIds = new Set(removed.map(rel => rel.id));
+  const remaining = relationships.filter(rel => !removedIds.has(rel.id));
+  const typeIds = [...new Set(removed.map(rel => rel.relationshipTypeId))];
+  const instanceOf = instanceOfType(relationshipTypes);
+  const properties = typeId => relationshipTypes.find(t => t.id === typeId)?.properties;
+
+  const inferred = [];
+  // A typed and an inherited re-run can both find the same statement
+  const reported = new Set();
+  const rerun = new Set();
+  // Without a type, only what is inherited is compared, for every inheritable type at once
+  const compare = (typeId, starts) => {
+    const infer = (over, params) => typeId === null
+      ? inferInherited(over, relationshipTypes, params).map(([edge]) => edge)
+      : inferRelationships(over, relationshipTypes, params);
+    for (const start of starts) {
+      if (rerun.has(`${typeId ?? 'inherited'}-${start}`)) continue;
+      rerun.add(`${typeId ?? 'inherited'}-${start}`);
+      const params = inferenceQuery(start, typeId);
+      const after = new Set(infer(remaining, params).map(edge => statementKey(edge.relationship)));
+      for (const edge of infer(relationships, params)) {
+        const statement = statementKey(edge.relationship);
+        if (!('Direct' in edge.source) && !after.has(statement) && !reported.has(statement)) {
+          reported.add(statement);
+          inferred.push(edge);
+        }
+      }
+    }
+  };
+
+  // Classes below the given concepts and individuals of those classes
+  const descendants = ids => {
+    const classes = reachingConcepts(relationships, RELATIONSHIP_TYPE_IS_A, ids);
+    return instanceOf === null ? classes : reachingConcepts(relationships, instanceOf, classes);
+  };
+
+  for (const typeId of typeIds) {
+    const symmetric = properties(typeId)?.logical.symmetric ?? false;
+    const sources = removed
+      .filter(rel => rel.relationshipTypeId === typeId)
+      .flatMap(rel => symmetric ? [rel.fromConceptId, rel.toConceptId] : [rel.fromConceptId]);
+    const starts = reachingConcepts(relationships, typeId, sources);
+    compare(typeId, starts);
+    if (typeId === RELATIONSHIP_TYPE_IS_A || typeId === instanceOf) {
+      // Individuals of the classes below a removed IS-A lose memberships
+      // too, and everything below loses what it inherited through it
+      const below = descendants(starts);
+      if (typeId === RELATIONSHIP_TYPE_IS_A && instanceOf !== null) compare(instanceOf, below);
+      compare(null, below);
+    } else if (properties(typeId)?.inheritance.inheritable) {
+      compare(typeId, descendants(sources));
+    }
+  }
+  return { relationships: removed, inferred };
+}
+
+function inferenceQuery(startingConcept, relationshipType) {
+  return {
+    startingConcept,
+    relationshipType: toOpt(relationshipType),
+    maxDepth: [],
+    minProbability: [],
+    minConfidence: [],
+    direction: [],
+  };
+}
+
+function reachingConcepts(relationships, typeId, targets) {
+  const found = [];
+  let frontier = targets;
+  while (frontier.length > 0) {
+    const next = [];
+    for (const id of frontier) {
+      if (!found.includes(id)) {
+        found.push(id);
+        for (const rel of relationships) {
+          if (rel.relationshipTypeId === typeId && rel.toConceptId === id) next.push(rel.fromConceptId);
+        }
+      }
+    }
+    frontier = next;
+  }
+  return found;
+}
+
+// Classes and individuals
+
+// The ID INSTANCE-OF was seeded with, as Lib.arrayGraph finds it; null
+// before seeding
+export function instanceOfType(relationshipTypes) {
+  return relationshipTypes.find(t => t.name === INSTANCE_OF)?.id ?? null;
+}
+
+// Nothing can be an instance of an individual
+export function validateInstanceOf(relationship, instanceOf, kindOf) {
+  if (relationship.relationshipTypeId === instanceOf && 'Individual' in kindOf(relationship.toConceptId)) {
+    return err(validationError('NOT_A_CLASS', 'Only classes can have instances', {
+      field: 'toConceptId', constraint: 'class', value: relationship.toConceptId.toString(),
+    }));
+  }
+  return ok();
+}
+
+// A concept with instances of its own has to stay a class
+export function validateKindChange(relationships, instanceOf, conceptId, kind) {
+  if ('Individual' in kind && hasDirectInstances(relationships, instanceOf, conceptId)) {
+    return err(validationError('HAS_INSTANCES', 'A concept with instances cannot be an individual', {
+      field: 'kind', constraint: 'no_instances', value: 'Individual',
+    }));
+  }
+  return ok();
+}
+
+export function hasDirectInstances(relationships, instanceOf, conceptId) {
+  return relationships.some(rel => rel.toConceptId === conceptId && rel.relationshipTypeId === instanceOf);
+}
+
+// Targets of INSTANCE-OF and their IS-A ancestors
+function classesWithInstances(relationships, instanceOf) {
+  const found = new Set();
+  let frontier = relationships.filter(rel => rel.relationshipTypeId === instanceOf).map(rel => rel.toConceptId);
+  while (frontier.length > 0) {
+    const next = [];
+    for (const id of frontier) {
+      if (found.has(id)) continue;
+      found.add(id);
+      for (const rel of relationships) {
+        if (rel.fromConceptId === id && rel.relationshipTypeId === RELATIONSHIP_TYPE_IS_A) next.push(rel.toConceptId);
+      }
+    }
+    frontier = next;
+  }
+  return found;
+}
+
+// Duplicates and merging
+
+export const DEFAULT_SIMILAR_LIMIT = 5n;
+
+// Case-folded and trimmed, with a plural ending stripped; names of three
+// letters or fewer are left alone
+export function normalizeName(name) {
+  const folded = name.trim().toLowerCase();
+  if (folded.length <= 3) return folded;
+  if (folded.endsWith('ies')) return `${folded.slice(0, -3)}y`;
+  if (['sses', 'ches', 'shes', 'xes', 'zes'].some(ending => folded.endsWith(ending))) return folded.slice(0, -2);
+  if (['ss', 'us', 'is'].some(ending => folded.endsWith(ending))) return folded;
+  return folded.endsWith('s') ? folded.slice(0, -1) : folded;
+}
+
+// Levenshtein distance
+export function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 0; i < a.length; i++) {
+    const current = [i + 1];
+    for (let j = 0; j < b.length; j++) {
+      const substitution = previous[j] + (a[i] === b[j] ? 0 : 1);
+      current.push(Math.min(substitution, Math.min(previous[j + 1], current[j]) + 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+export function findSimilarConcepts(concepts, name, limit) {
+  const normalized = normalizeName(name);
+  if (normalized === '') return [];
+  const size = Math.min(Math.max(1, Number(fromOpt(limit) ?? DEFAULT_SIMILAR_LIMIT)), Number(MAX_PAGE_SIZE));
+  return concepts
+    .map(concept => ({ concept, nameMatch: matchName(name, normalized, concept.name) }))
+    .filter(similar => similar.nameMatch !== null)
+    .sort((a, b) => matchRank(a.nameMatch) - matchRank(b.nameMatch) || compareSortValues({ text: a.concept.name }, { text: b.concept.name }))
+    .slice(0, size);
+}
+
+function matchName(name, normalized, candidate) {
+  if (candidate === name) return { Exact: null };
+  const other = normalizeName(candidate);
+  if (other === normalized) return { Normalized: null };
+  const shorter = Math.min(normalized.length, other.length);
+  const allowed = shorter < 4 ? 0 : shorter < 8 ? 1 : 2;
+  if (allowed === 0 || Math.abs(normalized.length - other.length) > allowed) return null;
+  const distance = editDistance(normalized, other);
+  return distance <= allowed ? { EditDistance: BigInt(distance) } : null;
+}
+
+function matchRank(nameMatch) {
+  if ('Exact' in nameMatch) return 0;
+  if ('Normalized' in nameMatch) return 1;
+  return 1 + Number(nameMatch.EditDistance);
+}
+
+// Moves remove's relationships onto keep, dropping those between the two
+// and collapsing repeats of keep's own assertions (same type, other end and
+// creator) into the stronger one
+export function planMerge(relationships, keep, remove, now) {
+  if (keep.id === remove.id) {
+    return err(validationError('SAME_CONCEPT', 'A concept cannot be merged into itself', {
+      field: 'remove',
+      constraint: 'different concept',
+      value: remove.id.toString(),
+    }));
+  }
+  const between = rel =>
+    (rel.fromConceptId === keep.id && rel.toConceptId === remove.id) ||
+    (rel.fromConceptId === remove.id && rel.toConceptId === keep.id);
+  const statement = rel =>
+    `${rel.fromConceptId}>${rel.toConceptId}:${rel.relationshipTypeId}:${rel.creator.principalId.toString()}`;
+
+  const winners = new Map();
+  const contend = rel => {
+    const other = winners.get(statement(rel));
+    winners.set(statement(rel), other ? strongest([other, rel]) : rel);
+  };
+  const retracted = [];
+  const own = incidentRelationships(relationships, keep.id).filter(rel => !between(rel));
+  own.forEach(contend);
+  const moving = [];
+  for (const rel of incidentRelationships(relationships, remove.id)) {
+    if (between(rel)) {
+      retracted.push(rel);
+    } else {
+      const moved = {
+        ...rel,
+        fromConceptId: rel.fromConceptId === remove.id ? keep.id : rel.fromConceptId,
+        toConceptId: rel.toConceptId === remove.id ? keep.id : rel.toConceptId,
+      };
+      contend(moved);
+      moving.push([rel, moved]);
+    }
+  }
+
+  // Duplicates keep already had are left alone
+  const movingIds = new Set(moving.map(([rel]) => rel.id));
+  for (const rel of own) {
+    const winner = winners.get(statement(rel));
+    if (winner.id !== rel.id && movingIds.has(winner.id)) retracted.push(rel);
+  }
+  const rewired = [];
+  for (const [stored, moved] of moving) {
+    if (winners.get(statement(moved)).id === moved.id) rewired.push(moved); else retracted.push(stored);
+  }
+
+  const retractedIds = new Set(retracted.map(rel => rel.id));
+  const remaining = ids => ids.filter(id => !retractedIds.has(id));
+  const keys = new Set(keep.metadata.map(([key]) => key));
+  return ok({
+    concept: {
+      ...keep,
+      description: keep.description.length > 0 ? keep.description : remove.description,
+      metadata: [...keep.metadata, ...remove.metadata.filter(([key]) => !keys.has(key))],
+      outgoingRelationships: [
+        ...remaining(keep.outgoingRelationships),
+        ...rewired.filter(rel => rel.fromConceptId === keep.id).map(rel => rel.id),
+      ],
+      incomingRelationships: [
+        ...remaining(keep.incomingRelationships),
+        ...rewired.filter(rel => rel.toConceptId === keep.id).map(rel => rel.id),
+      ],
+      modified: now,
+    },
+    rewired,
+    retracted,
+  });
+}
+
+// Rewired relationships must still meet their types' rules once the plan is
+// carried out. Deprecation only stops new assertions, so moved ones keep a
+// deprecated type
+export function validateMergePlan(relationships, relationshipTypes, plan, kindOf) {
+  const retracted = new Set(plan.retracted.map(rel => rel.id));
+  const rewired = new Map(plan.rewired.map(rel => [rel.id, rel]));
+  const merged = relationships
+    .filter(rel => !retracted.has(rel.id))
+    .map(rel => rewired.get(rel.id) ?? rel);
+  const instanceOf = instanceOfType(relationshipTypes);
+  for (const rel of plan.rewired) {
+    const relType = relationshipTypes.find(t => t.id === rel.relationshipTypeId);
+    if (!relType || !merged.includes(rel)) continue;
+    const check = validateRelationshipAgainstType(merged, rel, { ...relType, status: { ACTIVE: null } });
+    if ('err' in check) return check;
+    const membership = validateInstanceOf(rel, instanceOf, kindOf);
+    if ('err' in membership) return membership;
+  }
+  return validateKindChange(merged, instanceOf, plan.concept.id, kindOf(plan.concept.id));
+}
+
+// User Reliability
+
+export function initialReliability(principal) {
+  return { principalId: principal, score: INITIAL_RELIABILITY, lastUpdated: 0n };
+}
+
+export function applyReliabilitySignal(current, signal, witness, now) {
+  const step = multiply(RELIABILITY_STEP, witness);
+  const score = 'Corroboration' in signal
+    ? complement(multiply(complement(current.score), complement(step)))
+    : multiply(current.score, complement(step));
+  return { ...current, score, lastUpdated: now };
+}
+
+// What a relationship claims, whoever asserted it and how often
+export function statementKey(rel) {
+  return `${rel.fromConceptId}>${rel.toConceptId}:${rel.relationshipTypeId}`;
+}
+
+// Null when the witness already gave this signal on the statement;
+// otherwise the ledger with it in place of their earlier one
+export function recordEvidence(ledger, evidence) {
+  const same = other => samePrincipal(other.witness, evidence.witness) && other.statement === evidence.statement;
+  const previous = ledger.evidence.find(same);
+  if (!previous) return { ...ledger, evidence: [...ledger.evidence, evidence] };
+  if (variantKey(previous.signal) === variantKey(evidence.signal)) return null;
+  return { ...ledger, evidence: ledger.evidence.map(other => (same(other) ? evidence : other)) };
+}
+
+export function replayReliability(principal, ledger, now) {
+  return ledger.evidence.reduce(
+    (current, evidence) => applyReliabilitySignal(current, evidence.signal, evidence.weight, now),
+    { principalId: principal, score: ledger.base, lastUpdated: now }
+  );
+}
+
+// Judged against each other principal's latest assertion of the same statement
+export function reliabilitySignals(relationships, asserted) {
+  const latest = new Map();
+  for (const rel of relationships) {
+    if (rel.id !== asserted.id &&
+      rel.fromConceptId === asserted.fromConceptId &&
+      rel.toConceptId === asserted.toConceptId &&
+      rel.relationshipTypeId === asserted.relationshipTypeId &&
+      !samePrincipal(rel.creator.principalId, asserted.creator.principalId)) {
+      const key = rel.creator.principalId.toText();
+      const other = latest.get(key);
+      if (!other || other.creator.timestamp < rel.creator.timestamp) latest.set(key, rel);
+    }
+  }
+  return [...latest.values()].map(rel => [
+    rel.creator.principalId,
+    differsBy(rel.probability, asserted.probability, DEFAULT_CONFLICT_DIFFERENCE)
+      ? { Contradiction: null }
+      : { Corroboration: null },
+  ]);
+}
+
+// Full weight from INITIAL_RELIABILITY up, proportionally less below it
+export function reliabilityWeight(score) {
+  if (compare(score, INITIAL_RELIABILITY) >= 0) return ONE;
+  return normalize({
+    numerator: score.numerator * INITIAL_RELIABILITY.denominator,
+    denominator: score.denominator * INITIAL_RELIABILITY.numerator,
+  });
+}
+
+export function effectiveConfidence(rel, reliability) {
+  return multiply(rel.confidence, reliabilityWeight(reliability));
+}
+
+export function weightByReliability(relationships, reliabilityOf) {
+  return relationships.map(rel => ({ ...rel, confidence: effectiveConfidence(rel, reliabilityOf(rel.creator.principalId)) }));
+}
+
+// Conflict Management
+
+export function findFlag(flags, id) {
+  return flags.get(id) ?? null;
+}
+
+// Disagreeing repeated assertions, cycles in transitive irreflexive types,
+// and direct assertions that disagree with inheritance, among the
+// relationships of criteria.concept and of criteria.relationshipType when given
+export function detectConflicts(relationships, relationshipTypes, flags, criteria) {
+  const minDifference = fromOpt(criteria.minDifference) ?? DEFAULT_CONFLICT_DIFFERENCE;
+  const concept = fromOpt(criteria.concept ?? []);
+  const typeId = fromOpt(criteria.relationshipType ?? []);
+  const inScope = relationships.filter(rel =>
+    (concept === null || rel.fromConceptId === concept || rel.toConceptId === concept) &&
+    (typeId === null || rel.relationshipTypeId === typeId)
+  );
+  const conflicts = [];
+
+  const conflict = (kind, keyPrefix, members) => ({
+    key: `${keyPrefix}:${members.map(rel => rel.id).join(',')}`,
+    kind,
+    relationships: members,
+    disputed: members.filter(rel => 'Disputed' in (findFlag(flags, rel.id) ?? {})).map(rel => rel.id),
+  });
+
+  // Repeated assertions of the same statement
+  const groups = new Map();
+  for (const rel of inScope) {
+    const group = groups.get(statementKey(rel));
+    if (group) group.push(rel);
+    else groups.set(statementKey(rel), [rel]);
+  }
+  for (const group of groups.values()) {
+    const spread = group.some(a => group.some(b => differsBy(a.probability, b.probability, minDifference)));
+    if (group.length > 1 && spread) conflicts.push(conflict({ ProbabilityDisagreement: null }, 'disagreement', group));
+  }
+
+  // Cycles, one conflict per strongly connected group holding a relationship in scope
+  const cycleTypes = [...new Set(inScope.map(rel => rel.relationshipTypeId))].filter(id => {
+    const logical = relationshipTypes.find(t => t.id === id)?.properties.logical;
+    return logical?.transitive && logical.irreflexive;
+  });
+  for (const id of cycleTypes) {
+    const edges = relationships.filter(rel => rel.relationshipTypeId === id);
+    const roots = inScope.filter(rel => rel.relationshipTypeId === id).map(rel => rel.fromConceptId);
+    for (const members of cycleEdges(edges, roots)) {
+      if (members.some(rel => inScope.includes(rel))) conflicts.push(conflict({ Cycle: null }, 'cycle', members));
+    }
+  }
+
+  // Direct assertions that disagree with inheritance
+  for (const rel of inScope) {
+    const transitive = relationshipTypes.find(t => t.id === rel.relationshipTypeId)?.properties.logical.transitive ?? false;
+    const excepted = 'Exception' in (findFlag(flags, rel.id) ?? {});
+    if (!transitive || excepted || !hasDetour(relationships, rel)) continue;
+    const others = relationships.filter(other => other.id !== rel.id);
+    const derived = inferWithPaths(others, relationshipTypes, inferenceQuery(rel.fromConceptId, rel.relationshipTypeId))
+      .find(([inferred]) => inferred.relationship.toConceptId === rel.toConceptId && !('Direct' in inferred.source));
+    if (derived) {
+      const [inferred, path] = derived;
+      if (differsBy(rel.probability, inferred.relationship.probability, minDifference)) {
+        const chain = path.map(id => relationships.find(other => other.id === id)).filter(Boolean);
+        conflicts.push(conflict(
+          { InheritanceDisagreement: { probability: inferred.relationship.probability, confidence: inferred.relationship.confidence } },
+          'inheritance',
+          [rel, ...chain]
+        ));
+      }
+    }
+  }
+
+  return conflicts;
+}
+
+// Whether anything but rel could lead from its source to its target
+function hasDetour(relationships, rel) {
+  const typeId = rel.relationshipTypeId;
+  const leaves = relationships.some(other => other.fromConceptId === rel.fromConceptId &&
+    ((other.relationshipTypeId === typeId && other.toConceptId !== rel.toConceptId) ||
+      (other.relationshipTypeId === RELATIONSHIP_TYPE_IS_A && typeId !== RELATIONSHIP_TYPE_IS_A)));
+  return leaves && relationships.some(other => other.toConceptId === rel.toConceptId &&
+    other.relationshipTypeId === typeId && other.fromConceptId !== rel.fromConceptId);
+}
+
+// The edges of every cycle reachable from roots, one array per strongly
+// connected group, ordered by ID
+function cycleEdges(edges, roots) {
+  return stronglyConnected(edges, roots)
+    .map(group => edges.filter(rel => group.includes(rel.fromConceptId) && group.includes(rel.toConceptId)))
+    .filter(members => members.length > 0)
+    .map(members => [...members].sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0)));
+}
+
+// Tarjan's strongly connected components of the edges reachable from roots
+function stronglyConnected(edges, roots) {
+  const index = new Map();
+  const lowLink = new Map();
+  const stack = [];
+  const groups = [];
+  const visit = (id) => {
+    index.set(id, index.size);
+    lowLink.set(id, index.get(id));
+    stack.push(id);
+    for (const edge of edges.filter(rel => rel.fromConceptId === id)) {
+      const target = edge.toConceptId;
+      if (!index.has(target)) {
+        visit(target);
+        lowLink.set(id, Math.min(lowLink.get(id), lowLink.get(target)));
+      } else if (stack.includes(target)) {
+        lowLink.set(id, Math.min(lowLink.get(id), index.get(target)));
+      }
+    }
+    if (lowLink.get(id) === index.get(id)) {
+      const group = [];
+      let member;
+      do {
+        member = stack.pop();
+        group.push(member);
+      } while (member !== id);
+      groups.push(group);
+    }
+  };
+  for (const root of roots) {
+    if (!index.has(root)) visit(root);
+  }
+  return groups;
+}
+
+// Links to retract so a strongly connected group has no cycle left: the
+// weakest link still on a cycle, repeated until none is
+function breakCycles(members) {
+  const retracted = [];
+  let remaining = members;
+  for (;;) {
+    const onCycle = cycleEdges(remaining, remaining.map(rel => rel.fromConceptId)).flat();
+    if (onCycle.length === 0) return retracted;
+    let weakest = onCycle[0];
+    for (const rel of onCycle) {
+      if (compareStrength(rel, weakest) < 0) weakest = rel;
+    }
+    retracted.push(weakest);
+    remaining = remaining.filter(rel => rel.id !== weakest.id);
+  }
+}
+
+// Turns a strategy into [retractions, flags]; the caller applies them after
+// its permission checks
+export function resolveConflict(conflict, strategy, caller, now) {
+  const stamp = { principalId: caller, timestamp: now };
+  const kind = variantKey(conflict.kind);
+  if ('MarkDisputed' in strategy) {
+    const id = strategy.MarkDisputed;
+    if (!conflict.relationships.some(rel => rel.id === id)) {
+      return err(validationError('NOT_IN_CONFLICT', 'Relationship is not part of this conflict', {
+        field: 'relationshipId',
+        constraint: `member of conflict ${conflict.key}`,
+        value: String(id),
+      }));
+    }
+    return ok([[], [[id, { Disputed: stamp }]]]);
+  }
+  if ('CreateException' in strategy) {
+    if (kind !== 'InheritanceDisagreement') {
+      return err({ InvalidOperation: 'Exceptions only apply to inheritance disagreements' });
+    }
+    return ok([[], [[conflict.relationships[0].id, { Exception: stamp }]]]);
+  }
+  switch (kind) {
+    case 'ProbabilityDisagreement': {
+      const keep = strongest(conflict.relationships);
+      return ok([conflict.relationships.filter(rel => rel.id !== keep.id), []]);
+    }
+    case 'Cycle':
+      return ok([breakCycles(conflict.relationships), []]);
+    default: {
+      const direct = conflict.relationships[0];
+      // Direct knowledge wins ties, as an explicit override
+      return fractionLess(direct.confidence, conflict.kind.InheritanceDisagreement.confidence)
+        ? ok([[direct], []])
+        : ok([[], [[direct.id, { Exception: stamp }]]]);
+    }
+  }
+}
+
+// Most confident relationship, the most recent one on ties
+function strongest(relationships) {
+  let best = relationships[0];
+  for (const rel of relationships) {
+    if (fractionLess(best.confidence, rel.confidence) ||
+      (!fractionLess(rel.confidence, best.confidence) && rel.creator.timestamp > best.creator.timestamp)) {
+      best = rel;
+    }
+  }
+  return best;
+}
+
+function compareStrength(a, b) {
+  return compare(a.confidence, b.confidence) || compare(a.probability, b.probability);
+}
+
+function reachableFrom(edges, start) {
+  const found = [];
+  let frontier = [start];
+  while (frontier.length > 0) {
+    const next = [];
+    for (const id of frontier) {
+      for (const edge of edges) {
+        if (edge.fromConceptId === id && !found.includes(edge.toConceptId)) {
+          found.push(edge.toConceptId);
+          next.push(edge.toConceptId);
+        }
+      }
+    }
+    frontier = next;
+  }
+  return found;
+}
+
+// Relationship Type Management
+
+export function createRelationshipType(types, name, description, properties, metadata, nextId) {
+  const existing = types.find(type => type.name === name);
+  if (existing) return ok(existing);
+  if (properties.logical.reflexive && properties.logical.irreflexive) {
+    return err(validationError('INVALID_PROPERTIES', 'Relationship type cannot be both reflexive and irreflexive', {
+      field: 'properties.logical',
+      constraint: 'mutually_exclusive',
+      value: 'reflexive and irreflexive',
+    }));
+  }
+  for (const rule of properties.validation) {
+    const check = validateCustomRule(rule);
+    if ('err' in check) return check;
+  }
+  return ok({ id: nextId, name, description, properties, metadata, status: { ACTIVE: null } });
+}
+
+export function coreRelationshipTypes() {
+  const coreProperties = (transitive, inheritable) => ({
+    logical: { transitive, symmetric: false, reflexive: false, irreflexive: true },
+    inheritance: { inheritable, probabilityMode: { MULTIPLY: null } },
+    validation: [{ NoSelfReference: null }],
+  });
+  return [
+    ['IS-A', ['Basic inheritance relationship'], coreProperties(true, true)],
+    ['HAS-A', ['Composition relationship'], coreProperties(false, true)],
+    ['PART-OF', ['Part-whole relationship'], coreProperties(true, false)],
+    ['PROPERTY-OF', ['Property relationship'], coreProperties(false, true)],
+    [INSTANCE_OF, ['Membership of an individual in a class'], coreProperties(false, false)],
+  ];
+}
+
+export function listRelationshipTypes(types) {
+  return [...types].sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+}
+
+export function validateRelationshipAgainstType(relationships, relationship, relationshipType) {
+  if ('DEPRECATED' in relationshipType.status) {
+    const { reason, replacedBy } = relationshipType.status.DEPRECATED;
+    const replacement = fromOpt(replacedBy);
+    return err(validationError(
+      'DEPRECATED_TYPE',
+      `Relationship type is deprecated: ${reason}`,
+      replacement === null ? null : { field: 'relationshipTypeId', constraint: 'deprecated', value: `Use type ${replacement} instead` }
+    ));
+  }
+
+  for (const rule of relationshipType.properties.validation) {
+    const check = checkValidationRule(relationships, relationship, rule);
+    if ('err' in check) return check;
+  }
+
+  if (relationshipType.properties.logical.irreflexive && relationship.fromConceptId === relationship.toConceptId) {
+    return err(validationError('IRREFLEXIVE_VIOLATION', 'Irreflexive relationship cannot reference same concept', {
+      field: 'toConceptId',
+      constraint: 'irreflexive',
+      value: String(relationship.toConceptId),
+    }));
+  }
+  return ok();
+}
+
+function checkValidationRule(relationships, relationship, rule) {
+  if ('RequiredMetadata' in rule) return checkRequiredMetadata(relationship.metadata, rule.RequiredMetadata);
+  if ('UniqueTarget' in rule) {
+    // A source may point at only one target through this type. Asserting
+    // the same target again is allowed so others can weigh in.
+    const other = relationships.find(rel =>
+      rel.relationshipTypeId === relationship.relationshipTypeId &&
+      rel.fromConceptId === relationship.fromConceptId &&
+      rel.toConceptId !== relationship.toConceptId
+    );
+    if (!other) return ok();
+    return err(validationError('UNIQUE_TARGET_VIOLATION', 'Source concept already has a target for this relationship type', {
+      field: 'toConceptId',
+      constraint: 'unique_target',
+      value: String(other.toConceptId),
+    }));
+  }
+  if ('NoSelfReference' in rule) {
+    if (relationship.fromConceptId !== relationship.toConceptId) return ok();
+    return err(validationError('SELF_REFERENCE', 'Self-referential relationships not allowed for this type', {
+      field: 'toConceptId',
+      constraint: 'no_self_reference',
+      value: String(relationship.toConceptId),
+    }));
+  }
+  return checkCustomRule(relationships, relationship, rule.CustomRule);
+}
+
+// Custom rule names, as documented on lib.mo's CustomCheck
+const CUSTOM_RULE_PREFIXES = ['min-probability:', 'max-probability:', 'min-confidence:'];
+
+function parseCustomRule(name) {
+  if (name === 'acyclic') return { Acyclic: null };
+  for (const prefix of CUSTOM_RULE_PREFIXES) {
+    if (!name.startsWith(prefix)) continue;
+    const bound = parseFraction(name.slice(prefix.length));
+    if (bound === null) return null;
+    if (prefix === 'min-probability:') return { MinProbability: bound };
+    if (prefix === 'max-probability:') return { MaxProbability: bound };
+    return { MinConfidence: bound };
+  }
+  if (name.startsWith('metadata-values:')) {
+    const parts = name.slice('metadata-values:'.length).split('=');
+    if (parts.length !== 2 || parts[0] === '') return null;
+    return { MetadataValues: [parts[0], parts[1].split('|')] };
+  }
+  return null;
+}
+
+function validateCustomRule(rule) {
+  if (!('CustomRule' in rule) || parseCustomRule(rule.CustomRule.name) !== null) return ok();
+  return err(validationError('INVALID_RULE', `Unknown custom rule: ${rule.CustomRule.name}`, {
+    field: 'properties.validation',
+    constraint: 'custom_rule',
+    value: rule.CustomRule.name,
+  }));
+}
+
+function checkCustomRule(relationships, relationship, rule) {
+  const violation = (field, value) => err(validationError(rule.errorCode, rule.description, { field, constraint: rule.name, value }));
+  const check = parseCustomRule(rule.name);
+  if (check === null) return violation('relationshipTypeId', String(relationship.relationshipTypeId));
+  if ('MinProbability' in check) {
+    return fractionLess(relationship.probability, check.MinProbability) ? violation('probability', fractionText(relationship.probability)) : ok();
+  }
+  if ('MaxProbability' in check) {
+    return fractionLess(check.MaxProbability, relationship.probability) ? violation('probability', fractionText(relationship.probability)) : ok();
+  }
+  if ('MinConfidence' in check) {
+    return fractionLess(relationship.confidence, check.MinConfidence) ? violation('confidence', fractionText(relationship.confidence)) : ok();
+  }
+  if ('MetadataValues' in check) {
+    const [key, allowed] = check.MetadataValues;
+    const entry = relationship.metadata.find(([name]) => name === key);
+    return entry && !allowed.includes(entry[1]) ? violation(`metadata.${key}`, entry[1]) : ok();
+  }
+  const edges = relationships.filter(rel => rel.relationshipTypeId === relationship.relationshipTypeId);
+  const closesCycle = relationship.fromConceptId === relationship.toConceptId ||
+    reachableFrom(edges, relationship.toConceptId).includes(relationship.fromConceptId);
+  return closesCycle ? violation('toConceptId', String(relationship.toConceptId)) : ok();
+}
+
+// A probability written as n/d
+function parseFraction(text) {
+  const match = /^(\d+)\/(\d+)$/.exec(text);
+  if (!match) return null;
+  const [numerator, denominator] = [BigInt(match[1]), BigInt(match[2])];
+  if (denominator === 0n || numerator > denominator) return null;
+  return normalize({ numerator, denominator });
+}
+
+function checkRequiredMetadata(metadata, keys) {
+  for (const key of keys) {
+    if (!metadata.some(([name]) => name === key)) {
+      return err(validationError('MISSING_METADATA', `Required metadata key missing: ${key}`, {
+        field: 'metadata',
+        constraint: 'required',
+        value: key,
+      }));
+    }
+  }
+  return ok();
+}
+
+// Change history
+
+export function queryChanges(changes, criteria) {
+  const entity = fromOpt(criteria.entity);
+  const concept = fromOpt(criteria.concept);
+  const principal = fromOpt(criteria.principal);
+  const since = fromOpt(criteria.since);
+  const until = fromOpt(criteria.until);
+  return changes.filter(entry =>
+    (entity === null || sameEntity(entry.entity, entity)) &&
+    (concept === null || changeTouchesConcept(entry, concept)) &&
+    (principal === null || samePrincipal(entry.principal, principal)) &&
+    (since === null || entry.timestamp >= since) &&
+    (until === null || entry.timestamp < until)
+  );
+}
+
+function sameEntity(a, b) {
+  const [x, y] = [Object.values(a)[0], Object.values(b)[0]];
+  return variantKey(a) === variantKey(b) && ('Role' in a ? samePrincipal(x, y) : x === y);
+}
+
+// Includes relationships in either direction, concepts merged into it, who
+// was granted edit rights on it and the conflict flags on its relationships
+function changeTouchesConcept(entry, conceptId) {
+  if (sameEntity(entry.entity, { Concept: conceptId }) || sameEntity(entry.entity, { ConceptEditors: conceptId }) ||
+    entry.action.Merge === conceptId) return true;
+  return [...entry.before, ...entry.after].some(snapshot => {
+    const rel = snapshot.Relationship ?? snapshot.RelationshipFlag?.relationship;
+    return rel !== undefined && (rel.fromConceptId === conceptId || rel.toConceptId === conceptId);
+  });
+}
+
+// Queries
+
+function textContains(text, pattern) {
+  return text.toLowerCase().includes(pattern.toLowerCase());
+}
+
+function matchesMetadata(metadata, wanted) {
+  return wanted.every(([key, value]) => metadata.some(([k, v]) => k === key && v === value));
+}
+
+export function queryConcepts(concepts, criteria, kindOf, relationships, instanceOf) {
+  const creator = fromOpt(criteria.creator);
+  const pattern = fromOpt(criteria.namePattern);
+  const isInstance = fromOpt(criteria.isInstance);
+  const hasInstances = fromOpt(criteria.hasInstances);
+  const withInstances = hasInstances === null ? new Set() : classesWithInstances(relationships, instanceOf);
+  return concepts.filter(concept =>
+    (creator === null || samePrincipal(concept.creator.principalId, creator)) &&
+    (pattern === null || textContains(concept.name, pattern)) &&
+    matchesMetadata(concept.metadata, criteria.metadata) &&
+    (isInstance === null || ('Individual' in kindOf(concept.id)) === isInstance) &&
+    (hasInstances === null || withInstances.has(concept.id) === hasInstances)
+  );
+}
+
+export function queryRelationships(relationships, criteria) {
+  const creator = fromOpt(criteria.creator);
+  const from = fromOpt(criteria.fromConceptId);
+  const to = fromOpt(criteria.toConceptId);
+  const type = fromOpt(criteria.relationshipTypeId);
+  const maxProbability = fromOpt(criteria.maxProbability);
+  return relationships.filter(rel =>
+    (creator === null || samePrincipal(rel.creator.principalId, creator)) &&
+    (from === null || rel.fromConceptId === from) &&
+    (to === null || rel.toConceptId === to) &&
+    (type === null || rel.relationshipTypeId === type) &&
+    meetsThreshold(rel.probability, criteria.minProbability) &&
+    (maxProbability === null || compare(rel.probability, maxProbability) <= 0) &&
+    matchesMetadata(rel.metadata, criteria.metadata)
+  );
+}
+
+// Pagination
+
+export function pageConcepts(concepts, request) {
+  const req = fromOpt(request) ?? {};
+  const sortBy = variantKey(fromOpt(req.sortBy ?? []) ?? { Name: null });
+  const [sortName, sortValue] = {
+    Name: ['name', c => ({ text: c.name.replace(/[A-Z]/g, ch => ch.toLowerCase()) })],
+    Created: ['created', c => ({ int: c.created })],
+    Modified: ['modified', c => ({ int: c.modified })],
+    RelationshipCount: ['relationships', c => ({ int: BigInt(c.incomingRelationships.length + c.outgoingRelationships.length) })],
+  }[sortBy];
+  return paginate(concepts, sortValue, c => padId(c.id), sortName, 'Ascending', req);
+}
+
+const RELATIONSHIP_SORTS = {
+  Created: ['created', rel => ({ int: rel.creator.timestamp })],
+  Probability: ['probability', rel => ({ fraction: rel.probability })],
+  Confidence: ['confidence', rel => ({ fraction: rel.confidence })],
+};
+
+export function pageRelationships(relationships, request) {
+  const req = fromOpt(request) ?? {};
+  const [sortName, sortValue] = RELATIONSHIP_SORTS[variantKey(fromOpt(req.sortBy ?? []) ?? { Created: null })];
+  return paginate(relationships, sortValue, rel => padId(rel.id), sortName, 'Ascending', req);
+}
+
+// Inference yields at most one result per concept pair, so the pair
+// identifies a result
+export function pageInferred(inferred, request) {
+  const req = fromOpt(request) ?? {};
+  const [sortName, sortValue] = RELATIONSHIP_SORTS[variantKey(fromOpt(req.sortBy ?? []) ?? { Probability: null })];
+  return paginate(
+    inferred,
+    item => sortValue(item.relationship),
+    item => `${item.relationship.fromConceptId}-${item.relationship.toConceptId}`,
+    sortName,
+    'Descending',
+    req
+  );
+}
+
+export function pageChanges(changes, request) {
+  const req = fromOpt(request) ?? {};
+  return paginate(changes, entry => ({ int: entry.timestamp }), entry => padId(entry.id), 'timestamp', 'Descending', req);
+}
+
+// IDs as text that sorts numerically, for tie-breaks and cursors
+function padId(id) {
+  return String(id).padStart(20, '0');
+}
+
+function compareSortValues(a, b) {
+  if ('fraction' in a) return compare(a.fraction, b.fraction);
+  const [x, y] = 'text' in a ? [a.text, b.text] : [a.int, b.int];
+  return x < y ? -1 : x > y ? 1 : 0;
+}
+
+// Sorts by (sort value, identity) and returns one page; a cursor names the
+// last item of the previous page. Same cursor format as the canister:
+// "<sort>:<order>|<identity>|<encoded sort value>"
+function paginate(items, sortValue, identity, sortName, defaultOrder, request) {
+  const requested = fromOpt(request.pageSize ?? []) ?? DEFAULT_PAGE_SIZE;
+  const pageSize = requested < 1n ? 1n : requested > MAX_PAGE_SIZE ? MAX_PAGE_SIZE : requested;
+  const order = variantKey(fromOpt(request.order ?? []) ?? { [defaultOrder]: null });
+  const scope = `${sortName}:${order === 'Ascending' ? 'asc' : 'desc'}`;
+
+  const keyOf = item => [sortValue(item), identity(item)];
+  const compareKeys = ([valueA, idA], [valueB, idB]) => {
+    const result = compareSortValues(valueA, valueB) || (idA < idB ? -1 : idA > idB ? 1 : 0);
+    return order === 'Ascending' ? result : -result;
+  };
+  const sorted = [...items].sort((a, b) => compareKeys(keyOf(a), keyOf(b)));
+
+  let start;
+  const cursor = fromOpt(request.cursor ?? []);
+  if (cursor !== null) {
+    const after = decodeCursor(cursor, scope);
+    if (after === null) return err(`Invalid cursor for sort order ${scope}`);
+    start = sorted.findIndex(item => compareKeys(keyOf(item), after) > 0);
+    if (start === -1) start = sorted.length;
+  } else {
+    const page = fromOpt(request.page ?? []) ?? 1n;
+    if (page === 0n) return err('Page numbers start at 1');
+    start = Number((page - 1n) * pageSize);
+  }
+
+  const end = Math.min(start + Number(pageSize), sorted.length);
+  return ok({
+    items: start >= end ? [] : sorted.slice(start, end),
+    total: BigInt(sorted.length),
+    page: BigInt(start) / pageSize + 1n,
+    pageSize,
+    nextCursor: end < sorted.length ? [encodeCursor(scope, keyOf(sorted[end - 1]))] : [],
+  });
+}
+
+function encodeCursor(scope, [value, id]) {
+  const encoded = 'text' in value ? `t:${value.text}`
+    : 'int' in value ? `i:${value.int}`
+    : `f:${fractionText(value.fraction)}`;
+  return `${scope}|${id}|${encoded}`;
+}
+
+function decodeCursor(cursor, scope) {
+  const parts = cursor.split('|');
+  if (parts.length < 3 || parts[0] !== scope) return null;
+  // Text sort values may themselves contain '|'
+  const encoded = parts.slice(2).join('|');
+  const value = decodeSortValue(encoded);
+  return value === null ? null : [value, parts[1]];
+}
+
+function decodeSortValue(encoded) {
+  if (encoded.startsWith('t:')) return { text: encoded.slice(2) };
+  if (/^i:-?\d+$/.test(encoded)) return { int: BigInt(encoded.slice(2)) };
+  const fraction = /^f:(\d+)\/(\d+)$/.exec(encoded);
+  if (fraction && BigInt(fraction[2]) > 0n) {
+    return { fraction: { numerator: BigInt(fraction[1]), denominator: BigInt(fraction[2]) } };
+  }
+  return null;
+}
+
+// Inference
+
+export function inferRelationships(relationships, relationshipTypes, params) {
+  return inferWithPaths(relationships, relationshipTypes, params).map(([inferred]) => inferred);
+}
+
+// Re-runs the same inference and resolves every hop of the path to targetConcept
+export function explainInference(relationships, relationshipTypes, params, targetConcept) {
+  // Incoming results end at the starting concept and begin at the target
+  const reaches = ({ relationship: rel }) => (rel.fromConceptId === params.startingConcept
+    ? rel.toConceptId === targetConcept
+    : rel.fromConceptId === targetConcept);
+  const found = inferWithPaths(relationships, relationshipTypes, params).find(([inferred]) => reaches(inferred));
+  if (!found) return err({ NotFound: 'No inferred relationship to target concept' });
+
+  const [inferred, path] = found;
+  const isInherited = 'Inherited' in inferred.source;
+  const steps = [];
+  let probability = ONE;
+  let confidence = ONE;
+  for (const relId of path) {
+    const rel = relationships.find(other => other.id === relId);
+    if (!rel) return err({ NotFound: 'Relationship in inference chain not found' });
+    if (steps.length === 0) {
+      probability = rel.probability;
+      confidence = rel.confidence;
+    } else if (isInherited && steps.length + 1 === path.length) {
+      [probability, confidence] = combineInherited(probabilityMode(relationshipTypes, rel.relationshipTypeId), probability, confidence, rel);
+    } else {
+      probability = multiply(probability, rel.probability);
+      confidence = combineConfidences(confidence, rel.confidence);
+    }
+    steps.push({ relationship: rel, probability, confidence });
+  }
+  return ok({ inferred, steps });
+}
+
+// Path finding
+
+export const DEFAULT_MAX_PATHS = 3n;
+export const MAX_PATHS = 20n;
+export const DEFAULT_PATH_DEPTH = 6n;
+// Partial paths expanded before the search gives up on finding more
+const MAX_PATH_EXPANSIONS = 10000;
+
+// The k most probable chains of asserted relationships between two concepts,
+// found by expanding partial paths most probable first
+export function findPaths(relationships, relationshipTypes, params) {
+  if (params.from === params.to) {
+    return err(validationError('SAME_CONCEPT', 'A path needs two different concepts', {
+      field: 'to',
+      constraint: 'to != from',
+      value: params.to.toString(),
+    }));
+  }
+  const maxPaths = fromOpt(params.maxPaths) ?? DEFAULT_MAX_PATHS;
+  if (maxPaths === 0n || maxPaths > MAX_PATHS) {
+    return err(validationError('INVALID_MAX_PATHS', `Between 1 and ${MAX_PATHS} paths can be requested`, {
+      field: 'maxPaths',
+      constraint: `1 <= maxPaths <= ${MAX_PATHS}`,
+      value: maxPaths.toString(),
+    }));
+  }
+  const maxDepth = fromOpt(params.maxDepth) ?? DEFAULT_PATH_DEPTH;
+  const allowed = fromOpt(params.relationshipTypes);
+  const isSymmetric = typeId => relationshipTypes.find(t => t.id === typeId)?.properties.logical.symmetric ?? false;
+
+  // Every edge a path can take, facing the way it is walked
+  const edges = relationships
+    .filter(rel => (allowed === null || allowed.includes(rel.relationshipTypeId)) && rel.fromConceptId !== rel.toConceptId)
+    .flatMap(rel => (isSymmetric(rel.relationshipTypeId)
+      ? [rel, { ...rel, fromConceptId: rel.toConceptId, toConceptId: rel.fromConceptId }]
+      : [rel]));
+
+  // Most probable first; equal paths keep the order they were found in
+  const frontier = [{ conceptId: params.from, probability: ONE, confidence: ONE, steps: [], onPath: [params.from] }];
+  const enqueue = (path) => {
+    const index = frontier.findIndex(other => fractionLess(other.probability, path.probability));
+    frontier.splice(index < 0 ? frontier.length : index, 0, path);
+  };
+
+  const found = [];
+  let expansions = 0;
+  while (frontier.length > 0 && found.length < Number(maxPaths) && expansions < MAX_PATH_EXPANSIONS) {
+    const { conceptId, probability, confidence, steps, onPath } = frontier.shift();
+    if (conceptId === params.to) {
+      found.push({ steps, probability, confidence });
+      continue;
+    }
+    if (BigInt(steps.length) >= maxDepth) continue;
+    expansions += 1;
+    for (const rel of edges) {
+      if (rel.fromConceptId !== conceptId || onPath.includes(rel.toConceptId)) continue;
+      const nextProb = multiply(probability, rel.probability);
+      const nextConf = combineConfidences(confidence, rel.confidence);
+      if (!meetsThreshold(nextProb, params.minProbability) || !meetsThreshold(nextConf, params.minConfidence)) continue;
+      enqueue({
+        conceptId: rel.toConceptId,
+        probability: nextProb,
+        confidence: nextConf,
+        steps: [...steps, { relationship: rel, probability: nextProb, confidence: nextConf }],
+        onPath: [...onPath, rel.toConceptId],
+      });
+    }
+  }
+  return ok(found);
+}
+
+// Inference results paired with the asserted relationships each was derived from
+function inferWithPaths(relationships, relationshipTypes, params) {
+  const start = params.startingConcept;
+  const typeFilter = fromOpt(params.relationshipType);
+  const maxDepth = fromOpt(params.maxDepth);
+  const direction = variantKey(fromOpt(params.direction ?? []) ?? { Outgoing: null });
+  const results = [];
+  const visited = new Set();
+  const pairKey = (from, to) => `${from}-${to}`;
+  const properties = typeId => relationshipTypes.find(t => t.id === typeId)?.properties ?? null;
+  const instanceOf = instanceOfType(relationshipTypes);
+  // Without a type filter the hierarchy is followed: IS-A, and INSTANCE-OF into it
+  const followed = rel => (typeFilter === null
+    ? rel.relationshipTypeId === RELATIONSHIP_TYPE_IS_A || rel.relationshipTypeId === instanceOf
+    : rel.relationshipTypeId === typeFilter);
+  // INSTANCE-OF chains go on up IS-A; transitive types go on along themselves
+  const chainType = typeId => {
+    if (typeId === instanceOf) return RELATIONSHIP_TYPE_IS_A;
+    return properties(typeId)?.logical.transitive ? typeId : null;
+  };
+  const meetsThresholds = (p, c) => meetsThreshold(p, params.minProbability) && meetsThreshold(c, params.minConfidence);
+
+  const direct = relationships.filter(rel => direction !== 'Incoming' && rel.fromConceptId === start && followed(rel));
+  for (const rel of direct) {
+    if (!meetsThresholds(rel.probability, rel.confidence)) continue;
+    results.push([{ relationship: rel, source: { Direct: rel.id } }, [rel.id]]);
+    visited.add(pairKey(rel.fromConceptId, rel.toConceptId));
+
+    if (properties(rel.relationshipTypeId)?.logical.symmetric) {
+      const symmetric = { ...rel, fromConceptId: rel.toConceptId, toConceptId: rel.fromConceptId };
+      if (!visited.has(pairKey(symmetric.fromConceptId, symmetric.toConceptId))) {
+        results.push([{ relationship: symmetric, source: { Symmetric: rel.id } }, [rel.id]]);
+        visited.add(pairKey(symmetric.fromConceptId, symmetric.toConceptId));
+      }
+    }
+  }
+
+  const findTransitive = (currentId, depth, currentProb, currentConf, firstRel, path, chain, resultType) => {
+    if (maxDepth !== null && depth >= maxDepth) return;
+    for (const rel of relationships) {
+      if (rel.fromConceptId !== currentId || rel.relationshipTypeId !== chain) continue;
+      const probability = multiply(currentProb, rel.probability);
+      const confidence = combineConfidences(currentConf, rel.confidence);
+      if (!meetsThresholds(probability, confidence) || visited.has(pairKey(start, rel.toConceptId))) continue;
+      const newPath = [...path, rel.id];
+      results.push([{
+        relationship: { ...createInferredRelationship(start, rel, probability, confidence), relationshipTypeId: resultType },
+        source: { Transitive: { first: firstRel, second: rel.id, probability } },
+      }, newPath]);
+      visited.add(pairKey(start, rel.toConceptId));
+      findTransitive(rel.toConceptId, depth + 1n, probability, confidence, firstRel, newPath, chain, resultType);
+    }
+  };
+
+  for (const rel of direct) {
+    const chain = chainType(rel.relationshipTypeId);
+    if (chain !== null) {
+      findTransitive(rel.toConceptId, 1n, rel.probability, rel.confidence, rel.id, [rel.id], chain, rel.relationshipTypeId);
+    }
+  }
+
+  // Anything already derived for the concept itself is more specific and wins
+  if (typeFilter !== null && typeFilter !== RELATIONSHIP_TYPE_IS_A && direction !== 'Incoming') {
+    for (const [inferred, path] of inferInherited(relationships, relationshipTypes, params)) {
+      const key = pairKey(inferred.relationship.fromConceptId, inferred.relationship.toConceptId);
+      if (!visited.has(key)) {
+        results.push([inferred, path]);
+        visited.add(key);
+      }
+    }
+  }
+
+  // Incoming edges are followed backwards along the chain type, passing
+  // through subclasses on the way to a class's instances; paths read from the
+  // far concept on
+  const passed = new Set([start]);
+  const findIncoming = (currentId, depth, currentProb, currentConf, firstRel, path, chain) => {
+    if (maxDepth !== null && depth >= maxDepth) return;
+    for (const rel of relationships) {
+      if (rel.toConceptId !== currentId) continue;
+      const startsChain = followed(rel) && chainType(rel.relationshipTypeId) === chain;
+      const probability = multiply(currentProb, rel.probability);
+      const confidence = combineConfidences(currentConf, rel.confidence);
+      if (!meetsThresholds(probability, confidence)) continue;
+      const newPath = [rel.id, ...path];
+      if (startsChain && !visited.has(pairKey(rel.fromConceptId, start))) {
+        results.push([{
+          relationship: { ...rel, toConceptId: start, probability, confidence },
+          source: { IncomingTransitive: { first: firstRel, second: rel.id, probability } },
+        }, newPath]);
+        visited.add(pairKey(rel.fromConceptId, start));
+        if (rel.relationshipTypeId === chain) {
+          findIncoming(rel.fromConceptId, depth + 1n, probability, confidence, firstRel, newPath, chain);
+        }
+      } else if (!startsChain && rel.relationshipTypeId === chain && !passed.has(rel.fromConceptId)) {
+        passed.add(rel.fromConceptId);
+        findIncoming(rel.fromConceptId, depth + 1n, probability, confidence, firstRel, newPath, chain);
+      }
+    }
+  };
+
+  if (direction !== 'Outgoing') {
+    const incoming = relationships.filter(rel => rel.toConceptId === start);
+    for (const rel of incoming) {
+      if (!followed(rel) || !meetsThresholds(rel.probability, rel.confidence) ||
+        visited.has(pairKey(rel.fromConceptId, rel.toConceptId))) continue;
+      results.push([{ relationship: rel, source: { Direct: rel.id } }, [rel.id]]);
+      visited.add(pairKey(rel.fromConceptId, rel.toConceptId));
+    }
+    const chain = typeFilter === null ? RELATIONSHIP_TYPE_IS_A : chainType(typeFilter);
+    for (const rel of incoming) {
+      if (chain !== null && rel.relationshipTypeId === chain) {
+        findIncoming(rel.fromConceptId, 1n, rel.probability, rel.confidence, rel.id, [rel.id], chain);
+      }
+    }
+  }
+  return results;
+}
+
+// Relationships inherited from IS-A ancestors; for each type and target
+// only the nearest assertion counts
+export function inferInherited(relationships, relationshipTypes, params) {
+  const start = params.startingConcept;
+  const typeFilter = fromOpt(params.relationshipType);
+  const maxDepth = fromOpt(params.maxDepth);
+  if (maxDepth === 0n) return [];
+  // The final hop is the ancestor's assertion, so the IS-A chain gets one fewer
+  const maxHops = maxDepth === null ? null : maxDepth - 1n;
+
+  const follows = typeId =>
+    typeId !== RELATIONSHIP_TYPE_IS_A &&
+    (typeFilter === null || typeId === typeFilter) &&
+    (relationshipTypes.find(t => t.id === typeId)?.properties.inheritance.inheritable ?? false);
+
+  const claimed = new Set();
+  const claimKey = (typeId, target) => `${typeId}-${target}`;
+  for (const rel of relationships) {
+    if (rel.fromConceptId === start) claimed.add(claimKey(rel.relationshipTypeId, rel.toConceptId));
+  }
+
+  const results = [];
+  for (const [ancestor, chainProb, chainConf, chain] of isAAncestors(relationships, instanceOfType(relationshipTypes), start, maxHops)) {
+    for (const rel of relationships) {
+      const key = claimKey(rel.relationshipTypeId, rel.toConceptId);
+      if (rel.fromConceptId !== ancestor || rel.toConceptId === start || !follows(rel.relationshipTypeId) || claimed.has(key)) continue;
+      // Claimed even below the thresholds: a farther ancestor must not show through
+      claimed.add(key);
+      const [probability, confidence] = combineInherited(probabilityMode(relationshipTypes, rel.relationshipTypeId), chainProb, chainConf, rel);
+      if (meetsThreshold(probability, params.minProbability) && meetsThreshold(confidence, params.minConfidence)) {
+        results.push([{
+          relationship: createInferredRelationship(start, rel, probability, confidence),
+          source: { Inherited: { ancestor, relationship: rel.id, probability } },
+        }, [...chain, rel.id]]);
+      }
+    }
+  }
+  return results;
+}
+
+// IS-A ancestors of start, nearest first, with the chain reaching each one.
+// An individual reaches them through its INSTANCE-OF classes
+function isAAncestors(relationships, instanceOf, start, maxHops) {
+  const found = [];
+  const reached = new Set([start]);
+  let frontier = [[start, ONE, ONE, []]];
+  let hops = 0n;
+  while (frontier.length > 0 && (maxHops === null || hops < maxHops)) {
+    const next = [];
+    for (const [conceptId, probability, confidence, path] of frontier) {
+      for (const rel of relationships) {
+        const climbs = rel.relationshipTypeId === RELATIONSHIP_TYPE_IS_A ||
+          (hops === 0n && rel.relationshipTypeId === instanceOf);
+        if (rel.fromConceptId === conceptId && climbs && !reached.has(rel.toConceptId)) {
+          reached.add(rel.toConceptId);
+          next.push([
+            rel.toConceptId,
+            multiply(probability, rel.probability),
+            combineConfidences(confidence, rel.confidence),
+            [...path, rel.id],
+          ]);
+        }
+      }
+    }
+    found.push(...next);
+    frontier = next;
+    hops += 1n;
+  }
+  return found;
+}
+
+// OVERRIDE keeps the assertion's own values: the most specific assertion wins
+function combineInherited(mode, chainProb, chainConf, rel) {
+  const confidence = combineConfidences(chainConf, rel.confidence);
+  switch (variantKey(mode)) {
+    case 'MINIMUM': return [normalize(fractionLess(rel.probability, chainProb) ? rel.probability : chainProb), confidence];
+    case 'MAXIMUM': return [normalize(fractionLess(chainProb, rel.probability) ? rel.probability : chainProb), confidence];
+    case 'OVERRIDE': return [normalize(rel.probability), normalize(rel.confidence)];
+    default: return [multiply(chainProb, rel.probability), confidence];
+  }
+}
+
+function probabilityMode(relationshipTypes, typeId) {
+  return relationshipTypes.find(t => t.id === typeId)?.properties.inheritance.probabilityMode ?? { MULTIPLY: null };
+}
+
+function createInferredRelationship(startingConcept, rel, probability, confidence) {
+  return { ...rel, fromConceptId: startingConcept, probability, confidence };
+}
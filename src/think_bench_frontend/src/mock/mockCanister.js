@@ -0,0 +1,697 @@
+import { Principal } from '@dfinity/principal';
+import { ConceptBaseClient, toOpt, fromOpt } from '../api/conceptBaseClient.js';
+import { parseImport, runImport } from '../utils/importExport.js';
+import { compare } from '../utils/fraction.js';
+import * as Lib from './lib.js';
+
+// In-memory stand-in for the ConceptBase actor in think_bench_backend/main.mo.
+//
+// createActor(principal) returns an object with the same async methods,
+// arguments and Candid-shaped results as the generated actor, with every
+// update call made as that principal. Actors from one canister share its
+// state, so several principals can be exercised against each other:
+//
+//   const canister = createMockCanister();
+//   const alice = canister.createActor(ALICE);
+//   const client = new ConceptBaseClient(alice);
+//
+// State lives only as long as the canister object; nothing is persisted.
+// `controllers` lists the principals that may claim the first admin role.
+
+const currentTime = () => BigInt(Date.now()) * 1_000_000n;
+
+export function createMockCanister({ now = currentTime, controllers = [] } = {}) {
+  const concepts = new Map();
+  const relationships = new Map();
+  const relationshipTypes = new Map();
+  // Soft-deleted concepts and who deleted them
+  const deletedConcepts = new Map();
+  // Disputed and exception marks set while resolving conflicts
+  const relationshipFlags = new Map();
+  // Append-only change log
+  const changeLog = new Map();
+  // Keyed by principal text
+  const reliabilities = new Map();
+  // The signals behind each score, keyed by principal text
+  const reliabilityLedgers = new Map();
+  // Assigned roles, keyed by principal text; everyone else has Lib.defaultRole
+  const roles = new Map();
+  // Co-editors each concept's creator has granted
+  const conceptEditors = new Map();
+  // IDs of merged-away concepts and the concept each was merged into
+  const conceptAliases = new Map();
+  // Concepts marked as individuals; the rest are classes
+  const conceptKinds = new Map();
+
+  let nextConceptId = 0n;
+  let nextRelationshipId = 0n;
+  let nextRelationshipTypeId = 0n;
+  let nextChangeId = 0n;
+
+  for (const [name, description, properties] of Lib.coreRelationshipTypes()) {
+    const result = Lib.createRelationshipType([...relationshipTypes.values()], name, description, properties, [], nextRelationshipTypeId);
+    relationshipTypes.set(result.ok.id, result.ok);
+    nextRelationshipTypeId += 1n;
+  }
+  // Found by name, as the canister seeds it on upgrade
+  const instanceOfTypeId = Lib.instanceOfType([...relationshipTypes.values()]);
+
+  // Soft-deleted concepts and every relationship touching them are hidden
+  // from lookups, queries and inference until restored
+  const getLiveConcept = id => (deletedConcepts.has(id) ? null : concepts.get(id) ?? null);
+  // Concept IDs are resolved at the endpoints, so merged-away IDs keep working
+  const resolveConceptId = id => conceptAliases.get(id) ?? id;
+  const resolveInferenceQuery = params => ({ ...params, startingConcept: resolveConceptId(params.startingConcept) });
+  const liveConcepts = () => [...concepts.values()].filter(c => !deletedConcepts.has(c.id));
+  const liveRelationships = () => [...relationships.values()].filter(rel =>
+    !deletedConcepts.has(rel.fromConceptId) && !deletedConcepts.has(rel.toConceptId)
+  );
+  const types = () => [...relationshipTypes.values()];
+
+  const roleOf = principal => roles.get(principal.toText())?.role ?? Lib.defaultRole(principal);
+  const editorsOf = id => conceptEditors.get(id) ?? [];
+  const kindOf = id => conceptKinds.get(id) ?? { Class: null };
+  const adminCount = () => [...roles.values()].filter(({ role }) => 'Admin' in role).length;
+
+  const reliabilityOf = principal => reliabilities.get(principal.toText()) ?? Lib.initialReliability(principal);
+
+  // One signal per witness, principal and statement; a changed stance
+  // replaces the old one. The witness's own reliability decides how far
+  // the signal moves a score
+  const signalReliability = (principal, signal, witness, about) => {
+    if (Lib.samePrincipal(principal, witness)) return;
+    const key = principal.toText();
+    const ledger = reliabilityLedgers.get(key) ?? { base: reliabilityOf(principal).score, evidence: [] };
+    const updated = Lib.recordEvidence(ledger, {
+      witness,
+      statement: Lib.statementKey(about),
+      signal,
+      weight: reliabilityOf(witness).score,
+    });
+    if (!updated) return;
+    reliabilityLedgers.set(key, updated);
+    reliabilities.set(key, Lib.replayReliability(principal, updated, now()));
+  };
+
+  // What an assertion, new or edited, says about everyone else who asserted the same statement
+  const signalAssertion = relationship => {
+    for (const [principal, signal] of Lib.reliabilitySignals(liveRelationships(), relationship)) {
+      signalReliability(principal, signal, relationship.creator.principalId, relationship);
+    }
+  };
+
+  // Inference sees every confidence scaled by its creator's reliability weight
+  const weightedRelationships = () => Lib.weightByReliability(liveRelationships(), principal => reliabilityOf(principal).score);
+
+  // Direct results report the assertion as stored
+  const withAssertedValues = inferred =>
+    'Direct' in inferred.source && relationships.has(inferred.source.Direct)
+      ? { ...inferred, relationship: relationships.get(inferred.source.Direct) }
+      : inferred;
+
+  const recordChange = (entity, action, caller, before, after, reason) => {
+    changeLog.set(nextChangeId, {
+      id: nextChangeId,
+      entity,
+      action,
+      principal: caller,
+      timestamp: now(),
+      before: toOpt(before),
+      after: toOpt(after),
+      reason,
+    });
+    nextChangeId += 1n;
+  };
+
+  const assignRole = (principal, role, caller) => {
+    const previous = roleOf(principal);
+    roles.set(principal.toText(), { principal, role });
+    if (Lib.variantKey(previous) !== Lib.variantKey(role)) {
+      recordChange({ Role: principal }, { Update: null }, caller, { Role: previous }, { Role: role }, []);
+    }
+  };
+
+  const setEditors = (id, before, after, caller) => {
+    conceptEditors.set(id, after);
+    recordChange({ ConceptEditors: id }, { Update: null }, caller, { ConceptEditors: before }, { ConceptEditors: after }, []);
+  };
+
+  const flagRelationship = (rel, flag, caller, action, reason) => {
+    const previous = relationshipFlags.get(rel.id);
+    relationshipFlags.set(rel.id, flag);
+    recordChange(
+      { RelationshipFlag: rel.id },
+      action,
+      caller,
+      previous ? { RelationshipFlag: { relationship: rel, flag: previous } } : null,
+      { RelationshipFlag: { relationship: rel, flag } },
+      reason
+    );
+  };
+
+  const addConcept = (name, description, metadata, caller) => {
+    const permission = Lib.validateContribution(roleOf(caller), 'concept');
+    if ('err' in permission) return permission;
+    const result = Lib.createConcept(liveConcepts(), name, description, metadata, nextConceptId, caller, now());
+    if ('err' in result) return result;
+    const concept = result.ok;
+    // Only new concepts are stored; a duplicate name returns the existing ID
+    if (concept.id === nextConceptId) {
+      concepts.set(concept.id, concept);
+      nextConceptId += 1n;
+      recordChange({ Concept: concept.id }, { Create: null }, caller, null, { Concept: concept }, []);
+    }
+    return Lib.ok(concept.id);
+  };
+
+  const editConcept = (id, name, description, metadata, caller, action, reason) => {
+    const concept = getLiveConcept(id);
+    if (!concept) return Lib.err({ NotFound: 'Concept not found' });
+    const permission = Lib.validateConceptModification(concept, caller, roleOf(caller), editorsOf(id));
+    if ('err' in permission) return permission;
+    const result = Lib.updateConcept(liveConcepts(), concept, name, description, metadata, now());
+    if ('err' in result) return result;
+    concepts.set(id, result.ok);
+    recordChange({ Concept: id }, action, caller, { Concept: concept }, { Concept: result.ok }, reason);
+    return Lib.ok();
+  };
+
+  const addRelationship = (fromConceptId, toConceptId, relationshipTypeId, probability, confidence, metadata, caller) => {
+    const permission = Lib.validateContribution(roleOf(caller), 'relationship');
+    if ('err' in permission) return permission;
+    const relType = relationshipTypes.get(relationshipTypeId);
+    if (!relType) return Lib.err({ NotFound: 'Relationship type not found' });
+    const result = Lib.createRelationship(
+      liveConcepts(), fromConceptId, toConceptId, relationshipTypeId, probability, confidence, metadata, nextRelationshipId, caller, now()
+    );
+    if ('err' in result) return result;
+    const relationship = result.ok;
+    const check = Lib.validateRelationshipAgainstType(liveRelationships(), relationship, relType);
+    if ('err' in check) return check;
+    const membership = Lib.validateInstanceOf(relationship, instanceOfTypeId, kindOf);
+    if ('err' in membership) return membership;
+
+    const from = concepts.get(fromConceptId);
+    concepts.set(fromConceptId, { ...from, outgoingRelationships: [...from.outgoingRelationships, relationship.id] });
+    const to = concepts.get(toConceptId);
+    concepts.set(toConceptId, { ...to, incomingRelationships: [...to.incomingRelationships, relationship.id] });
+
+    relationships.set(relationship.id, relationship);
+    nextRelationshipId += 1n;
+    recordChange({ Relationship: relationship.id }, { Create: null }, caller, null, { Relationship: relationship }, []);
+    signalAssertion(relationship);
+    if (relationshipTypeId === instanceOfTypeId) markIndividual(fromConceptId, caller);
+    return Lib.ok(relationship.id);
+  };
+
+  const classify = (concept, kind, caller, reason) => {
+    if ('Class' in kind) conceptKinds.delete(concept.id);
+    else conceptKinds.set(concept.id, kind);
+    recordChange({ Concept: concept.id }, { Classify: kind }, caller, { Concept: concept }, { Concept: concept }, reason);
+  };
+
+  // The source of a new INSTANCE-OF becomes an individual if the caller
+  // could have made it one; a concept with instances stays a class
+  const markIndividual = (id, caller) => {
+    const concept = getLiveConcept(id);
+    if (!concept || 'Individual' in kindOf(id)) return;
+    const individual = { Individual: null };
+    if ('ok' in Lib.validateConceptModification(concept, caller, roleOf(caller), editorsOf(id)) &&
+      'ok' in Lib.validateKindChange(liveRelationships(), instanceOfTypeId, id, individual)) {
+      classify(concept, individual, caller, []);
+    }
+  };
+
+  const editRelationship = (id, probability, confidence, metadata, caller, action, reason) => {
+    const relationship = relationships.get(id);
+    if (!relationship) return Lib.err({ NotFound: 'Relationship not found' });
+    const permission = Lib.validateRelationshipModification(relationship, caller, roleOf(caller));
+    if ('err' in permission) return permission;
+    const relType = relationshipTypes.get(relationship.relationshipTypeId);
+    if (!relType) return Lib.err({ NotFound: 'Relationship type not found' });
+    const result = Lib.updateRelationship(relationship, relType, probability, confidence, metadata);
+    if ('err' in result) return result;
+    relationships.set(id, result.ok);
+    recordChange({ Relationship: id }, action, caller, { Relationship: relationship }, { Relationship: result.ok }, reason);
+    if (compare(result.ok.probability, relationship.probability) !== 0) signalAssertion(result.ok);
+    return Lib.ok();
+  };
+
+  // Remove a relationship and keep both endpoints' indexes in step
+  const removeRelationship = relationship => {
+    relationships.delete(relationship.id);
+    relationshipFlags.delete(relationship.id);
+    for (const conceptId of [relationship.fromConceptId, relationship.toConceptId]) {
+      const concept = concepts.get(conceptId);
+      if (concept) concepts.set(conceptId, Lib.unlinkRelationship(concept, relationship.id));
+    }
+  };
+
+  const detectConflicts = criteria => Lib.detectConflicts(liveRelationships(), types(), relationshipFlags, {
+    ...criteria,
+    concept: (criteria.concept ?? []).map(resolveConceptId),
+  });
+
+  const deprecationError = (message, constraint, replaceId) => Lib.err(Lib.validationError('INVALID_REPLACEMENT', message, {
+    field: 'replacedBy',
+    constraint,
+    value: String(replaceId),
+  }));
+
+  // Public methods as seen by one caller, in main.mo order
+  const actorFor = caller => ({
+    // Concept Management API
+    async createConcept(name, description, metadata) {
+      return addConcept(name, description, metadata, caller);
+    },
+
+    async createConcepts(batch) {
+      const size = Lib.validateBatchSize(batch.length);
+      if ('err' in size) return size;
+      return Lib.ok(batch.map(input => addConcept(input.name, input.description, input.metadata, caller)));
+    },
+
+    async updateConcept(id, name, description, metadata, reason) {
+      return editConcept(resolveConceptId(id), name, description, metadata, caller, { Update: null }, reason);
+    },
+
+    async getConcept(id) {
+      const concept = getLiveConcept(resolveConceptId(id));
+      return concept ? Lib.ok(concept) : Lib.err({ NotFound: 'Concept not found' });
+    },
+
+    async getConceptKind(id) {
+      const concept = getLiveConcept(resolveConceptId(id));
+      return concept ? Lib.ok(kindOf(concept.id)) : Lib.err({ NotFound: 'Concept not found' });
+    },
+
+    async setConceptKind(conceptId, kind, reason) {
+      const id = resolveConceptId(conceptId);
+      const concept = getLiveConcept(id);
+      if (!concept) return Lib.err({ NotFound: 'Concept not found' });
+      const permission = Lib.validateConceptModification(concept, caller, roleOf(caller), editorsOf(id));
+      if ('err' in permission) return permission;
+      const check = Lib.validateKindChange(liveRelationships(), instanceOfTypeId, id, kind);
+      if ('err' in check) return check;
+      if (Lib.variantKey(kindOf(id)) !== Lib.variantKey(kind)) classify(concept, kind, caller, reason);
+      return Lib.ok();
+    },
+
+    async queryConcepts(criteria, page) {
+      return Lib.pageConcepts(Lib.queryConcepts(liveConcepts(), criteria, kindOf, liveRelationships(), instanceOfTypeId), page);
+    },
+
+    // Relationship Management API
+    async assertRelationship(fromConceptId, toConceptId, relationshipTypeId, probability, confidence, metadata) {
+      return addRelationship(resolveConceptId(fromConceptId), resolveConceptId(toConceptId), relationshipTypeId, probability, confidence, metadata, caller);
+    },
+
+    async assertRelationships(batch) {
+      const size = Lib.validateBatchSize(batch.length);
+      if ('err' in size) return size;
+      return Lib.ok(batch.map(input => addRelationship(
+        resolveConceptId(input.fromConceptId),
+        resolveConceptId(input.toConceptId),
+        input.relationshipTypeId,
+        input.probability,
+        input.confidence,
+        input.metadata,
+        caller
+      )));
+    },
+
+    async updateRelationship(id, probability, metadata, confidence, reason) {
+      return editRelationship(id, probability, confidence, metadata, caller, { Update: null }, reason);
+    },
+
+    async getRelationship(id) {
+      const relationship = relationships.get(id);
+      return relationship ? Lib.ok(relationship) : Lib.err({ NotFound: 'Relationship not found' });
+    },
+
+    async queryRelationships(criteria, page) {
+      const resolved = {
+        ...criteria,
+        fromConceptId: criteria.fromConceptId.map(resolveConceptId),
+        toConceptId: criteria.toConceptId.map(resolveConceptId),
+      };
+      return Lib.pageRelationships(Lib.queryRelationships(liveRelationships(), resolved), page);
+    },
+
+    // Deletion API
+    async previewConceptDeletion(conceptId) {
+      const id = resolveConceptId(conceptId);
+      if (!getLiveConcept(id)) return Lib.err({ NotFound: 'Concept not found' });
+      const live = liveRelationships();
+      return Lib.ok(Lib.deletionImpact(live, types(), Lib.incidentRelationships(live, id)));
+    },
+
+    async deleteConcept(conceptId, mode, reason) {
+      const id = resolveConceptId(conceptId);
+      const concept = concepts.get(id);
+      if (!concept) return Lib.err({ NotFound: 'Concept not found' });
+      const permission = Lib.validateConceptDeletion(concept, caller, roleOf(caller));
+      if ('err' in permission) return permission;
+
+      if ('Soft' in mode) {
+        if (deletedConcepts.has(id)) return Lib.err({ InvalidOperation: 'Concept is already deleted' });
+        deletedConcepts.set(id, { principalId: caller, timestamp: now() });
+      } else {
+        for (const rel of Lib.incidentRelationships([...relationships.values()], id)) {
+          removeRelationship(rel);
+          recordChange({ Relationship: rel.id }, { Retract: null }, caller, { Relationship: rel }, null, reason);
+        }
+        concepts.delete(id);
+        deletedConcepts.delete(id);
+        conceptEditors.delete(id);
+        conceptKinds.delete(id);
+      }
+      recordChange({ Concept: id }, { Delete: mode }, caller, { Concept: concept }, null, reason);
+      return Lib.ok();
+    },
+
+    async restoreConcept(id, reason) {
+      const concept = concepts.get(id);
+      if (!concept) return Lib.err({ NotFound: 'Concept not found' });
+      if (!deletedConcepts.has(id)) return Lib.err({ InvalidOperation: 'Concept is not deleted' });
+      const permission = Lib.validateConceptModification(concept, caller, roleOf(caller), editorsOf(id));
+      if ('err' in permission) return permission;
+      // The name may have been reused while the concept was deleted
+      if (liveConcepts().some(c => c.name === concept.name)) {
+        return Lib.err({ AlreadyExists: `Another concept is already named ${concept.name}` });
+      }
+      deletedConcepts.delete(id);
+      recordChange({ Concept: id }, { Restore: null }, caller, null, { Concept: concept }, reason);
+      return Lib.ok();
+    },
+
+    async previewRelationshipRetraction(id) {
+      const relationship = relationships.get(id);
+      if (!relationship) return Lib.err({ NotFound: 'Relationship not found' });
+      return Lib.ok(Lib.deletionImpact(liveRelationships(), types(), [relationship]));
+    },
+
+    async retractRelationship(id, reason) {
+      const relationship = relationships.get(id);
+      if (!relationship) return Lib.err({ NotFound: 'Relationship not found' });
+      const permission = Lib.validateRelationshipRetraction(relationship, caller, roleOf(caller));
+      if ('err' in permission) return permission;
+      removeRelationship(relationship);
+      recordChange({ Relationship: id }, { Retract: null }, caller, { Relationship: relationship }, null, reason);
+      return Lib.ok();
+    },
+
+    // Duplicates API
+    async findSimilarConcepts(name, limit) {
+      return Lib.findSimilarConcepts(liveConcepts(), name, limit);
+    },
+
+    async mergeConcepts(keep, remove, reason) {
+      const [keepId, removeId] = [resolveConceptId(keep), resolveConceptId(remove)];
+      const kept = getLiveConcept(keepId);
+      const removed = getLiveConcept(removeId);
+      if (!kept || !removed) return Lib.err({ NotFound: 'Concept not found' });
+      const modification = Lib.validateConceptModification(kept, caller, roleOf(caller), editorsOf(keepId));
+      if ('err' in modification) return modification;
+      const deletion = Lib.validateConceptDeletion(removed, caller, roleOf(caller));
+      if ('err' in deletion) return deletion;
+      const plan = Lib.planMerge([...relationships.values()], kept, removed, now());
+      if ('err' in plan) return plan;
+      const valid = Lib.validateMergePlan(liveRelationships(), types(), plan.ok, kindOf);
+      if ('err' in valid) return valid;
+
+      for (const rel of plan.ok.retracted) {
+        removeRelationship(rel);
+        recordChange({ Relationship: rel.id }, { Retract: null }, caller, { Relationship: rel }, null, reason);
+      }
+      for (const rel of plan.ok.rewired) {
+        const before = relationships.get(rel.id);
+        relationships.set(rel.id, rel);
+        recordChange({ Relationship: rel.id }, { Update: null }, caller, { Relationship: before }, { Relationship: rel }, reason);
+      }
+      concepts.set(keepId, plan.ok.concept);
+      recordChange({ Concept: keepId }, { Update: null }, caller, { Concept: kept }, { Concept: plan.ok.concept }, reason);
+
+      concepts.delete(removeId);
+      conceptEditors.delete(removeId);
+      conceptKinds.delete(removeId);
+      for (const [alias, target] of conceptAliases) {
+        if (target === removeId) conceptAliases.set(alias, keepId);
+      }
+      conceptAliases.set(removeId, keepId);
+      recordChange({ Concept: removeId }, { Merge: keepId }, caller, { Concept: removed }, null, reason);
+      return Lib.ok({
+        rewired: plan.ok.rewired.map(rel => rel.id),
+        retracted: plan.ok.retracted.map(rel => rel.id),
+      });
+    },
+
+    // Conflict Management API
+    async analyzeConflicts(criteria) {
+      return Lib.ok(detectConflicts(criteria));
+    },
+
+    async resolveConflict(key, criteria, strategy) {
+      const conflict = detectConflicts(criteria).find(c => c.key === key);
+      if (!conflict) return Lib.err({ NotFound: 'Conflict not found; it may already be resolved' });
+      const contribution = Lib.validateContribution(roleOf(caller), 'flag');
+      if ('err' in contribution) return contribution;
+      const result = Lib.resolveConflict(conflict, strategy, caller, now());
+      if ('err' in result) return result;
+      const [retractions, flags] = result.ok;
+      for (const rel of retractions) {
+        const permission = Lib.validateRelationshipRetraction(rel, caller, roleOf(caller));
+        if ('err' in permission) return permission;
+      }
+      for (const rel of retractions) {
+        removeRelationship(rel);
+        recordChange({ Relationship: rel.id }, { Retract: null }, caller, { Relationship: rel }, null, [`Resolved conflict ${key}`]);
+      }
+      for (const [id, flag] of flags) {
+        const rel = relationships.get(id);
+        if (!rel) continue;
+        const action = relationshipFlags.has(id) ? { Update: null } : { Create: null };
+        flagRelationship(rel, flag, caller, action, [`Resolved conflict ${key}`]);
+        if ('Disputed' in flag) signalReliability(rel.creator.principalId, { Contradiction: null }, caller, rel);
+      }
+      return Lib.ok();
+    },
+
+    // Relationship Type Management API
+    async createRelationshipType(name, description, properties, metadata) {
+      const permission = Lib.validateAdmin(roleOf(caller), 'create', 'relationship type');
+      if ('err' in permission) return permission;
+      const result = Lib.createRelationshipType(types(), name, description, properties, metadata, nextRelationshipTypeId);
+      if ('err' in result) return result;
+      const relType = result.ok;
+      if (relType.id === nextRelationshipTypeId) {
+        relationshipTypes.set(relType.id, relType);
+        nextRelationshipTypeId += 1n;
+        recordChange({ RelationshipType: relType.id }, { Create: null }, caller, null, { RelationshipType: relType }, []);
+      }
+      return Lib.ok(relType.id);
+    },
+
+    async getRelationshipType(id) {
+      const relType = relationshipTypes.get(id);
+      return relType ? Lib.ok(relType) : Lib.err({ NotFound: 'Relationship type not found' });
+    },
+
+    async listRelationshipTypes() {
+      const results = Lib.listRelationshipTypes(types());
+      const size = BigInt(results.length);
+      return Lib.ok({ items: results, total: size, page: 1n, pageSize: size, nextCursor: [] });
+    },
+
+    async deprecateRelationshipType(id, replacedBy, reason) {
+      const permission = Lib.validateAdmin(roleOf(caller), 'deprecate', 'relationship type');
+      if ('err' in permission) return permission;
+      const relType = relationshipTypes.get(id);
+      if (!relType) return Lib.err({ NotFound: 'Relationship type not found' });
+      const replaceId = fromOpt(replacedBy);
+      if (replaceId !== null) {
+        const replacement = relationshipTypes.get(replaceId);
+        if (replaceId === id) return deprecationError('A relationship type cannot replace itself', 'different_type', replaceId);
+        if (!replacement) return deprecationError('Replacement relationship type not found', 'exists', replaceId);
+        if ('DEPRECATED' in replacement.status) {
+          return deprecationError('Replacement relationship type is itself deprecated', 'active', replaceId);
+        }
+      }
+      const updatedType = { ...relType, status: { DEPRECATED: { replacedBy, reason } } };
+      relationshipTypes.set(id, updatedType);
+      recordChange({ RelationshipType: id }, { Deprecate: null }, caller, { RelationshipType: relType }, { RelationshipType: updatedType }, [reason]);
+      return Lib.ok();
+    },
+
+    // Access Control API
+    // A fresh canister has no admin; one of its controllers claims the
+    // role, and admins assign roles from then on
+    async claimAdmin() {
+      if (!controllers.some(controller => Lib.samePrincipal(controller, caller))) {
+        return Lib.err({
+          PermissionDenied: { operation: 'claim', resource: 'admin role', reason: 'Only a controller of the canister can claim the admin role' },
+        });
+      }
+      if (adminCount() > 0) return Lib.err({ InvalidOperation: 'An admin has already been assigned' });
+      assignRole(caller, { Admin: null }, caller);
+      return Lib.ok();
+    },
+
+    async setRole(principal, role) {
+      const permission = Lib.validateAdmin(roleOf(caller), 'assign', 'role');
+      if ('err' in permission) return permission;
+      if (principal.isAnonymous()) return Lib.err({ InvalidOperation: 'The anonymous principal is always a viewer' });
+      if ('Admin' in roleOf(principal) && !('Admin' in role) && adminCount() === 1) {
+        return Lib.err({ InvalidOperation: 'Cannot remove the last admin' });
+      }
+      assignRole(principal, role, caller);
+      return Lib.ok();
+    },
+
+    async getRole(principal) {
+      return roleOf(principal);
+    },
+
+    // Explicit assignments only; everyone else has Lib.defaultRole
+    async listRoles() {
+      return [...roles.values()].map(({ principal, role }) => [principal, role]);
+    },
+
+    async grantConceptEditor(conceptId, principal) {
+      const id = resolveConceptId(conceptId);
+      const concept = getLiveConcept(id);
+      if (!concept) return Lib.err({ NotFound: 'Concept not found' });
+      const permission = Lib.validateConceptSharing(concept, caller, roleOf(caller));
+      if ('err' in permission) return permission;
+      if (Lib.samePrincipal(principal, concept.creator.principalId)) {
+        return Lib.err({ InvalidOperation: 'The creator can already edit this concept' });
+      }
+      const editors = editorsOf(id);
+      if (!editors.some(p => Lib.samePrincipal(p, principal))) setEditors(id, editors, [...editors, principal], caller);
+      return Lib.ok();
+    },
+
+    async revokeConceptEditor(conceptId, principal) {
+      const id = resolveConceptId(conceptId);
+      const concept = getLiveConcept(id);
+      if (!concept) return Lib.err({ NotFound: 'Concept not found' });
+      const permission = Lib.validateConceptSharing(concept, caller, roleOf(caller));
+      if ('err' in permission) return permission;
+      const editors = editorsOf(id);
+      if (editors.some(p => Lib.samePrincipal(p, principal))) setEditors(id, editors, editors.filter(p => !Lib.samePrincipal(p, principal)), caller);
+      return Lib.ok();
+    },
+
+    async getConceptEditors(id) {
+      const concept = getLiveConcept(resolveConceptId(id));
+      if (!concept) return Lib.err({ NotFound: 'Concept not found' });
+      return Lib.ok(editorsOf(concept.id));
+    },
+
+    // Change History API
+    async getChangeHistory(criteria, page) {
+      return Lib.pageChanges(Lib.queryChanges([...changeLog.values()], criteria), page);
+    },
+
+    async getChangeSeq() {
+      return nextChangeId;
+    },
+
+    async getChangesSince(seq, limit) {
+      if (seq >= nextChangeId) return { changes: [], nextSeq: nextChangeId, hasMore: false };
+      const requested = fromOpt(limit) ?? Lib.DEFAULT_PAGE_SIZE;
+      const size = requested < 1n ? 1n : requested > Lib.MAX_PAGE_SIZE ? Lib.MAX_PAGE_SIZE : requested;
+      const end = seq + size < nextChangeId ? seq + size : nextChangeId;
+      const changes = [];
+      for (let id = seq; id < end; id++) changes.push(changeLog.get(id));
+      return { changes, nextSeq: end, hasMore: end < nextChangeId };
+    },
+
+    async revertChange(changeId, reason) {
+      const change = changeLog.get(changeId);
+      if (!change) return Lib.err({ NotFound: 'Change not found' });
+      const after = fromOpt(change.after);
+      const action = { Revert: changeId };
+      if ('Classify' in change.action) {
+        return Lib.err({ InvalidOperation: 'Kind changes cannot be reverted; set the kind again instead' });
+      }
+      if (after === null) {
+        return Lib.err({ InvalidOperation: 'This change removed its entity; restore or re-assert it instead' });
+      }
+      if ('Concept' in after) {
+        const version = after.Concept;
+        return editConcept(version.id, [version.name], [fromOpt(version.description) ?? ''], [version.metadata], caller, action, reason);
+      }
+      if ('Relationship' in after) {
+        const version = after.Relationship;
+        return editRelationship(version.id, [version.probability], [version.confidence], [version.metadata], caller, action, reason);
+      }
+      if ('RelationshipFlag' in after) {
+        const contribution = Lib.validateContribution(roleOf(caller), 'flag');
+        if ('err' in contribution) return contribution;
+        const rel = relationships.get(after.RelationshipFlag.relationship.id);
+        if (!rel) return Lib.err({ NotFound: 'Relationship not found' });
+        flagRelationship(rel, after.RelationshipFlag.flag, caller, action, reason);
+        return Lib.ok();
+      }
+      if ('Role' in after || 'ConceptEditors' in after) {
+        return Lib.err({ InvalidOperation: 'Role and editor changes cannot be reverted; assign them again instead' });
+      }
+      return Lib.err({ InvalidOperation: 'Relationship type changes cannot be reverted' });
+    },
+
+    // Inference API
+    async inferRelationships(params, page) {
+      const results = Lib.inferRelationships(weightedRelationships(), types(), resolveInferenceQuery(params));
+      return Lib.pageInferred(results.map(withAssertedValues), page);
+    },
+
+    async inferInheritedProperties(params, page) {
+      const results = Lib.inferInherited(weightedRelationships(), types(), resolveInferenceQuery(params));
+      return Lib.pageInferred(results.map(([inferred]) => inferred), page);
+    },
+
+    async explainInference(params, targetConcept) {
+      const result = Lib.explainInference(weightedRelationships(), types(), resolveInferenceQuery(params), resolveConceptId(targetConcept));
+      if ('err' in result) return result;
+      return Lib.ok({ ...result.ok, inferred: withAssertedValues(result.ok.inferred) });
+    },
+
+    async findPaths(params) {
+      const resolved = { ...params, from: resolveConceptId(params.from), to: resolveConceptId(params.to) };
+      if (!getLiveConcept(resolved.from) || !getLiveConcept(resolved.to)) return Lib.err({ NotFound: 'Concept not found' });
+      return Lib.findPaths(weightedRelationships(), types(), resolved);
+    },
+
+    // The mock infers from scratch on every call, so there is nothing to keep
+    async warmInferenceCache(queries) {
+      const permission = Lib.validateEditor(roleOf(caller), 'warm', 'inference cache');
+      if ('err' in permission) return permission;
+      const size = Lib.validateBatchSize(queries.length);
+      if ('err' in size) return size;
+      return Lib.ok(BigInt(queries.length));
+    },
+
+    // Reliability API
+    async getUserReliability(principal) {
+      return reliabilityOf(principal);
+    },
+
+    async getUserReliabilities(principals) {
+      return principals.map(reliabilityOf);
+    },
+  });
+
+  return {
+    createActor(principal = Principal.anonymous()) {
+      return actorFor(principal);
+    },
+  };
+}
+
+// Loads a fixture, which is a think-bench JSON export as the Import/Export
+// panel writes it, through the given actor. Returns runImport's report
+export function seedFixture(actor, fixture) {
+  const text = typeof fixture === 'string' ? fixture : JSON.stringify(fixture);
+  return runImport(new ConceptBaseClient(actor), parseImport(text, 'json'));
+}
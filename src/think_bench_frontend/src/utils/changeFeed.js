@@ -0,0 +1,78 @@
+// Merging the change feed (client.changesSince) into lists the UI already
+// holds, so changes made in other sessions show up without reloading them.
+// Changes carry the full value of what they changed, so merging needs no
+// further requests.
+
+// For every concept and relationship the changes touch, its value before the
+// first of them and after the last; null where it did not exist or was
+// deleted or retracted. Role and relationship type changes are only flagged,
+// and co-editor and conflict flag changes are left to the views that list them
+export function summarizeChanges(changes) {
+  const concepts = new Map();
+  const relationships = new Map();
+  let typesChanged = false;
+  let rolesChanged = false;
+  const track = (map, id, before, after) => {
+    map.set(id, { before: map.has(id) ? map.get(id).before : before, after });
+  };
+  for (const change of changes) {
+    if ('Concept' in change.entity) {
+      track(concepts, change.entity.Concept, change.before?.Concept ?? null, change.after?.Concept ?? null);
+    } else if ('Relationship' in change.entity) {
+      track(relationships, change.entity.Relationship, change.before?.Relationship ?? null, change.after?.Relationship ?? null);
+    } else if ('RelationshipType' in change.entity) {
+      typesChanged = true;
+    } else if ('Role' in change.entity) {
+      rolesChanged = true;
+    }
+  }
+  return { concepts, relationships, typesChanged, rolesChanged };
+}
+
+// Mirrors the backend's concept ordering: the sort value, then the ID
+const CONCEPT_SORT_VALUES = {
+  Name: concept => concept.name.toLowerCase(),
+  Created: concept => concept.created,
+  Modified: concept => concept.modified,
+  RelationshipCount: concept => concept.incomingRelationships.length + concept.outgoingRelationships.length,
+};
+
+export function compareConcepts(a, b, { sortBy = 'Name', order = 'Ascending' } = {}) {
+  const value = CONCEPT_SORT_VALUES[sortBy];
+  const [x, y] = [value(a), value(b)];
+  const [i, j] = [a.id, b.id];
+  const result = x < y ? -1 : x > y ? 1 : i < j ? -1 : i > j ? 1 : 0;
+  return order === 'Descending' ? -result : result;
+}
+
+// Applies changed concepts to a sorted, filtered list loaded a page at a
+// time. Changed concepts are taken out, and put back at their sort position
+// if they still match and that position is within the pages loaded so far
+// (`complete` means every page is). `totalChange` is how much the number of
+// matching concepts moved, including ones that land on unloaded pages
+export function mergeConcepts(items, changed, { matches, sort, complete }) {
+  const kept = items.filter(concept => !changed.has(concept.id));
+  const last = items[items.length - 1];
+  let totalChange = 0;
+  for (const [id, { before, after }] of changed) {
+    // A listed concept is counted already, even if a reload beat the feed to it
+    const counted = items.some(concept => concept.id === id) || (before !== null && matches(before));
+    const matching = after !== null && matches(after);
+    totalChange += Number(matching) - Number(counted);
+    if (!matching) continue;
+    if (!complete && (!last || compareConcepts(after, last, sort) > 0)) continue;
+    const index = kept.findIndex(concept => compareConcepts(after, concept, sort) < 0);
+    kept.splice(index < 0 ? kept.length : index, 0, after);
+  }
+  return { items: kept, totalChange };
+}
+
+// Applies changed relationships to a list in assertion order, keeping those
+// that match the list's filters
+export function mergeRelationships(items, changed, matches) {
+  const merged = items.filter(rel => !changed.has(rel.id));
+  for (const { after } of changed.values()) {
+    if (after !== null && matches(after)) merged.push(after);
+  }
+  return merged.sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+}
@@ -0,0 +1,41 @@
+// Display helpers shared by the concept views
+
+import { formatFraction } from './fraction.js';
+
+export function getRelationshipTypeName(relationshipTypes, typeId) {
+  const type = relationshipTypes.find(t => t.id.toString() === typeId.toString());
+  return type ? type.name : `Type ${typeId}`;
+}
+
+export function isDeprecatedType(type) {
+  return 'DEPRECATED' in type.status;
+}
+
+export function getConceptName(concepts, conceptId) {
+  const concept = concepts.find(c => c.id.toString() === conceptId.toString());
+  return concept ? concept.name : `Concept ${conceptId}`;
+}
+
+// `format` is one of DISPLAY_FORMATS from ./fraction; views take it from
+// useProbabilityFormat rather than passing it explicitly
+export function formatProbability(prob, format = 'fraction') {
+  return formatFraction(prob, format);
+}
+
+// Candid variants decode as single-key objects, e.g. { Transitive: {...} }
+export function getInferenceKind(source) {
+  if (!source) return 'Direct';
+  return Object.keys(source)[0];
+}
+
+// Message for a failed edit; permission errors name the operation so users
+// can tell them apart from invalid input
+export function describeEditError(err) {
+  if (err.variant === 'PermissionDenied') {
+    return `Permission denied: ${err.reason} (${err.operation} ${err.resource})`;
+  }
+  if (err.variant === 'ValidationError' && err.details) {
+    return `${err.message} (${err.details.field}: ${err.details.value})`;
+  }
+  return err.message;
+}
@@ -0,0 +1,113 @@
+// Exact arithmetic on { numerator, denominator } fractions, the shape the
+// backend uses for probabilities and confidences (spec §4). Parts may
+// arrive as numbers, strings or BigInts and are always returned as reduced
+// BigInts, so long inference chains never lose precision or overflow.
+
+export const DISPLAY_FORMATS = ['fraction', 'percent', 'decimal', 'category'];
+
+// Lower bounds of the spec's probability categories, checked in order.
+// Zero is "never"; values under 1/20 still read as "almost never"
+export const CATEGORIES = [
+  { label: 'always', min: { numerator: 1n, denominator: 1n } },
+  { label: 'almost always', min: { numerator: 19n, denominator: 20n } },
+  { label: 'mostly', min: { numerator: 3n, denominator: 4n } },
+  { label: 'often', min: { numerator: 3n, denominator: 5n } },
+  { label: 'sometimes', min: { numerator: 2n, denominator: 5n } },
+  { label: 'rarely', min: { numerator: 1n, denominator: 4n } },
+  { label: 'almost never', min: { numerator: 1n, denominator: 20n } },
+];
+
+const DECIMAL_PLACES = 3;
+const PERCENT_PLACES = 1;
+
+export function gcd(a, b) {
+  while (b !== 0n) [a, b] = [b, a % b];
+  return a;
+}
+
+// Lowest terms with BigInt parts; zero becomes 0/1
+export function normalize({ numerator, denominator }) {
+  const n = BigInt(numerator);
+  const d = BigInt(denominator);
+  if (n === 0n) return { numerator: 0n, denominator: 1n };
+  const divisor = gcd(n, d);
+  return { numerator: n / divisor, denominator: d / divisor };
+}
+
+export function multiply(a, b) {
+  return normalize({
+    numerator: BigInt(a.numerator) * BigInt(b.numerator),
+    denominator: BigInt(a.denominator) * BigInt(b.denominator),
+  });
+}
+
+export function compare(a, b) {
+  const left = BigInt(a.numerator) * BigInt(b.denominator);
+  const right = BigInt(b.numerator) * BigInt(a.denominator);
+  return left < right ? -1 : left > right ? 1 : 0;
+}
+
+export function min(a, b) {
+  return normalize(compare(b, a) < 0 ? b : a);
+}
+
+export function isProbability({ numerator, denominator }) {
+  return BigInt(denominator) > 0n && BigInt(numerator) >= 0n && BigInt(numerator) <= BigInt(denominator);
+}
+
+// value * 10^places rounded half up, computed on BigInts so huge
+// denominators do not turn into Infinity / Infinity
+function scaled(value, places) {
+  const { numerator, denominator } = normalize(value);
+  const scale = 10n ** BigInt(places);
+  return (numerator * scale * 2n + denominator) / (denominator * 2n);
+}
+
+// Non-zero values that round to zero show as "<0.001" rather than "0"
+function toDecimalText(units, places, value) {
+  const scale = 10n ** BigInt(places);
+  if (units === 0n && BigInt(value.numerator) !== 0n) return `<${toDecimalText(1n, places, value)}`;
+  const fraction = (units % scale).toString().padStart(places, '0').replace(/0+$/, '');
+  return fraction ? `${units / scale}.${fraction}` : `${units / scale}`;
+}
+
+export function toNumber(value) {
+  return Number(scaled(value, 15)) / 1e15;
+}
+
+// Parses "0.85", ".5", "85%", "12.5%", "17/20" or "1" exactly (no floating
+// point); returns null unless the text is a probability in [0, 1]
+export function parseProbability(text) {
+  const trimmed = String(text).trim();
+  let fraction = null;
+  const ratio = /^(\d+)\s*\/\s*(\d+)$/.exec(trimmed);
+  const decimal = /^(\d*)(?:\.(\d+))?\s*(%?)$/.exec(trimmed);
+  if (ratio) {
+    fraction = { numerator: BigInt(ratio[1]), denominator: BigInt(ratio[2]) };
+  } else if (decimal && (decimal[1] || decimal[2])) {
+    const [, whole, digits = '', percent] = decimal;
+    const places = digits.length + (percent ? 2 : 0);
+    fraction = { numerator: BigInt(`${whole || '0'}${digits}`), denominator: 10n ** BigInt(places) };
+  }
+  return fraction && isProbability(fraction) ? normalize(fraction) : null;
+}
+
+export function categorize(value) {
+  if (BigInt(value.numerator) === 0n) return 'never';
+  return CATEGORIES.find(({ min: bound }) => compare(value, bound) >= 0)?.label ?? 'almost never';
+}
+
+export function formatFraction(value, format = 'fraction') {
+  switch (format) {
+    case 'percent':
+      return `${toDecimalText(scaled(value, PERCENT_PLACES + 2), PERCENT_PLACES, value)}%`;
+    case 'decimal':
+      return toDecimalText(scaled(value, DECIMAL_PLACES), DECIMAL_PLACES, value);
+    case 'category':
+      return categorize(value);
+    default: {
+      const { numerator, denominator } = normalize(value);
+      return `${numerator}/${denominator}`;
+    }
+  }
+}
@@ -0,0 +1,78 @@
+// Force-directed layout (Fruchterman-Reingold) for the concept graph.
+// Positions are deterministic for a given set of nodes and edges so the
+// graph does not jump around between renders.
+
+export function computeForceLayout(nodeIds, edges, { width = 800, height = 600, iterations } = {}) {
+  const count = nodeIds.length;
+  const positions = new Map();
+  if (count === 0) return positions;
+
+  // Start on a circle so the layout is reproducible
+  const radius = Math.min(width, height) / 2.5;
+  nodeIds.forEach((id, i) => {
+    const angle = (2 * Math.PI * i) / count;
+    positions.set(id, {
+      x: width / 2 + radius * Math.cos(angle),
+      y: height / 2 + radius * Math.sin(angle),
+    });
+  });
+  if (count === 1) return positions;
+
+  const links = edges.filter(e => positions.has(e.from) && positions.has(e.to) && e.from !== e.to);
+  const k = Math.sqrt((width * height) / count);
+  const steps = iterations ?? Math.max(50, Math.min(300, Math.floor(30000 / count)));
+  let temperature = width / 10;
+
+  for (let step = 0; step < steps; step++) {
+    const displacement = new Map(nodeIds.map(id => [id, { x: 0, y: 0 }]));
+
+    // Repulsion between every pair of nodes
+    for (let i = 0; i < count; i++) {
+      const a = positions.get(nodeIds[i]);
+      const da = displacement.get(nodeIds[i]);
+      for (let j = i + 1; j < count; j++) {
+        const b = positions.get(nodeIds[j]);
+        const db = displacement.get(nodeIds[j]);
+        const dx = a.x - b.x || 0.01;
+        const dy = a.y - b.y || 0.01;
+        const dist = Math.max(Math.hypot(dx, dy), 0.01);
+        const force = (k * k) / dist;
+        da.x += (dx / dist) * force;
+        da.y += (dy / dist) * force;
+        db.x -= (dx / dist) * force;
+        db.y -= (dy / dist) * force;
+      }
+    }
+
+    // Attraction along edges
+    for (const { from, to } of links) {
+      const a = positions.get(from);
+      const b = positions.get(to);
+      const dx = a.x - b.x;
+      const dy = a.y - b.y;
+      const dist = Math.max(Math.hypot(dx, dy), 0.01);
+      const force = (dist * dist) / k;
+      const da = displacement.get(from);
+      const db = displacement.get(to);
+      da.x -= (dx / dist) * force;
+      da.y -= (dy / dist) * force;
+      db.x += (dx / dist) * force;
+      db.y += (dy / dist) * force;
+    }
+
+    // Move each node, limited by the current temperature
+    for (const id of nodeIds) {
+      const pos = positions.get(id);
+      const disp = displacement.get(id);
+      const len = Math.max(Math.hypot(disp.x, disp.y), 0.01);
+      pos.x += (disp.x / len) * Math.min(len, temperature);
+      pos.y += (disp.y / len) * Math.min(len, temperature);
+      pos.x = Math.min(width, Math.max(0, pos.x));
+      pos.y = Math.min(height, Math.max(0, pos.y));
+    }
+
+    temperature *= 0.97;
+  }
+
+  return positions;
+}
@@ -0,0 +1,573 @@
+import { toFraction } from '../api/conceptBaseClient.js';
+import { parseProbability } from './fraction.js';
+import { isDeprecatedType } from './format.js';
+
+// Bulk import and export of the concept base.
+//
+// Exports are deterministic (ordered by ID, no timestamps) so two backups can
+// be diffed. Relationships reference concepts and relationship types by name,
+// which keeps files readable and lets them be loaded into another canister.
+// Imports resolve names to IDs, create missing concepts and relationship
+// types, then assert relationships in batches, collecting per-row errors.
+
+export const EXPORT_FORMAT = 'think-bench';
+export const EXPORT_VERSION = 1;
+
+export const FORMATS = {
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  csv: { label: 'CSV edge list', extension: 'csv', mimeType: 'text/csv' },
+  ttl: { label: 'RDF/Turtle', extension: 'ttl', mimeType: 'text/turtle' },
+};
+
+const CSV_COLUMNS = ['from', 'relationship', 'to', 'probability', 'confidence', 'metadata'];
+
+const RDF = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#';
+const RDFS = 'http://www.w3.org/2000/01/rdf-schema#';
+const TB = 'urn:think-bench:vocab#';
+const CONCEPT_NS = 'urn:think-bench:concept:';
+const RELATIONSHIP_NS = 'urn:think-bench:relationship:';
+const SUBCLASS_OF = `${RDFS}subClassOf`;
+const IS_A = 'IS-A';
+
+export function detectFormat(filename) {
+  const extension = filename.split('.').pop().toLowerCase();
+  if (extension === 'turtle') return 'ttl';
+  return extension in FORMATS ? extension : null;
+}
+
+// Export
+
+export async function fetchConceptBase(client) {
+  const [concepts, relationships, relationshipTypes] = await Promise.all([
+    client.queryAllConcepts(),
+    client.queryAllRelationships(),
+    client.listRelationshipTypes(),
+  ]);
+  return { concepts, relationships, relationshipTypes };
+}
+
+const byId = (a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+
+function fractionText({ numerator, denominator }) {
+  return `${numerator}/${denominator}`;
+}
+
+function metadataText(metadata) {
+  return metadata.map(([key, value]) => `${key}=${value}`).join(';');
+}
+
+// Plain-JSON snapshot with names instead of IDs and BigInts as strings
+export function toSnapshot({ concepts, relationships, relationshipTypes }) {
+  const conceptNames = new Map(concepts.map(c => [c.id.toString(), c.name]));
+  const typeNames = new Map(relationshipTypes.map(t => [t.id.toString(), t.name]));
+  const fraction = ({ numerator, denominator }) => ({
+    numerator: numerator.toString(),
+    denominator: denominator.toString(),
+  });
+
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    relationshipTypes: [...relationshipTypes].sort(byId).map(type => ({
+      name: type.name,
+      description: type.description,
+      properties: type.properties,
+      metadata: type.metadata,
+      deprecated: isDeprecatedType(type),
+    })),
+    concepts: [...concepts].sort(byId).map(concept => ({
+      name: concept.name,
+      description: concept.description,
+      metadata: concept.metadata,
+    })),
+    relationships: [...relationships].sort(byId).map(rel => ({
+      from: conceptNames.get(rel.fromConceptId.toString()),
+      relationship: typeNames.get(rel.relationshipTypeId.toString()),
+      to: conceptNames.get(rel.toConceptId.toString()),
+      probability: fraction(rel.probability),
+      confidence: fraction(rel.confidence),
+      metadata: rel.metadata,
+    })),
+  };
+}
+
+function csvField(value) {
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(snapshot) {
+  const rows = snapshot.relationships.map(rel => [
+    rel.from,
+    rel.relationship,
+    rel.to,
+    fractionText(rel.probability),
+    fractionText(rel.confidence),
+    metadataText(rel.metadata),
+  ]);
+  return [CSV_COLUMNS, ...rows].map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+function turtleString(text) {
+  return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n').replace(/\r/g, '\\r')}"`;
+}
+
+function conceptIri(name) {
+  return `<${CONCEPT_NS}${encodeURIComponent(name)}>`;
+}
+
+function predicateIri(typeName) {
+  return typeName === IS_A ? 'rdfs:subClassOf' : `<${RELATIONSHIP_NS}${encodeURIComponent(typeName)}>`;
+}
+
+function toTurtle(snapshot) {
+  const lines = [
+    `@prefix rdf: <${RDF}> .`,
+    `@prefix rdfs: <${RDFS}> .`,
+    `@prefix tb: <${TB}> .`,
+    '',
+  ];
+
+  for (const concept of snapshot.concepts) {
+    const properties = [`a rdfs:Class`, `rdfs:label ${turtleString(concept.name)}`];
+    if (concept.description) properties.push(`rdfs:comment ${turtleString(concept.description)}`);
+    for (const entry of concept.metadata) properties.push(`tb:metadata ${turtleString(metadataText([entry]))}`);
+    lines.push(`${conceptIri(concept.name)} ${properties.join(' ;\n    ')} .`);
+  }
+  lines.push('');
+
+  // Each relationship is stated directly and reified so its probability and
+  // confidence survive the round trip
+  for (const rel of snapshot.relationships) {
+    const subject = conceptIri(rel.from);
+    const predicate = predicateIri(rel.relationship);
+    const object = conceptIri(rel.to);
+    lines.push(`${subject} ${predicate} ${object} .`);
+    const statement = [
+      'a rdf:Statement',
+      `rdf:subject ${subject}`,
+      `rdf:predicate ${predicate}`,
+      `rdf:object ${object}`,
+      `tb:probability ${turtleString(fractionText(rel.probability))}`,
+      `tb:confidence ${turtleString(fractionText(rel.confidence))}`,
+    ];
+    for (const entry of rel.metadata) statement.push(`tb:metadata ${turtleString(metadataText([entry]))}`);
+    lines.push(`[] ${statement.join(' ;\n    ')} .`);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+export function serialize(snapshot, format) {
+  switch (format) {
+    case 'json': return JSON.stringify(snapshot, null, 2) + '\n';
+    case 'csv': return toCsv(snapshot);
+    case 'ttl': return toTurtle(snapshot);
+    default: throw new Error(`Unsupported export format: ${format}`);
+  }
+}
+
+// Import
+//
+// Every parser returns { relationshipTypes, concepts, relationships, errors }.
+// Relationships carry the `row` they came from so errors can point back at
+// the source file.
+
+function parseFraction(value, field) {
+  if (value === undefined || value === null || value === '') return 1;
+  if (typeof value === 'object') return value;
+  const fraction = parseProbability(value);
+  if (fraction) return fraction;
+  throw new Error(`Invalid ${field}: ${value}`);
+}
+
+function parseMetadata(text) {
+  if (!text) return [];
+  return text.split(';').filter(Boolean).map(entry => {
+    const separator = entry.indexOf('=');
+    if (separator < 1) throw new Error(`Invalid metadata entry: ${entry}`);
+    return [entry.slice(0, separator).trim(), entry.slice(separator + 1).trim()];
+  });
+}
+
+function parseJson(text) {
+  const data = JSON.parse(text);
+  if (data.format !== EXPORT_FORMAT) throw new Error(`Not a ${EXPORT_FORMAT} export`);
+  if (data.version > EXPORT_VERSION) throw new Error(`Unsupported export version: ${data.version}`);
+
+  const errors = [];
+  const relationships = [];
+  (data.relationships ?? []).forEach((rel, i) => {
+    const row = i + 1;
+    try {
+      relationships.push({
+        row,
+        from: rel.from,
+        relationship: rel.relationship,
+        to: rel.to,
+        p: parseFraction(rel.probability, 'probability'),
+        c: parseFraction(rel.confidence, 'confidence'),
+        metadata: rel.metadata ?? [],
+      });
+    } catch (err) {
+      errors.push({ row, message: err.message });
+    }
+  });
+
+  return {
+    relationshipTypes: data.relationshipTypes ?? [],
+    concepts: data.concepts ?? [],
+    relationships,
+    errors,
+  };
+}
+
+// RFC 4180 records; quoted fields may contain separators and newlines
+function parseCsvRecords(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+  return records.filter(r => r.some(value => value.trim() !== ''));
+}
+
+function parseCsv(text) {
+  const [header, ...records] = parseCsvRecords(text);
+  if (!header) return { relationshipTypes: [], concepts: [], relationships: [], errors: [] };
+
+  const columns = header.map(name => name.trim().toLowerCase());
+  for (const required of ['from', 'relationship', 'to']) {
+    if (!columns.includes(required)) throw new Error(`Missing CSV column: ${required}`);
+  }
+
+  const errors = [];
+  const relationships = [];
+  records.forEach((values, i) => {
+    // Header is line 1
+    const row = i + 2;
+    const get = (name) => (values[columns.indexOf(name)] ?? '').trim();
+    try {
+      if (!get('from') || !get('relationship') || !get('to')) {
+        throw new Error('from, relationship and to are required');
+      }
+      relationships.push({
+        row,
+        from: get('from'),
+        relationship: get('relationship'),
+        to: get('to'),
+        p: parseFraction(get('probability'), 'probability'),
+        c: parseFraction(get('confidence'), 'confidence'),
+        metadata: parseMetadata(get('metadata')),
+      });
+    } catch (err) {
+      errors.push({ row, message: err.message });
+    }
+  });
+
+  return { relationshipTypes: [], concepts: [], relationships, errors };
+}
+
+// Tokenizer for the Turtle subset written by toTurtle: prefixes, IRIs,
+// prefixed names, string literals, `a`, and anonymous blank nodes
+function tokenizeTurtle(text) {
+  const pattern = /\s+|#[^\n]*|(@prefix)|<([^>]*)>|"((?:[^"\\]|\\.)*)"|([.;,\[\]])|([A-Za-z][\w-]*)?:([\w-]*)|(a)(?=[\s<\[])|(\S+)/gy;
+  const tokens = [];
+  let match;
+  let line = 1;
+  while (pattern.lastIndex < text.length && (match = pattern.exec(text))) {
+    const [whole, prefix, iri, literal, punct, namespace, local, keywordA, unknown] = match;
+    if (prefix) tokens.push({ kind: 'prefix', line });
+    else if (iri !== undefined) tokens.push({ kind: 'iri', value: iri, line });
+    else if (literal !== undefined) {
+      const value = literal.replace(/\\(.)/g, (_, c) => ({ n: '\n', r: '\r', t: '\t' }[c] ?? c));
+      tokens.push({ kind: 'literal', value, line });
+    } else if (punct) tokens.push({ kind: punct, line });
+    else if (local !== undefined) tokens.push({ kind: 'pname', namespace: namespace ?? '', value: local, line });
+    else if (keywordA) tokens.push({ kind: 'iri', value: `${RDF}type`, line });
+    else if (unknown) throw new Error(`Line ${line}: unsupported Turtle syntax: ${unknown}`);
+    line += (whole.match(/\n/g) ?? []).length;
+  }
+  return tokens;
+}
+
+function parseTurtleTriples(text) {
+  const tokens = tokenizeTurtle(text);
+  const prefixes = {};
+  const triples = [];
+  let pos = 0;
+  let blankNodes = 0;
+
+  const peek = () => tokens[pos];
+  const next = () => {
+    const token = tokens[pos++];
+    if (!token) throw new Error('Unexpected end of Turtle input');
+    return token;
+  };
+  const expect = (kind) => {
+    const token = next();
+    if (token.kind !== kind) throw new Error(`Line ${token.line}: expected '${kind}'`);
+    return token;
+  };
+
+  const term = () => {
+    const token = next();
+    if (token.kind === 'iri') return { iri: token.value };
+    if (token.kind === 'literal') return { literal: token.value };
+    if (token.kind === 'pname') {
+      if (!(token.namespace in prefixes)) throw new Error(`Line ${token.line}: unknown prefix '${token.namespace}:'`);
+      return { iri: prefixes[token.namespace] + token.value };
+    }
+    if (token.kind === '[') {
+      const node = { blank: blankNodes++ };
+      if (peek()?.kind !== ']') predicateObjectList(node);
+      expect(']');
+      return node;
+    }
+    throw new Error(`Line ${token.line}: unexpected token '${token.kind}'`);
+  };
+
+  const predicateObjectList = (subject) => {
+    for (;;) {
+      const predicate = term();
+      for (;;) {
+        const line = peek()?.line;
+        triples.push({ subject, predicate, object: term(), line });
+        if (peek()?.kind !== ',') break;
+        next();
+      }
+      if (peek()?.kind !== ';') break;
+      next();
+      if (peek()?.kind === '.' || peek()?.kind === ']') break;
+    }
+  };
+
+  while (pos < tokens.length) {
+    if (peek().kind === 'prefix') {
+      next();
+      const name = expect('pname');
+      prefixes[name.namespace] = expect('iri').value;
+      expect('.');
+      continue;
+    }
+    const subject = term();
+    if (!(subject.blank !== undefined && peek()?.kind === '.')) predicateObjectList(subject);
+    expect('.');
+  }
+  return triples;
+}
+
+function nodeKey(node) {
+  return node.blank !== undefined ? `_:${node.blank}` : node.iri ?? `"${node.literal}"`;
+}
+
+function nameFromIri(iri, labels) {
+  if (labels.has(iri)) return labels.get(iri);
+  if (iri.startsWith(CONCEPT_NS)) return decodeURIComponent(iri.slice(CONCEPT_NS.length));
+  return iri.split(/[#/:]/).pop();
+}
+
+function typeFromPredicate(iri) {
+  if (iri === SUBCLASS_OF) return IS_A;
+  if (iri.startsWith(RELATIONSHIP_NS)) return decodeURIComponent(iri.slice(RELATIONSHIP_NS.length));
+  return null;
+}
+
+function parseTurtle(text) {
+  const triples = parseTurtleTriples(text);
+  const labels = new Map();
+  const statements = new Map();
+  const conceptTriples = [];
+
+  for (const { subject, predicate, object, line } of triples) {
+    if (predicate.iri === `${RDFS}label` && subject.iri && object.literal !== undefined) {
+      labels.set(subject.iri, object.literal);
+    }
+    if (subject.blank !== undefined) {
+      const statement = statements.get(subject.blank) ?? { metadata: [] };
+      const property = predicate.iri;
+      if (property === `${RDF}subject`) statement.subject = object.iri;
+      else if (property === `${RDF}predicate`) statement.predicate = object.iri;
+      else if (property === `${RDF}object`) statement.object = object.iri;
+      else if (property === `${TB}probability`) statement.probability = object.literal;
+      else if (property === `${TB}confidence`) statement.confidence = object.literal;
+      else if (property === `${TB}metadata`) statement.metadata.push(object.literal);
+      statements.set(subject.blank, statement);
+    } else {
+      conceptTriples.push({ subject, predicate, object, line });
+    }
+  }
+
+  // Reified statements supply probability, confidence and metadata for the
+  // matching plain triple
+  const reified = new Map();
+  for (const statement of statements.values()) {
+    if (statement.subject && statement.predicate && statement.object) {
+      reified.set(`${statement.subject} ${statement.predicate} ${statement.object}`, statement);
+    }
+  }
+
+  const concepts = new Map();
+  const describe = (iri) => {
+    const name = nameFromIri(iri, labels);
+    if (!concepts.has(name)) concepts.set(name, { name, description: null, metadata: [] });
+    return concepts.get(name);
+  };
+
+  const errors = [];
+  const relationships = [];
+  // Rows in Turtle imports are source line numbers
+  conceptTriples.forEach(({ subject, predicate, object, line: row }) => {
+    if (!subject.iri) return;
+    const property = predicate.iri;
+    try {
+      if (property === `${RDFS}comment` && object.literal !== undefined) {
+        describe(subject.iri).description = object.literal;
+      } else if (property === `${TB}metadata` && object.literal !== undefined) {
+        describe(subject.iri).metadata.push(...parseMetadata(object.literal));
+      } else if (property === `${RDF}type` || property === `${RDFS}label`) {
+        describe(subject.iri);
+      } else {
+        const relationship = typeFromPredicate(property);
+        if (relationship === null || !object.iri) return;
+        const statement = reified.get(`${nodeKey(subject)} ${property} ${nodeKey(object)}`);
+        relationships.push({
+          row,
+          from: describe(subject.iri).name,
+          relationship,
+          to: describe(object.iri).name,
+          p: parseFraction(statement?.probability, 'probability'),
+          c: parseFraction(statement?.confidence, 'confidence'),
+          metadata: (statement?.metadata ?? []).flatMap(parseMetadata),
+        });
+      }
+    } catch (err) {
+      errors.push({ row, message: err.message });
+    }
+  });
+
+  return { relationshipTypes: [], concepts: [...concepts.values()], relationships, errors };
+}
+
+export function parseImport(text, format) {
+  switch (format) {
+    case 'json': return parseJson(text);
+    case 'csv': return parseCsv(text);
+    case 'ttl': return parseTurtle(text);
+    default: throw new Error(`Unsupported import format: ${format}`);
+  }
+}
+
+// Loads parsed data into the canister. Returns counts and per-row errors;
+// rows that fail do not stop the rest of the import.
+export async function runImport(client, parsed, { onProgress } = {}) {
+  const errors = [...parsed.errors];
+  const report = (stage) => onProgress?.(stage);
+
+  // Relationship types: create any the canister does not know yet
+  report('Resolving relationship types');
+  const existingTypes = await client.listRelationshipTypes();
+  const typeIds = new Map(existingTypes.map(t => [t.name, t.id]));
+  let typesCreated = 0;
+  for (const type of parsed.relationshipTypes) {
+    if (typeIds.has(type.name) || type.deprecated) continue;
+    try {
+      typeIds.set(type.name, await client.createRelationshipType(type));
+      typesCreated++;
+    } catch (err) {
+      errors.push({ row: null, message: `Relationship type ${type.name}: ${err.message}` });
+    }
+  }
+
+  // Concepts: names are unique, so createConcepts returns the existing ID for
+  // names already present
+  report('Creating concepts');
+  const conceptsByName = new Map();
+  for (const concept of parsed.concepts) conceptsByName.set(concept.name, concept);
+  for (const rel of parsed.relationships) {
+    for (const name of [rel.from, rel.to]) {
+      if (!conceptsByName.has(name)) conceptsByName.set(name, { name });
+    }
+  }
+  const existingConcepts = await client.queryAllConcepts();
+  const conceptIds = new Map(existingConcepts.map(c => [c.name, c.id]));
+  const missing = [...conceptsByName.values()].filter(c => !conceptIds.has(c.name));
+  const created = await client.createConcepts(missing);
+  created.forEach((result, i) => {
+    if (result.error) errors.push({ row: null, message: `Concept ${missing[i].name}: ${result.error.message}` });
+    else conceptIds.set(missing[i].name, result.id);
+  });
+
+  // Relationships: rows that cannot be resolved are reported without a call
+  report('Asserting relationships');
+  const pending = [];
+  for (const rel of parsed.relationships) {
+    const from = conceptIds.get(rel.from);
+    const to = conceptIds.get(rel.to);
+    const type = typeIds.get(rel.relationship);
+    if (type === undefined) {
+      errors.push({ row: rel.row, message: `Unknown relationship type: ${rel.relationship}` });
+    } else if (from === undefined || to === undefined) {
+      errors.push({ row: rel.row, message: `Concept could not be created: ${from === undefined ? rel.from : rel.to}` });
+    } else {
+      pending.push({ row: rel.row, input: { from, type, to, p: rel.p, c: rel.c, metadata: rel.metadata } });
+    }
+  }
+
+  const valid = [];
+  for (const item of pending) {
+    try {
+      // Validate fractions locally so one bad value does not reject a batch
+      toFraction(item.input.p, 'probability');
+      toFraction(item.input.c, 'confidence');
+      valid.push(item);
+    } catch (err) {
+      errors.push({ row: item.row, message: err.message });
+    }
+  }
+
+  const results = await client.assertRelationships(valid.map(item => item.input));
+  let relationshipsAsserted = 0;
+  results.forEach((result, i) => {
+    if (result.error) errors.push({ row: valid[i].row, message: result.error.message });
+    else relationshipsAsserted++;
+  });
+
+  errors.sort((a, b) => (a.row ?? 0) - (b.row ?? 0));
+  return {
+    typesCreated,
+    conceptsCreated: missing.length - created.filter(r => r.error).length,
+    relationshipsAsserted,
+    errors,
+  };
+}
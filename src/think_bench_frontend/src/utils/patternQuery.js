@@ -0,0 +1,409 @@
+import { compare as compareFractions, min, multiply, parseProbability } from './fraction.js';
+import { ValidationError, NotFoundError } from '../api/errors.js';
+
+// Pattern queries over direct and inferred relationships.
+//
+//   ?x IS-A Mammal AND ?x HAS-A Wings
+//   ?x PART-OF Car WHERE p >= 0.8
+//   ?part PART-OF ?whole AND ?whole IS-A "Land Vehicle" WHERE c > 1/2
+//
+// Each pattern is `subject TYPE object`, where subject and object are a
+// variable (`?name`) or a concept name; names containing spaces are quoted.
+// A row binds every variable so that all patterns hold at once. Its
+// probability is the product of the matched edges' probabilities and its
+// confidence their minimum, the same rules inference uses along a chain.
+// WHERE conditions compare those combined values with a decimal, a
+// percentage or `n/d`.
+//
+// Queries are planned and joined here; the canister only answers
+// inferRelationships and queryRelationships calls.
+
+export const EXAMPLE_QUERIES = [
+  '?x IS-A Mammal AND ?x HAS-A Wings',
+  '?x PART-OF Car WHERE p >= 0.8',
+  '?a IS-A ?b AND ?b IS-A ?c',
+];
+
+const KEYWORDS = ['AND', 'WHERE'];
+const FIELDS = { p: 'probability', probability: 'probability', c: 'confidence', confidence: 'confidence' };
+const OPERATORS = ['>=', '<=', '>', '<', '='];
+
+function syntaxError(message, token) {
+  return new ValidationError({
+    code: 'QUERY_SYNTAX',
+    message: token ? `${message} at column ${token.column}` : message,
+    details: { field: 'query', constraint: 'pattern query syntax', value: token ? token.text : '' },
+  });
+}
+
+// Parsing
+
+function tokenize(text) {
+  const tokens = [];
+  const pattern = /"([^"]*)"|(\?[A-Za-z_]\w*)|(>=|<=|>|<|=)|([^\s"<>=]+)/y;
+  let index = 0;
+  for (;;) {
+    while (index < text.length && /\s/.test(text[index])) index += 1;
+    if (index >= text.length) return tokens;
+    const column = index + 1;
+    pattern.lastIndex = index;
+    const match = pattern.exec(text);
+    // Every other character starts a word, so only an opening quote can fail
+    if (!match) throw syntaxError('Unterminated quoted name', { text: text.slice(index), column });
+    const [, quoted, variable, operator, word] = match;
+    if (quoted !== undefined) tokens.push({ kind: 'name', value: quoted, text: `"${quoted}"`, column });
+    else if (variable) tokens.push({ kind: 'variable', value: variable.slice(1), text: variable, column });
+    else if (operator) tokens.push({ kind: 'operator', value: operator, text: operator, column });
+    else {
+      const keyword = word.toUpperCase();
+      tokens.push(KEYWORDS.includes(keyword)
+        ? { kind: 'keyword', value: keyword, text: word, column }
+        : { kind: 'name', value: word, text: word, column });
+    }
+    index = pattern.lastIndex;
+  }
+}
+
+// Returns { patterns: [{ subject, type, object }], conditions: [{ field, operator, value }], variables }
+// where subject and object are { variable } or { name }
+export function parseQuery(text) {
+  const tokens = tokenize(text);
+  let position = 0;
+
+  const next = (expected) => {
+    const token = tokens[position];
+    if (!token) throw syntaxError(`Expected ${expected} but the query ended`);
+    position += 1;
+    return token;
+  };
+
+  const isKeyword = (keyword) => tokens[position]?.kind === 'keyword' && tokens[position].value === keyword;
+
+  const parseTerm = () => {
+    const token = next('a variable or concept name');
+    if (token.kind === 'variable') return { variable: token.value };
+    if (token.kind === 'name') return { name: token.value };
+    throw syntaxError(`Expected a variable or concept name, found "${token.text}"`, token);
+  };
+
+  const parsePattern = () => {
+    const subject = parseTerm();
+    const typeToken = next('a relationship type');
+    if (typeToken.kind !== 'name') {
+      throw syntaxError(`Expected a relationship type, found "${typeToken.text}"`, typeToken);
+    }
+    return { subject, type: typeToken.value, object: parseTerm() };
+  };
+
+  const parseCondition = () => {
+    const fieldToken = next('p or c');
+    const field = FIELDS[fieldToken.value.toLowerCase()];
+    if (fieldToken.kind !== 'name' || !field) {
+      throw syntaxError(`Expected p or c, found "${fieldToken.text}"`, fieldToken);
+    }
+    const operatorToken = next('a comparison');
+    if (operatorToken.kind !== 'operator') {
+      throw syntaxError(`Expected one of ${OPERATORS.join(' ')}, found "${operatorToken.text}"`, operatorToken);
+    }
+    const valueToken = next('a number');
+    return { field, operator: operatorToken.value, value: parseValue(valueToken) };
+  };
+
+  const patterns = [parsePattern()];
+  while (isKeyword('AND')) {
+    position += 1;
+    patterns.push(parsePattern());
+  }
+
+  const conditions = [];
+  if (isKeyword('WHERE')) {
+    position += 1;
+    conditions.push(parseCondition());
+    while (isKeyword('AND')) {
+      position += 1;
+      conditions.push(parseCondition());
+    }
+  }
+
+  if (position < tokens.length) {
+    throw syntaxError(`Unexpected "${tokens[position].text}"`, tokens[position]);
+  }
+
+  const variables = [];
+  for (const { subject, object } of patterns) {
+    for (const term of [subject, object]) {
+      if (term.variable && !variables.includes(term.variable)) variables.push(term.variable);
+    }
+  }
+
+  return { patterns, conditions, variables };
+}
+
+// Accepts a decimal, a percentage or an n/d fraction between 0 and 1
+function parseValue(token) {
+  const value = token.kind === 'name' ? parseProbability(token.value) : null;
+  if (!value) {
+    throw syntaxError(`Expected a value between 0 and 1 such as 0.8, 80% or 4/5, found "${token.text}"`, token);
+  }
+  return value;
+}
+
+// Planning
+
+const isKnown = (term, bound) => Boolean(term.name) || bound.has(term.variable);
+
+// How a pattern's edges are fetched once the terms before it are bound:
+//   check    - both ends known; infer from the subject and look for the object
+//   forward  - subject known; infer from it
+//   backward - object known; infer from every concept with a path to it
+//   scan     - neither known; infer from every concept with an edge of the type
+function strategyFor(pattern, bound) {
+  const subject = isKnown(pattern.subject, bound);
+  const object = isKnown(pattern.object, bound);
+  if (subject && object) return 'check';
+  if (subject) return 'forward';
+  if (object) return 'backward';
+  return 'scan';
+}
+
+const STRATEGY_COST = { check: 0, forward: 1, backward: 2, scan: 3 };
+
+// Orders patterns so each one starts from as many known terms as possible,
+// preferring the written order on ties
+export function planQuery({ patterns }) {
+  const remaining = [...patterns];
+  const bound = new Set();
+  const plan = [];
+  while (remaining.length > 0) {
+    let best = 0;
+    for (let i = 1; i < remaining.length; i += 1) {
+      if (STRATEGY_COST[strategyFor(remaining[i], bound)] < STRATEGY_COST[strategyFor(remaining[best], bound)]) {
+        best = i;
+      }
+    }
+    const [pattern] = remaining.splice(best, 1);
+    plan.push({ pattern, strategy: strategyFor(pattern, bound) });
+    for (const term of [pattern.subject, pattern.object]) {
+      if (term.variable) bound.add(term.variable);
+    }
+  }
+  return plan;
+}
+
+export function describeTerm(term) {
+  if (term.variable) return `?${term.variable}`;
+  return /\s/.test(term.name) ? `"${term.name}"` : term.name;
+}
+
+export function describePlan(plan) {
+  return plan.map(({ pattern, strategy }) =>
+    `${strategy} ${describeTerm(pattern.subject)} ${pattern.type} ${describeTerm(pattern.object)}`
+  );
+}
+
+// Same rules as backend inference: probabilities multiply along the chain,
+// confidence is the weakest link
+function combine(edges) {
+  let probability = { numerator: 1n, denominator: 1n };
+  let confidence = { numerator: 1n, denominator: 1n };
+  for (const { relationship } of edges) {
+    probability = multiply(probability, relationship.probability);
+    confidence = min(confidence, relationship.confidence);
+  }
+  return { probability, confidence };
+}
+
+const COMPARISONS = {
+  '>=': (order) => order >= 0,
+  '<=': (order) => order <= 0,
+  '>': (order) => order > 0,
+  '<': (order) => order < 0,
+  '=': (order) => order === 0,
+};
+
+// Execution
+
+// Fetches and caches everything one query run needs from the canister
+class EdgeSource {
+  constructor(client, inferenceOptions) {
+    this.client = client;
+    this.inferenceOptions = inferenceOptions;
+    this.types = new Map();
+    this.direct = new Map();
+    this.inferred = new Map();
+    this.concepts = new Map();
+  }
+
+  async type(name) {
+    if (!this.types.has(name)) {
+      const typeId = await this.client.resolveRelationshipTypeId(name);
+      const types = this.client.relationshipTypeCache ?? await this.client.listRelationshipTypes();
+      const definition = types.find(t => t.id === typeId);
+      this.types.set(name, { id: typeId, symmetric: Boolean(definition?.properties.logical.symmetric) });
+    }
+    return this.types.get(name);
+  }
+
+  async conceptId(name) {
+    const key = name.toLowerCase();
+    if (!this.concepts.has(key)) {
+      const matches = await this.client.queryAllConcepts({ namePattern: name });
+      const concept = matches.find(c => c.name.toLowerCase() === key);
+      if (!concept) throw new NotFoundError(`Concept not found: ${name}`);
+      this.concepts.set(key, concept.id);
+    }
+    return this.concepts.get(key);
+  }
+
+  async directEdges(type) {
+    if (!this.direct.has(type.id)) {
+      this.direct.set(type.id, await this.client.queryAllRelationships({ type: type.id }));
+    }
+    return this.direct.get(type.id);
+  }
+
+  // Every edge of the type starting at subjectId. Inference yields the
+  // mirror of a symmetric edge when run from its source, so mirrors ending
+  // at subjectId are added from the direct edges
+  async outgoing(type, subjectId) {
+    const key = `${type.id}:${subjectId}`;
+    if (!this.inferred.has(key)) {
+      const items = await this.client.inferAll(subjectId, { ...this.inferenceOptions, type: type.id });
+      const edges = items.filter(edge => edge.relationship.fromConceptId === subjectId);
+      if (type.symmetric) {
+        for (const rel of await this.directEdges(type)) {
+          if (rel.toConceptId === subjectId && !edges.some(edge => edge.relationship.toConceptId === rel.fromConceptId)) {
+            edges.push({
+              relationship: { ...rel, fromConceptId: rel.toConceptId, toConceptId: rel.fromConceptId },
+              source: { Symmetric: rel.id },
+            });
+          }
+        }
+      }
+      this.inferred.set(key, edges);
+    }
+    return this.inferred.get(key);
+  }
+
+  // Concepts with a path of direct edges of the type leading to objectId,
+  // the only ones inference could reach it from
+  async reaching(type, objectId) {
+    const direct = await this.directEdges(type);
+    const found = new Set([objectId]);
+    const queue = [objectId];
+    while (queue.length > 0) {
+      const current = queue.shift();
+      for (const rel of direct) {
+        const neighbours = [];
+        if (rel.toConceptId === current) neighbours.push(rel.fromConceptId);
+        if (type.symmetric && rel.fromConceptId === current) neighbours.push(rel.toConceptId);
+        for (const id of neighbours) {
+          if (!found.has(id)) {
+            found.add(id);
+            queue.push(id);
+          }
+        }
+      }
+    }
+    return [...found];
+  }
+
+  async subjects(type) {
+    const ids = new Map();
+    for (const rel of await this.directEdges(type)) {
+      ids.set(rel.fromConceptId.toString(), rel.fromConceptId);
+      if (type.symmetric) ids.set(rel.toConceptId.toString(), rel.toConceptId);
+    }
+    return [...ids.values()];
+  }
+
+  async edges(type, strategy, subjectId, objectId) {
+    switch (strategy) {
+      case 'check':
+      case 'forward':
+        return this.outgoing(type, subjectId);
+      case 'backward': {
+        const edges = [];
+        for (const id of await this.reaching(type, objectId)) edges.push(...await this.outgoing(type, id));
+        return edges;
+      }
+      default: {
+        const edges = [];
+        for (const id of await this.subjects(type)) edges.push(...await this.outgoing(type, id));
+        return edges;
+      }
+    }
+  }
+}
+
+// Runs a query and returns { variables, plan, rows }. Each row holds
+// { bindings: { name: concept }, probability, confidence, edges }, most
+// probable first; rows binding the same concepts keep their best match.
+// inferenceOptions (maxDepth, minProbability, minConfidence) apply to every
+// inference call
+export async function runQuery(client, text, { inferenceOptions = {}, onProgress } = {}) {
+  const parsed = parseQuery(text);
+  const plan = planQuery(parsed);
+  const source = new EdgeSource(client, inferenceOptions);
+
+  let partials = [{ values: {}, edges: [] }];
+  for (const [index, { pattern, strategy }] of plan.entries()) {
+    onProgress?.(`Matching pattern ${index + 1} of ${plan.length}`);
+    const type = await source.type(pattern.type);
+    const constantId = async (term) => (term.name ? source.conceptId(term.name) : null);
+    const subjectConstant = await constantId(pattern.subject);
+    const objectConstant = await constantId(pattern.object);
+
+    const extended = [];
+    for (const partial of partials) {
+      const subjectId = subjectConstant ?? partial.values[pattern.subject.variable] ?? null;
+      const objectId = objectConstant ?? partial.values[pattern.object.variable] ?? null;
+      for (const edge of await source.edges(type, strategy, subjectId, objectId)) {
+        const { fromConceptId, toConceptId } = edge.relationship;
+        if (subjectId !== null && fromConceptId !== subjectId) continue;
+        if (objectId !== null && toConceptId !== objectId) continue;
+        if (pattern.subject.variable && pattern.subject.variable === pattern.object.variable && fromConceptId !== toConceptId) continue;
+        const values = { ...partial.values };
+        if (pattern.subject.variable) values[pattern.subject.variable] = fromConceptId;
+        if (pattern.object.variable) values[pattern.object.variable] = toConceptId;
+        extended.push({ values, edges: [...partial.edges, edge] });
+      }
+    }
+    partials = extended;
+    if (partials.length === 0) break;
+  }
+
+  const best = new Map();
+  for (const partial of partials) {
+    const { probability, confidence } = combine(partial.edges);
+    const matches = parsed.conditions.every(({ field, operator, value }) =>
+      COMPARISONS[operator](compareFractions(field === 'probability' ? probability : confidence, value))
+    );
+    if (!matches) continue;
+    const key = parsed.variables.map(name => partial.values[name]).join(',');
+    const current = best.get(key);
+    if (!current || compareFractions(probability, current.probability) > 0) {
+      best.set(key, { values: partial.values, edges: partial.edges, probability, confidence });
+    }
+  }
+
+  onProgress?.('Resolving concepts');
+  const conceptIds = new Set();
+  for (const row of best.values()) {
+    for (const id of Object.values(row.values)) conceptIds.add(id.toString());
+  }
+  const concepts = new Map(
+    (await Promise.all([...conceptIds].map(id => client.getConcept(id)))).map(c => [c.id.toString(), c])
+  );
+
+  const rows = [...best.values()]
+    .sort((a, b) => compareFractions(b.probability, a.probability))
+    .map(({ values, edges, probability, confidence }) => ({
+      bindings: Object.fromEntries(parsed.variables.map(name => [name, concepts.get(values[name].toString())])),
+      probability,
+      confidence,
+      edges,
+    }));
+
+  return { variables: parsed.variables, plan, rows };
+}
@@ -0,0 +1,254 @@
+import { parseProbability } from './fraction.js';
+import { isDeprecatedType } from './format.js';
+
+// Quick-assert statements, one per line:
+//
+//   Dog IS-A Mammal 0.95 conf 0.8
+//   Wheel PART-OF Car
+//   "Land Vehicle" IS-A Vehicle p 90% c 4/5
+//
+// A statement is `subject TYPE object`, optionally followed by a probability
+// and a confidence. The type is the first word after the subject that names a
+// relationship type, so multi-word names need no quotes unless they contain
+// a type name or a number. The probability may be written bare or
+// after p/prob, the confidence after c/conf; both default to 1 and take a
+// decimal, a percentage or `n/d`. Blank lines and lines starting with # are
+// skipped.
+
+export const EXAMPLE_STATEMENTS = 'Dog IS-A Mammal 0.95 conf 0.8\nWheel PART-OF Car';
+
+const PROBABILITY_KEYWORDS = ['p', 'prob', 'probability'];
+const CONFIDENCE_KEYWORDS = ['c', 'conf', 'confidence'];
+
+const isKeyword = (token, keywords) => !token.quoted && keywords.includes(token.value.toLowerCase());
+// Anything shaped like a value ends a name, so out-of-range values are
+// reported instead of becoming part of the object
+const isNumeric = token => !token.quoted && /^(\d+(\.\d*)?|\.\d+)%?$|^\d+\/\d+$/.test(token.value);
+
+function tokenizeLine(text) {
+  const tokens = [];
+  const pattern = /"([^"]*)"|([^\s"]+)/y;
+  let index = 0;
+  for (;;) {
+    while (index < text.length && /\s/.test(text[index])) index += 1;
+    if (index >= text.length) return tokens;
+    pattern.lastIndex = index;
+    const match = pattern.exec(text);
+    if (!match) throw new Error(`Unterminated quoted name at column ${index + 1}`);
+    const [, quoted, word] = match;
+    tokens.push(quoted !== undefined
+      ? { value: quoted, quoted: true, column: index + 1 }
+      : { value: word, quoted: false, column: index + 1 });
+    index = pattern.lastIndex;
+  }
+}
+
+function findType(tokens, relationshipTypes) {
+  // The subject needs at least one token, so the type cannot come first
+  for (let i = 1; i < tokens.length; i += 1) {
+    if (tokens[i].quoted) continue;
+    const type = relationshipTypes.find(t => t.name.toUpperCase() === tokens[i].value.toUpperCase());
+    if (type) return { index: i, type };
+  }
+  return null;
+}
+
+const joinNames = tokens => tokens.map(token => token.value).join(' ');
+
+function parseValue(tokens, index, field) {
+  const token = tokens[index];
+  if (!token) throw new Error(`Expected a ${field} after "${tokens[index - 1].value}"`);
+  const value = parseProbability(token.value);
+  if (!value) throw new Error(`Invalid ${field} "${token.value}" at column ${token.column}; use 0.8, 80% or 4/5`);
+  return value;
+}
+
+// Parses one non-blank line into { subject, type, object, probability, confidence }
+// where type is the relationship type definition; throws on malformed input
+export function parseStatement(text, relationshipTypes) {
+  const tokens = tokenizeLine(text);
+  const found = findType(tokens, relationshipTypes);
+  if (!found) {
+    throw new Error(`No relationship type found; expected one of ${relationshipTypes.map(t => t.name).join(', ')}`);
+  }
+  const { index, type } = found;
+  if (isDeprecatedType(type)) throw new Error(`${type.name} is deprecated`);
+
+  // The object runs up to the first value or keyword that has a value after it
+  let end = index + 2;
+  const startsValues = (i) => isNumeric(tokens[i]) ||
+    ((isKeyword(tokens[i], PROBABILITY_KEYWORDS) || isKeyword(tokens[i], CONFIDENCE_KEYWORDS)) && i + 1 < tokens.length);
+  while (end < tokens.length && !startsValues(end)) end += 1;
+  const objectTokens = tokens.slice(index + 1, end);
+  if (objectTokens.length === 0) throw new Error(`Expected a concept name after ${type.name}`);
+
+  let probability = null;
+  let confidence = null;
+  let position = end;
+  while (position < tokens.length) {
+    const token = tokens[position];
+    if (isKeyword(token, CONFIDENCE_KEYWORDS)) {
+      if (confidence) throw new Error(`Confidence given twice at column ${token.column}`);
+      confidence = parseValue(tokens, position + 1, 'confidence');
+      position += 2;
+    } else if (isKeyword(token, PROBABILITY_KEYWORDS)) {
+      if (probability) throw new Error(`Probability given twice at column ${token.column}`);
+      probability = parseValue(tokens, position + 1, 'probability');
+      position += 2;
+    } else if (!probability && !confidence) {
+      probability = parseValue(tokens, position, 'probability');
+      position += 1;
+    } else {
+      throw new Error(`Unexpected "${token.value}" at column ${token.column}`);
+    }
+  }
+
+  const certain = { numerator: 1n, denominator: 1n };
+  return {
+    subject: joinNames(tokens.slice(0, index)),
+    type,
+    object: joinNames(objectTokens),
+    probability: probability ?? certain,
+    confidence: confidence ?? certain,
+  };
+}
+
+// Returns one { line, text, statement } or { line, text, error } per
+// statement line, with 1-based line numbers
+export function parseStatements(text, relationshipTypes) {
+  const results = [];
+  text.split('\n').forEach((raw, i) => {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) return;
+    try {
+      results.push({ line: i + 1, text: line, statement: parseStatement(line, relationshipTypes) });
+    } catch (err) {
+      results.push({ line: i + 1, text: line, error: err.message });
+    }
+  });
+  return results;
+}
+
+// Distinct concept names the parsed statements mention, in order of appearance
+export function statementNames(parsed) {
+  const names = new Set();
+  for (const { statement } of parsed) {
+    if (statement) names.add(statement.subject).add(statement.object);
+  }
+  return [...names];
+}
+
+// Looks up every name. Returns a Map from name to { concept } for names that
+// exist and { suggestions } (similar concepts, closest first) for the rest
+export async function lookupConcepts(client, names) {
+  const found = new Map();
+  for (const name of names) {
+    const similar = await client.findSimilarConcepts(name, { limit: 3 });
+    const exact = similar.find(({ match }) => match === 'Exact');
+    found.set(name, exact ? { concept: exact.concept } : { suggestions: similar });
+  }
+  return found;
+}
+
+// Creates the concepts chosen for creation and asserts every parsed
+// statement. `choices` maps each unknown name to 'create', 'skip' or the ID
+// of an existing concept to use instead. Returns { asserted, created, errors }
+// where asserted and errors are per line; failed lines do not stop the rest.
+export async function submitStatements(client, parsed, lookup, choices) {
+  const errors = parsed.filter(item => item.error).map(({ line, error }) => ({ line, message: error }));
+  const ids = new Map();
+  const toCreate = [];
+  for (const [name, entry] of lookup) {
+    if (entry.concept) ids.set(name, entry.concept.id);
+    else if (choices.get(name) === 'create') toCreate.push(name);
+    else if (choices.get(name) && choices.get(name) !== 'skip') ids.set(name, BigInt(choices.get(name)));
+  }
+
+  const createErrors = new Map();
+  const created = await client.createConcepts(toCreate.map(name => ({ name })));
+  created.forEach((result, i) => {
+    if (result.error) createErrors.set(toCreate[i], result.error.message);
+    else ids.set(toCreate[i], result.id);
+  });
+
+  const pending = [];
+  for (const { line, statement } of parsed) {
+    if (!statement) continue;
+    const missing = [statement.subject, statement.object].find(name => !ids.has(name));
+    if (missing !== undefined) {
+      const reason = createErrors.get(missing);
+      errors.push({ line, message: reason ? `Could not create ${missing}: ${reason}` : `Unknown concept: ${missing}` });
+      continue;
+    }
+    pending.push({
+      line,
+      input: {
+        from: ids.get(statement.subject),
+        type: statement.type.id,
+        to: ids.get(statement.object),
+        p: statement.probability,
+        c: statement.confidence,
+      },
+    });
+  }
+
+  const asserted = [];
+  const results = await client.assertRelationships(pending.map(item => item.input));
+  results.forEach((result, i) => {
+    if (result.error) errors.push({ line: pending[i].line, message: result.error.message });
+    else asserted.push({ line: pending[i].line, id: result.id });
+  });
+
+  errors.sort((a, b) => a.line - b.line);
+  return { asserted, created: created.filter(result => !result.error).length, errors };
+}
+
+// Autocompletion
+
+// The word being typed at `caret`: { start, end, prefix, expects } where
+// expects is 'type' while the line has a subject but no type yet, and
+// 'concept' otherwise. An open quote starts the word
+export function wordAt(text, caret, relationshipTypes) {
+  const lineStart = text.lastIndexOf('\n', caret - 1) + 1;
+  const before = text.slice(lineStart, caret);
+  let start = 0;
+  let quoted = false;
+  for (let i = 0; i < before.length; i += 1) {
+    if (before[i] === '"') {
+      quoted = !quoted;
+      if (quoted) start = i;
+    } else if (!quoted && /\s/.test(before[i])) {
+      start = i + 1;
+    }
+  }
+  let end = caret;
+  while (end < text.length && !/[\s"]/.test(text[end])) end += 1;
+  if (quoted && text[end] === '"') end += 1;
+
+  let expects = 'concept';
+  try {
+    const earlier = tokenizeLine(before.slice(0, start));
+    if (earlier.length > 0 && !findType(earlier, relationshipTypes)) {
+      expects = 'type';
+    }
+  } catch {
+    // An unterminated quote earlier on the line; keep suggesting concepts
+  }
+  return {
+    start: lineStart + start,
+    end,
+    prefix: before.slice(start).replace(/^"/, ''),
+    expects,
+  };
+}
+
+// Replaces the word with a { kind: 'type' | 'concept', value } option,
+// quoting concept names that would not parse bare. Returns the new { text, caret }
+export function applyCompletion(text, word, { kind, value }, relationshipTypes) {
+  const needsQuotes = kind === 'concept' && value.split(/\s+/).some(part =>
+    isNumeric({ value: part }) || relationshipTypes.some(t => t.name.toUpperCase() === part.toUpperCase())
+  );
+  const inserted = `${needsQuotes ? `"${value}"` : value} `;
+  const after = text.slice(word.end).replace(/^ /, '');
+  return { text: text.slice(0, word.start) + inserted + after, caret: word.start + inserted.length };
+}
@@ -0,0 +1,14 @@
+// Fetches the endpoints of relationships that are not among the loaded
+// concepts, e.g. ones the paged sidebar has not reached yet. Concepts that
+// can no longer be fetched are left out
+export async function fetchMissingConcepts(client, knownConcepts, relationships) {
+  const known = new Set(knownConcepts.map(c => c.id.toString()));
+  const missing = new Set();
+  for (const { fromConceptId, toConceptId } of relationships) {
+    for (const id of [fromConceptId, toConceptId]) {
+      if (!known.has(id.toString())) missing.add(id.toString());
+    }
+  }
+  const fetched = await Promise.all([...missing].map(id => client.getConcept(id).catch(() => null)));
+  return fetched.filter(Boolean);
+}
@@ -0,0 +1,105 @@
+// Search and filter state for the concept list, graph and relationship
+// views, and its round trip through the URL query string:
+//
+//   ?q=retr&meta=group:sporting&mine=1&kind=individuals&type=IS-A&pmin=0.5&pmax=1
+
+export const EMPTY_FILTERS = {
+  q: '',
+  metadata: [],             // [{ key, value }] pairs a concept must carry
+  mine: false,              // Only concepts and relationships created by the current user
+  kind: '',                 // '', 'classes' or 'individuals'
+  relationshipType: '',     // Relationship type name
+  minProbability: '',
+  maxProbability: '',
+};
+
+const CONCEPT_KINDS = ['classes', 'individuals'];
+
+export function filtersFromSearch(search) {
+  const params = new URLSearchParams(search);
+  return {
+    q: params.get('q') ?? '',
+    metadata: params.getAll('meta').map(entry => {
+      const separator = entry.indexOf(':');
+      return separator < 0
+        ? { key: entry, value: '' }
+        : { key: entry.slice(0, separator), value: entry.slice(separator + 1) };
+    }),
+    mine: params.get('mine') === '1',
+    kind: CONCEPT_KINDS.includes(params.get('kind')) ? params.get('kind') : '',
+    relationshipType: params.get('type') ?? '',
+    minProbability: params.get('pmin') ?? '',
+    maxProbability: params.get('pmax') ?? '',
+  };
+}
+
+export function filtersToSearch(filters) {
+  const params = new URLSearchParams();
+  if (filters.q) params.set('q', filters.q);
+  for (const { key, value } of filters.metadata) {
+    if (key) params.append('meta', `${key}:${value}`);
+  }
+  if (filters.mine) params.set('mine', '1');
+  if (filters.kind) params.set('kind', filters.kind);
+  if (filters.relationshipType) params.set('type', filters.relationshipType);
+  if (filters.minProbability !== '') params.set('pmin', filters.minProbability);
+  if (filters.maxProbability !== '') params.set('pmax', filters.maxProbability);
+  const search = params.toString();
+  return search ? `?${search}` : '';
+}
+
+// Number of drawer filters in use; the search box is not counted
+export function countActiveFilters(filters) {
+  return [
+    filters.metadata.some(m => m.key),
+    filters.mine,
+    filters.relationshipType,
+    filters.minProbability !== '',
+    filters.maxProbability !== '',
+  ].filter(Boolean).length;
+}
+
+function parseProbability(text) {
+  if (text === '') return undefined;
+  const value = Number(text);
+  return Number.isFinite(value) && value >= 0 && value <= 1 ? value : undefined;
+}
+
+// Filters for client.queryConcepts
+export function toConceptFilters(filters, principal) {
+  return {
+    namePattern: filters.q.trim() || undefined,
+    metadata: filters.metadata.filter(m => m.key).map(m => [m.key, m.value]),
+    creator: filters.mine ? principal ?? undefined : undefined,
+    isInstance: filters.kind ? filters.kind === 'individuals' : undefined,
+  };
+}
+
+// Filters for client.queryRelationships
+export function toRelationshipFilters(filters, principal) {
+  return {
+    type: filters.relationshipType || undefined,
+    minProbability: parseProbability(filters.minProbability),
+    maxProbability: parseProbability(filters.maxProbability),
+    creator: filters.mine ? principal ?? undefined : undefined,
+  };
+}
+
+// Client-side versions of the backend's query matching, for merging changes
+// made elsewhere into lists loaded with the filters above. Concept snapshots
+// do not carry the kind, so isInstance is not matched here
+
+export function matchesConceptFilters(concept, { namePattern, metadata = [], creator }) {
+  return (!namePattern || concept.name.toLowerCase().includes(namePattern.toLowerCase())) &&
+    metadata.every(([key, value]) => concept.metadata.some(([k, v]) => k === key && v === value)) &&
+    (!creator || concept.creator.principalId.toString() === creator.toString());
+}
+
+// `typeId` is the ID of the filters' relationship type name, if they have one
+export function matchesRelationshipFilters(relationship, { minProbability, maxProbability, creator }, typeId) {
+  const { numerator, denominator } = relationship.probability;
+  return (typeId === undefined || relationship.relationshipTypeId === typeId) &&
+    (minProbability === undefined || Number(numerator) >= minProbability * Number(denominator)) &&
+    (maxProbability === undefined || Number(numerator) <= maxProbability * Number(denominator)) &&
+    (!creator || relationship.creator.principalId.toString() === creator.toString());
+}
@@ -0,0 +1,100 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { summarizeChanges, mergeConcepts, mergeRelationships } from '../src/utils/changeFeed.js';
+import { matchesConceptFilters } from '../src/utils/searchFilters.js';
+import { setup, conceptId, BOB, CAROL } from './helpers.js';
+
+const names = concepts => concepts.map(c => c.name);
+
+describe('change feed', () => {
+  it('reports changes in sequence, a batch at a time', async () => {
+    const { alice, bob } = await setup();
+    const seq = await bob.getChangeSeq();
+    const dog = await alice.createConcept({ name: 'Dog' });
+    const mammal = await alice.createConcept({ name: 'Mammal' });
+    await alice.assert(dog, 'IS-A', mammal);
+
+    const first = await bob.changesSince(seq, { limit: 2 });
+    assert.deepEqual(first.changes.map(c => c.id), [seq, seq + 1n]);
+    assert.equal(first.hasMore, true);
+    const rest = await bob.changesSince(first.nextSeq);
+    assert.deepEqual(rest.changes.map(c => Object.keys(c.entity)[0]), ['Relationship']);
+    assert.equal(rest.hasMore, false);
+
+    const idle = await bob.changesSince(rest.nextSeq);
+    assert.deepEqual(idle, { changes: [], nextSeq: rest.nextSeq, hasMore: false });
+    // A seq from before a reinstall points back to the end of the log
+    assert.equal((await bob.changesSince(rest.nextSeq + 10n)).nextSeq, rest.nextSeq);
+  });
+
+  it('merges another session\'s changes into loaded pages', async () => {
+    const { alice, bob } = await setup();
+    for (const name of ['Ant', 'Cat', 'Eel']) await alice.createConcept({ name });
+    const sort = { sortBy: 'Name', order: 'Ascending' };
+    const filters = {};
+    const firstPage = (await bob.queryConcepts(filters, { ...sort, pageSize: 2 })).items;
+    const seq = await bob.getChangeSeq();
+
+    // Bee sorts into the loaded page, Fox past it, and the rename moves Ant out
+    await alice.createConcept({ name: 'Bee' });
+    await alice.createConcept({ name: 'Fox' });
+    await alice.updateConcept(await conceptId(alice, 'Ant'), { name: 'Yak' });
+
+    const { concepts } = summarizeChanges((await bob.changesSince(seq)).changes);
+    const merged = mergeConcepts(firstPage, concepts, {
+      matches: concept => matchesConceptFilters(concept, filters),
+      sort,
+      complete: false,
+    });
+    assert.deepEqual(names(merged.items), ['Bee', 'Cat']);
+    assert.equal(merged.totalChange, 2);
+
+    // With every page loaded, everything lands in place
+    const everything = mergeConcepts(await bob.queryAllConcepts(filters, sort), concepts, {
+      matches: () => true,
+      sort,
+      complete: true,
+    });
+    assert.deepEqual(names(everything.items), ['Bee', 'Cat', 'Eel', 'Fox', 'Yak']);
+  });
+
+  it('reports role and co-editor assignments with the values on either side', async () => {
+    const { alice, bob } = await setup();
+    const dog = await alice.createConcept({ name: 'Dog' });
+    const seq = await bob.getChangeSeq();
+
+    await alice.setRole(BOB, 'Viewer');
+    await alice.grantEditor(dog, CAROL);
+    await alice.grantEditor(dog, CAROL);
+    await alice.revokeEditor(dog, CAROL);
+
+    const { changes } = await bob.changesSince(seq);
+    assert.deepEqual(changes.map(c => [Object.keys(c.entity)[0], c.before, c.after]), [
+      ['Role', { Role: 'Editor' }, { Role: 'Viewer' }],
+      ['ConceptEditors', { ConceptEditors: [] }, { ConceptEditors: [CAROL] }],
+      ['ConceptEditors', { ConceptEditors: [CAROL] }, { ConceptEditors: [] }],
+    ]);
+    assert.equal(summarizeChanges(changes).rolesChanged, true);
+    const history = await alice.getAllChangeHistory({ entity: { role: BOB } });
+    assert.deepEqual(history.map(c => c.id), [changes[0].id]);
+    assert.equal((await alice.getAllChangeHistory({ concept: dog })).length, 3);
+  });
+
+  it('drops retracted relationships and ones that stop matching', async () => {
+    const { alice, bob } = await setup();
+    const dog = await alice.createConcept({ name: 'Dog' });
+    const mammal = await alice.createConcept({ name: 'Mammal' });
+    const tail = await alice.createConcept({ name: 'Tail' });
+    const isA = await alice.assert(dog, 'IS-A', mammal, { p: 0.9 });
+    const loaded = await bob.queryAllRelationships();
+    const seq = await bob.getChangeSeq();
+
+    const hasA = await alice.assert(dog, 'HAS-A', tail, { p: 0.2 });
+    await alice.retractRelationship(isA);
+
+    const { relationships } = summarizeChanges((await bob.changesSince(seq)).changes);
+    assert.deepEqual(mergeRelationships(loaded, relationships, () => true).map(rel => rel.id), [hasA]);
+    assert.deepEqual(mergeRelationships(loaded, relationships, rel => rel.probability.numerator * 2n > rel.probability.denominator), []);
+  });
+});
+
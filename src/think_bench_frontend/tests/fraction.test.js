@@ -0,0 +1,29 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseProbability, formatFraction, multiply, categorize } from '../src/utils/fraction.js';
+
+describe('fractions', () => {
+  it('parses decimal, percent and ratio input exactly', () => {
+    assert.deepEqual(parseProbability('0.85'), { numerator: 17n, denominator: 20n });
+    assert.deepEqual(parseProbability('12.5%'), { numerator: 1n, denominator: 8n });
+    assert.deepEqual(parseProbability('17/20'), { numerator: 17n, denominator: 20n });
+    assert.equal(parseProbability('1.5'), null);
+    assert.equal(parseProbability('abc'), null);
+  });
+
+  it('formats in every display format', () => {
+    const value = { numerator: 17n, denominator: 20n };
+    assert.equal(formatFraction(value), '17/20');
+    assert.equal(formatFraction(value, 'percent'), '85%');
+    assert.equal(formatFraction(value, 'decimal'), '0.85');
+    assert.equal(formatFraction(value, 'category'), 'mostly');
+    assert.equal(formatFraction({ numerator: 1n, denominator: 100000n }, 'decimal'), '<0.001');
+  });
+
+  it('multiplies without losing precision', () => {
+    let value = { numerator: 1n, denominator: 1n };
+    for (let i = 0; i < 40; i++) value = multiply(value, { numerator: 9n, denominator: 10n });
+    assert.equal(value.denominator, 10n ** 40n);
+    assert.equal(categorize(value), 'almost never');
+  });
+});
@@ -0,0 +1,38 @@
+import { readFile } from 'node:fs/promises';
+import { Principal } from '@dfinity/principal';
+import { ConceptBaseClient } from '../src/api/conceptBaseClient.js';
+import { createMockCanister, seedFixture } from '../src/mock/mockCanister.js';
+
+export const ALICE = Principal.fromUint8Array(new TextEncoder().encode('alice'));
+export const BOB = Principal.fromUint8Array(new TextEncoder().encode('bob'));
+export const CAROL = Principal.fromUint8Array(new TextEncoder().encode('carol'));
+
+// Deterministic nanosecond clock: every call is one second after the last
+export function steppingClock(start = 1_700_000_000_000_000_000n) {
+  let time = start;
+  return () => (time += 1_000_000_000n);
+}
+
+export async function loadFixture(name) {
+  return readFile(new URL(`../src/mock/fixtures/${name}.json`, import.meta.url), 'utf8');
+}
+
+// A fresh canister with a client per principal. ALICE controls it and is its
+// admin; pass a fixture name to seed it as ALICE first
+export async function setup({ fixture } = {}) {
+  const canister = createMockCanister({ now: steppingClock(), controllers: [ALICE] });
+  const alice = new ConceptBaseClient(canister.createActor(ALICE));
+  const bob = new ConceptBaseClient(canister.createActor(BOB));
+  await alice.claimAdmin();
+  if (fixture) {
+    const report = await seedFixture(canister.createActor(ALICE), await loadFixture(fixture));
+    if (report.errors.length > 0) throw new Error(`Fixture ${fixture}: ${report.errors[0].message}`);
+  }
+  return { canister, alice, bob };
+}
+
+export async function conceptId(client, name) {
+  const [concept] = (await client.queryConcepts({ namePattern: name })).items.filter(c => c.name === name);
+  if (!concept) throw new Error(`No concept named ${name}`);
+  return concept.id;
+}
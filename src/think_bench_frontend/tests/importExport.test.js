@@ -0,0 +1,33 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { fetchConceptBase, toSnapshot, serialize, parseImport, runImport } from '../src/utils/importExport.js';
+import { setup } from './helpers.js';
+
+describe('import and export', () => {
+  for (const format of ['json', 'csv', 'ttl']) {
+    it(`round-trips the animals fixture through ${format}`, async () => {
+      const { alice: source } = await setup({ fixture: 'animals' });
+      const exported = toSnapshot(await fetchConceptBase(source));
+
+      const { alice: target } = await setup();
+      // Only JSON carries relationship type definitions
+      await runImport(target, { ...parseImport(serialize(exported, 'json'), 'json'), concepts: [], relationships: [] });
+      const report = await runImport(target, parseImport(serialize(exported, format), format));
+      assert.deepEqual(report.errors, []);
+      assert.equal(report.relationshipsAsserted, exported.relationships.length);
+
+      const imported = toSnapshot(await fetchConceptBase(target));
+      assert.deepEqual(imported.relationships, exported.relationships);
+      // CSV is only an edge list, so concept descriptions and metadata stay behind
+      if (format !== 'csv') assert.deepEqual(imported.concepts, exported.concepts);
+    });
+  }
+
+  it('reports rows it cannot import without stopping', async () => {
+    const { alice } = await setup();
+    const csv = 'from,relationship,to,probability\nDog,IS-A,Mammal,0.9\nDog,IS-A,Dog,1\nDog,LIKES,Ball,1\n';
+    const report = await runImport(alice, parseImport(csv, 'csv'));
+    assert.equal(report.relationshipsAsserted, 1);
+    assert.deepEqual(report.errors.map(e => e.row), [3, 4]);
+  });
+});
@@ -0,0 +1,518 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockCanister } from '../src/mock/mockCanister.js';
+import { Principal } from '@dfinity/principal';
+import { ConceptBaseClient } from '../src/api/conceptBaseClient.js';
+import { ValidationError, PermissionDeniedError, NotFoundError, InvalidOperationError } from '../src/api/errors.js';
+import { ALICE, BOB, CAROL, setup, conceptId } from './helpers.js';
+
+const fraction = (numerator, denominator) => ({ numerator: BigInt(numerator), denominator: BigInt(denominator) });
+
+describe('mock canister', () => {
+  it('seeds the core relationship types', async () => {
+    const { alice } = await setup();
+    const types = await alice.listRelationshipTypes();
+    assert.deepEqual(types.map(t => [t.id, t.name]), [[0n, 'IS-A'], [1n, 'HAS-A'], [2n, 'PART-OF'], [3n, 'PROPERTY-OF'], [4n, 'INSTANCE-OF']]);
+    assert.equal(types[0].properties.logical.transitive, true);
+  });
+
+  it('returns the existing ID for a duplicate concept name', async () => {
+    const actor = createMockCanister().createActor(ALICE);
+    const first = await actor.createConcept('Dog', [], []);
+    const second = await actor.createConcept('Dog', ['Another description'], []);
+    assert.deepEqual(first, { ok: 0n });
+    assert.deepEqual(second, { ok: 0n });
+    const page = await actor.queryConcepts({ namePattern: [], metadata: [], hasInstances: [], isInstance: [], creator: [] }, []);
+    assert.equal(page.ok.total, 1n);
+    assert.deepEqual(page.ok.items[0].description, []);
+  });
+
+  it('rejects self-references for types with NoSelfReference', async () => {
+    const { alice } = await setup();
+    const dog = await alice.createConcept({ name: 'Dog' });
+    await assert.rejects(alice.assert(dog, 'IS-A', dog), err => err instanceof ValidationError && err.code === 'SELF_REFERENCE');
+  });
+
+  it('validates probabilities and confidences', async () => {
+    const actor = createMockCanister().createActor(ALICE);
+    await actor.createConcept('Dog', [], []);
+    await actor.createConcept('Mammal', [], []);
+    const badProbability = await actor.assertRelationship(0n, 1n, 0n, fraction(3, 2), fraction(1, 1), []);
+    assert.equal(badProbability.err.ValidationError.code, 'INVALID_PROBABILITY');
+    const badConfidence = await actor.assertRelationship(0n, 1n, 0n, fraction(1, 1), fraction(1, 0), []);
+    assert.ok('InvalidConfidence' in badConfidence.err);
+    const missing = await actor.assertRelationship(0n, 7n, 0n, fraction(1, 1), fraction(1, 1), []);
+    assert.deepEqual(missing, { err: { NotFound: 'Target concept not found' } });
+  });
+
+  it('stores fractions in lowest terms', async () => {
+    const { alice } = await setup();
+    const dog = await alice.createConcept({ name: 'Dog' });
+    const mammal = await alice.createConcept({ name: 'Mammal' });
+    const id = await alice.assert(dog, 'IS-A', mammal, { p: '90/100', c: '50%' });
+    const rel = await alice.getRelationship(id);
+    assert.deepEqual([rel.probability, rel.confidence], [fraction(9, 10), fraction(1, 2)]);
+  });
+
+  it('only lets the creator edit, delete or retract', async () => {
+    const { alice, bob } = await setup();
+    const dog = await alice.createConcept({ name: 'Dog' });
+    const mammal = await alice.createConcept({ name: 'Mammal' });
+    const rel = await alice.assert(dog, 'IS-A', mammal);
+
+    const denied = err => err instanceof PermissionDeniedError;
+    await assert.rejects(bob.updateConcept(dog, { name: 'Hound' }), denied);
+    await assert.rejects(bob.deleteConcept(dog), denied);
+    await assert.rejects(bob.updateRelationship(rel, { probability: 0.5 }), denied);
+    await assert.rejects(bob.retractRelationship(rel), denied);
+
+    await alice.updateConcept(dog, { name: 'Hound' });
+    assert.equal((await bob.getConcept(dog)).name, 'Hound');
+  });
+
+  it('lets co-editors and admins edit concepts they did not create', async () => {
+    const { canister, alice, bob } = await setup();
+    const carol = new ConceptBaseClient(canister.createActor(CAROL));
+    const dog = await bob.createConcept({ name: 'Dog' });
+    const denied = err => err instanceof PermissionDeniedError;
+
+    await assert.rejects(carol.updateConcept(dog, { description: 'Barks' }), denied);
+    await assert.rejects(carol.grantEditor(dog, CAROL), denied);
+    await bob.grantEditor(dog, CAROL.toText());
+    assert.deepEqual((await carol.getConceptEditors(dog)).map(p => p.toText()), [CAROL.toText()]);
+    await carol.updateConcept(dog, { description: 'Barks' });
+    // Co-editors edit but neither delete nor reshare
+    await assert.rejects(carol.deleteConcept(dog), denied);
+    await assert.rejects(carol.revokeEditor(dog, CAROL), denied);
+
+    // An admin can step in for a creator who has left
+    await alice.revokeEditor(dog, CAROL);
+    await assert.rejects(carol.updateConcept(dog, { description: 'Woofs' }), denied);
+    await alice.updateConcept(dog, { name: 'Hound' });
+    await alice.deleteConcept(dog);
+  });
+
+  it('lets only a controller claim the first admin role', async () => {
+    const canister = createMockCanister({ controllers: [ALICE] });
+    const alice = new ConceptBaseClient(canister.createActor(ALICE));
+    const bob = new ConceptBaseClient(canister.createActor(BOB));
+    await assert.rejects(bob.claimAdmin(), PermissionDeniedError);
+    await assert.rejects(new ConceptBaseClient(canister.createActor()).claimAdmin(), PermissionDeniedError);
+    await alice.claimAdmin();
+    assert.equal(await alice.getRole(ALICE), 'Admin');
+    await assert.rejects(alice.claimAdmin(), InvalidOperationError);
+  });
+
+  it('keeps type management and role assignment to admins', async () => {
+    const { canister, alice, bob } = await setup();
+    const denied = err => err instanceof PermissionDeniedError;
+    const properties = { logical: {}, inheritance: { inheritable: false, probabilityMode: 'MULTIPLY' } };
+    await assert.rejects(bob.createRelationshipType({ name: 'NEAR', properties }), denied);
+    await assert.rejects(bob.deprecateRelationshipType(1n, { reason: 'Unused' }), denied);
+    await assert.rejects(bob.setRole(BOB, 'Admin'), denied);
+    await assert.rejects(bob.claimAdmin(), denied);
+    await assert.rejects(alice.setRole(ALICE, 'Editor'), /last admin/);
+
+    await alice.setRole(BOB, 'Viewer');
+    assert.equal(await bob.getRole(BOB), 'Viewer');
+    await assert.rejects(bob.createConcept({ name: 'Dog' }), denied);
+    assert.equal(await alice.getRole(CAROL), 'Editor');
+    assert.equal(await alice.getRole(Principal.anonymous()), 'Viewer');
+    await assert.rejects(new ConceptBaseClient(canister.createActor()).createConcept({ name: 'Cat' }), denied);
+
+    await alice.setRole(BOB, 'Admin');
+    await bob.createRelationshipType({ name: 'NEAR', properties });
+    assert.deepEqual(
+      (await bob.listRoles()).map(({ principal, role }) => [principal.toText(), role]),
+      [[ALICE.toText(), 'Admin'], [BOB.toText(), 'Admin']]
+    );
+  });
+
+  it('keeps concept names unique on rename and restore', async () => {
+    const { alice } = await setup();
+    const dog = await alice.createConcept({ name: 'Dog' });
+    await alice.createConcept({ name: 'Cat' });
+    await assert.rejects(alice.updateConcept(dog, { name: 'Cat' }), { name: 'AlreadyExistsError' });
+    await assert.rejects(alice.updateConcept(dog, { name: '' }), err => err.code === 'EMPTY_NAME');
+
+    await alice.deleteConcept(dog);
+    await assert.rejects(alice.getConcept(dog), NotFoundError);
+    await alice.createConcept({ name: 'Dog' });
+    await assert.rejects(alice.restoreConcept(dog), { name: 'AlreadyExistsError' });
+  });
+
+  it('suggests similar names and merges duplicates behind an alias', async () => {
+    const { alice } = await setup();
+    const dog = await alice.createConcept({ name: 'Dog' });
+    const dogs = await alice.createConcept({ name: 'Dogs', description: 'Barks' });
+    const mammal = await alice.createConcept({ name: 'Mammal' });
+    const [exact, plural] = await alice.findSimilarConcepts('Dogs');
+    assert.equal(exact.concept.id, dogs);
+    assert.equal(exact.match, 'Exact');
+    assert.deepEqual([plural.concept.id, plural.match], [dog, 'Normalized']);
+
+    await assert.rejects(alice.mergeConcepts(dog, dog), err => err.code === 'SAME_CONCEPT');
+    const between = await alice.assert(dogs, 'IS-A', dog, { p: 1, c: 0.9 });
+    const moved = await alice.assert(dogs, 'IS-A', mammal, { p: 0.9, c: 0.7 });
+    const kept = await alice.assert(dog, 'IS-A', mammal, { p: 0.9, c: 0.8 });
+    const { rewired, retracted } = await alice.mergeConcepts(dog, dogs);
+    assert.deepEqual(rewired, []);
+    assert.deepEqual([...retracted].sort(), [between, moved].sort());
+    assert.equal((await alice.getRelationship(kept)).fromConceptId, dog);
+
+    const merged = await alice.getConcept(dogs);
+    assert.equal(merged.id, dog);
+    assert.equal(merged.description, 'Barks');
+    await alice.assert(dogs, 'HAS-A', await alice.createConcept({ name: 'Tail' }), { p: 1, c: 1 });
+    assert.equal((await alice.queryRelationships({ from: dog })).total, 2n);
+  });
+
+  it('refuses a merge that would break a unique target', async () => {
+    const { alice } = await setup();
+    await alice.createRelationshipType({
+      name: 'HEADQUARTERED-IN',
+      properties: {
+        logical: { irreflexive: true },
+        inheritance: { inheritable: false, probabilityMode: 'MULTIPLY' },
+        validation: ['UniqueTarget'],
+      },
+    });
+    const ids = [];
+    for (const name of ['Acme Corp', 'Acme Inc', 'Zurich', 'Basel']) ids.push(await alice.createConcept({ name }));
+    await alice.assert(ids[0], 'HEADQUARTERED-IN', ids[2]);
+    const moved = await alice.assert(ids[1], 'HEADQUARTERED-IN', ids[3]);
+
+    await assert.rejects(alice.mergeConcepts(ids[0], ids[1]), err => err.code === 'UNIQUE_TARGET_VIOLATION');
+    assert.equal((await alice.getConcept(ids[1])).id, ids[1]);
+    assert.equal((await alice.getRelationship(moved)).fromConceptId, ids[1]);
+  });
+
+  it('hides relationships of soft-deleted concepts until restored', async () => {
+    const { alice } = await setup({ fixture: 'animals' });
+    const dog = await conceptId(alice, 'Dog');
+    const before = (await alice.queryRelationships({ from: dog })).total;
+    await alice.deleteConcept(dog);
+    assert.equal((await alice.queryRelationships({ from: dog })).total, 0n);
+    await alice.restoreConcept(dog);
+    assert.equal((await alice.queryRelationships({ from: dog })).total, before);
+  });
+
+  it('previews inherited and symmetric losses of a retraction', async () => {
+    const { alice } = await setup({ fixture: 'animals' });
+    const [sparrow, bird, wings, dog, cat] = await Promise.all(
+      ['Sparrow', 'Bird', 'Wings', 'Dog', 'Cat'].map(name => conceptId(alice, name))
+    );
+    const relationshipId = async (from, type, to) =>
+      (await alice.queryRelationships({ from, type, to })).items[0].id;
+    const loses = async (id, from, to) =>
+      (await alice.previewRetraction(id)).inferred.some(edge =>
+        edge.relationship.fromConceptId === from && edge.relationship.toConceptId === to);
+
+    // Sparrow HAS-A Wings is inherited through both assertions
+    assert.ok(await loses(await relationshipId(bird, 'HAS-A', wings), sparrow, wings));
+    assert.ok(await loses(await relationshipId(sparrow, 'IS-A', bird), sparrow, wings));
+    // The reverse of a symmetric assertion goes with it
+    assert.ok(await loses(await relationshipId(dog, 'SIBLING-OF', cat), cat, dog));
+  });
+
+  it('multiplies probabilities along transitive chains', async () => {
+    const { alice } = await setup({ fixture: 'animals' });
+    const feathers = await conceptId(alice, 'Feathers');
+    const bird = await conceptId(alice, 'Bird');
+    const wings = await conceptId(alice, 'Wings');
+    await alice.assert(wings, 'PART-OF', bird, { p: '4/5', c: 1 });
+
+    const { items } = await alice.infer(feathers, { type: 'PART-OF' });
+    const toBird = items.find(item => item.relationship.toConceptId === bird);
+    assert.ok('Transitive' in toBird.source);
+    assert.deepEqual(toBird.relationship.probability, fraction(3, 5));
+    // Confidence is the weakest link; untracked creators weigh in full
+    assert.deepEqual(toBird.relationship.confidence, fraction(9, 10));
+  });
+
+  it('infers and explains incoming chains', async () => {
+    const { alice } = await setup({ fixture: 'animals' });
+    const feathers = await conceptId(alice, 'Feathers');
+    const bird = await conceptId(alice, 'Bird');
+    const wings = await conceptId(alice, 'Wings');
+    await alice.assert(wings, 'PART-OF', bird, { p: '4/5', c: 1 });
+
+    const { items } = await alice.infer(bird, { type: 'PART-OF', direction: 'Incoming' });
+    const fromFeathers = items.find(item => item.relationship.fromConceptId === feathers);
+    assert.ok('IncomingTransitive' in fromFeathers.source);
+    assert.equal(fromFeathers.relationship.toConceptId, bird);
+    assert.deepEqual(fromFeathers.relationship.probability, fraction(3, 5));
+    assert.equal((await alice.infer(bird, { type: 'PART-OF' })).items.length, 0);
+
+    // Steps read from the far concept towards the start
+    const { steps } = await alice.explain(bird, feathers, { type: 'PART-OF', direction: 'Incoming' });
+    assert.deepEqual(steps.map(step => step.relationship.fromConceptId), [feathers, wings]);
+    await assert.rejects(alice.infer(bird, { direction: 'Sideways' }), ValidationError);
+  });
+
+  it('warms inference without changing its results', async () => {
+    const { canister, alice } = await setup({ fixture: 'animals' });
+    const bird = await conceptId(alice, 'Bird');
+    const options = { type: 'PART-OF', direction: 'Incoming' };
+    const before = await alice.infer(bird, options);
+
+    assert.equal(await alice.warmInference([bird], options), 1);
+    assert.deepEqual(await alice.infer(bird, options), before);
+    await assert.rejects(alice.warmInference(Array(501).fill(bird)), ValidationError);
+    const anonymous = new ConceptBaseClient(canister.createActor());
+    await assert.rejects(anonymous.warmInference([bird], options), PermissionDeniedError);
+  });
+
+  it('finds the most probable paths between two concepts', async () => {
+    const { alice } = await setup();
+    const ids = {};
+    for (const name of ['Wheel', 'Car', 'Bicycle', 'Vehicle']) ids[name] = await alice.createConcept({ name });
+    await alice.assert(ids.Wheel, 'PART-OF', ids.Car, { p: '9/10' });
+    await alice.assert(ids.Car, 'IS-A', ids.Vehicle);
+    await alice.assert(ids.Wheel, 'PART-OF', ids.Bicycle, { p: '1/2' });
+    await alice.assert(ids.Bicycle, 'IS-A', ids.Vehicle);
+    await alice.assert(ids.Wheel, 'IS-A', ids.Vehicle, { p: '1/10' });
+
+    const paths = await alice.findPaths(ids.Wheel, ids.Vehicle);
+    assert.deepEqual(paths.map(path => path.probability), [fraction(9, 10), fraction(1, 2), fraction(1, 10)]);
+    assert.deepEqual(paths[0].steps.map(step => step.relationship.toConceptId), [ids.Car, ids.Vehicle]);
+    // The creator's initial reliability keeps the full stated confidence
+    assert.deepEqual(paths[0].confidence, fraction(1, 1));
+
+    assert.equal((await alice.findPaths(ids.Wheel, ids.Vehicle, { types: ['IS-A'] })).length, 1);
+    assert.equal((await alice.findPaths(ids.Wheel, ids.Vehicle, { k: 1 })).length, 1);
+    assert.deepEqual(await alice.findPaths(ids.Vehicle, ids.Wheel), []);
+    await assert.rejects(alice.findPaths(ids.Wheel, ids.Wheel), ValidationError);
+  });
+
+  it('derives the reverse of symmetric relationships', async () => {
+    const { alice } = await setup({ fixture: 'animals' });
+    const dog = await conceptId(alice, 'Dog');
+    const cat = await conceptId(alice, 'Cat');
+
+    const fromDog = await alice.infer(dog, { type: 'SIBLING-OF' });
+    const reverse = fromDog.items.find(item => 'Symmetric' in item.source);
+    assert.equal(reverse.relationship.fromConceptId, cat);
+    assert.equal(reverse.relationship.toConceptId, dog);
+  });
+
+  it('inherits properties down IS-A chains', async () => {
+    const { alice } = await setup({ fixture: 'animals' });
+    const dog = await conceptId(alice, 'Dog');
+    const fur = await conceptId(alice, 'Fur');
+    const { items } = await alice.inferInherited(dog);
+    const inherited = items.find(item => item.relationship.toConceptId === fur);
+    assert.equal(inherited.source.Inherited.ancestor, await conceptId(alice, 'Mammal'));
+    assert.deepEqual(inherited.relationship.probability, fraction(9, 10));
+  });
+
+  it('tells individuals from classes through INSTANCE-OF', async () => {
+    const { alice } = await setup({ fixture: 'animals' });
+    const dog = await conceptId(alice, 'Dog');
+    const mammal = await conceptId(alice, 'Mammal');
+    const fido = await alice.createConcept({ name: 'Fido' });
+    await alice.assert(fido, 'INSTANCE-OF', dog);
+    assert.equal(await alice.getConceptKind(fido), 'Individual');
+    assert.equal(await alice.getConceptKind(dog), 'Class');
+
+    const { items } = await alice.infer(fido, { type: 'INSTANCE-OF' });
+    const viaDog = items.find(item => item.relationship.toConceptId === mammal);
+    assert.ok('Transitive' in viaDog.source);
+    assert.equal(viaDog.relationship.relationshipTypeId, 4n);
+    const instances = await alice.inferAll(mammal, { type: 'INSTANCE-OF', direction: 'Incoming' });
+    assert.ok(instances.some(item => item.relationship.fromConceptId === fido));
+
+    const individuals = await alice.queryConcepts({ isInstance: true });
+    assert.deepEqual(individuals.items.map(concept => concept.id), [fido]);
+    const classes = await alice.queryConcepts({ hasInstances: true });
+    assert.ok(classes.items.some(concept => concept.id === mammal));
+
+    const rex = await alice.createConcept({ name: 'Rex' });
+    await assert.rejects(alice.assert(rex, 'INSTANCE-OF', fido), err => err.code === 'NOT_A_CLASS');
+    await assert.rejects(alice.setConceptKind(dog, 'Individual'), err => err.code === 'HAS_INSTANCES');
+    await alice.setConceptKind(rex, 'Individual', { reason: 'A particular dog' });
+    const [classify] = await alice.getAllChangeHistory({ concept: rex });
+    assert.deepEqual(classify.action, { Classify: { Individual: null } });
+    await assert.rejects(alice.revertChange(classify.id), InvalidOperationError);
+  });
+
+  it('pages with cursors that survive insertions', async () => {
+    const { alice } = await setup();
+    for (const name of ['Ant', 'bee', 'Cat', 'dog', 'Eel']) await alice.createConcept({ name });
+
+    const first = await alice.queryConcepts({}, { pageSize: 2 });
+    assert.deepEqual(first.items.map(c => c.name), ['Ant', 'bee']);
+    assert.equal(first.nextCursor, 'name:asc|00000000000000000001|t:bee');
+
+    await alice.createConcept({ name: 'Aardvark' });
+    const second = await alice.queryConcepts({}, { pageSize: 2, cursor: first.nextCursor });
+    assert.deepEqual(second.items.map(c => c.name), ['Cat', 'dog']);
+    await assert.rejects(alice.queryConcepts({}, { sortBy: 'Created', cursor: first.nextCursor }), /Invalid cursor/);
+  });
+
+  it('orders ties by numeric ID across a power of ten', async () => {
+    const canister = createMockCanister({ now: () => 1_700_000_000_000_000_000n });
+    const alice = new ConceptBaseClient(canister.createActor(ALICE));
+    const ids = (await alice.createConcepts(Array.from({ length: 12 }, (_, i) => ({ name: `Tie ${i}` })))).map(result => result.id);
+    await alice.assertRelationships(ids.slice(1).map(to => ({ from: ids[0], type: 'HAS-A', to })));
+
+    const walk = async query => {
+      const seen = [];
+      let cursor;
+      do {
+        const page = await query({ sortBy: 'Created', pageSize: 4, cursor });
+        seen.push(...page.items.map(item => item.id));
+        cursor = page.nextCursor;
+      } while (cursor);
+      return seen;
+    };
+    assert.deepEqual(await walk(page => alice.queryConcepts({}, page)), ids);
+    assert.deepEqual(await walk(page => alice.queryRelationships({}, page)), Array.from({ length: 11 }, (_, i) => BigInt(i)));
+  });
+
+  it('rejects batches over the size limit', async () => {
+    const actor = createMockCanister().createActor(ALICE);
+    const result = await actor.createConcepts(Array.from({ length: 501 }, (_, i) => ({ name: `C${i}`, description: [], metadata: [] })));
+    assert.equal(result.err.ValidationError.code, 'BATCH_TOO_LARGE');
+  });
+
+  it('records changes and reverts to an earlier version', async () => {
+    const { alice } = await setup();
+    const dog = await alice.createConcept({ name: 'Dog', description: 'Loyal' });
+    await alice.updateConcept(dog, { description: 'Barks', reason: 'More precise' });
+
+    const [update, create] = await alice.getAllChangeHistory({ concept: dog });
+    assert.deepEqual(update.action, { Update: null });
+    assert.equal(update.reason, 'More precise');
+    await alice.revertChange(create.id);
+    assert.equal((await alice.getConcept(dog)).description, 'Loyal');
+  });
+
+  it('rejects assertions of deprecated types', async () => {
+    const { alice } = await setup();
+    const dog = await alice.createConcept({ name: 'Dog' });
+    const tail = await alice.createConcept({ name: 'Tail' });
+    await alice.deprecateRelationshipType(1n, { replacedBy: 2n, reason: 'Use PART-OF' });
+    await assert.rejects(alice.assert(tail, 'HAS-A', dog), err => err.code === 'DEPRECATED_TYPE');
+    await assert.rejects(alice.deprecateRelationshipType(2n, { replacedBy: 1n, reason: 'Loop' }), err => err.code === 'INVALID_REPLACEMENT');
+  });
+
+  it('enforces unique targets and custom rules', async () => {
+    const { alice, bob } = await setup();
+    const properties = (validation) => ({
+      logical: { irreflexive: true },
+      inheritance: { inheritable: false, probabilityMode: 'MULTIPLY' },
+      validation,
+    });
+    const rule = (name, errorCode) => ({ CustomRule: { name, description: `Violates ${name}`, errorCode } });
+    await assert.rejects(
+      alice.createRelationshipType({ name: 'TYPO', properties: properties([rule('min-probabilty:1/2', 'TYPO')]) }),
+      err => err.code === 'INVALID_RULE'
+    );
+    await alice.createRelationshipType({
+      name: 'CAPITAL-OF',
+      properties: properties(['UniqueTarget', rule('min-probability:1/2', 'UNLIKELY'), rule('metadata-values:source=census|atlas', 'SOURCE')]),
+    });
+    const ids = [];
+    for (const name of ['Switzerland', 'Bern', 'Zurich']) ids.push(await alice.createConcept({ name }));
+    const [country, capital, city] = ids;
+
+    await assert.rejects(alice.assert(country, 'CAPITAL-OF', capital, { p: '1/3' }), err =>
+      err.code === 'UNLIKELY' && err.details.field === 'probability' && err.details.value === '1/3'
+    );
+    await assert.rejects(alice.assert(country, 'CAPITAL-OF', capital, { metadata: [['source', 'rumour']] }), err =>
+      err.code === 'SOURCE' && err.details.field === 'metadata.source'
+    );
+    await alice.assert(country, 'CAPITAL-OF', capital, { metadata: [['source', 'atlas']] });
+    await bob.assert(country, 'CAPITAL-OF', capital, { p: 0.9 });
+    await assert.rejects(bob.assert(country, 'CAPITAL-OF', city), err =>
+      err.code === 'UNIQUE_TARGET_VIOLATION' && err.details.value === String(capital)
+    );
+  });
+
+  it('rejects assertions that close a cycle of an acyclic type', async () => {
+    const { alice } = await setup();
+    await alice.createRelationshipType({
+      name: 'PRECEDES',
+      properties: {
+        logical: {},
+        inheritance: { inheritable: false, probabilityMode: 'MULTIPLY' },
+        validation: [{ CustomRule: { name: 'acyclic', description: 'Order must not loop', errorCode: 'ORDER_CYCLE' } }],
+      },
+    });
+    const [a, b, c] = [await alice.createConcept({ name: 'A' }), await alice.createConcept({ name: 'B' }), await alice.createConcept({ name: 'C' })];
+    await alice.assert(a, 'PRECEDES', b);
+    await alice.assert(b, 'PRECEDES', c);
+    await assert.rejects(alice.assert(c, 'PRECEDES', a), err => err.code === 'ORDER_CYCLE' && err.details.constraint === 'acyclic');
+  });
+
+  it('breaks every cycle in a group and scopes conflicts to a concept', async () => {
+    const { alice } = await setup();
+    const ids = [];
+    for (const name of ['A', 'B', 'C', 'D']) ids.push(await alice.createConcept({ name }));
+    const strongAB = await alice.assert(ids[0], 'IS-A', ids[1]);
+    const weakBA = await alice.assert(ids[1], 'IS-A', ids[0], { c: 0.2 });
+    const strongBC = await alice.assert(ids[1], 'IS-A', ids[2]);
+    const weakCB = await alice.assert(ids[2], 'IS-A', ids[1], { c: 0.25 });
+    await alice.assert(ids[3], 'IS-A', ids[2]);
+
+    assert.deepEqual(await alice.analyzeConflicts({ concept: ids[3] }), []);
+    const [cycle] = await alice.analyzeConflicts({ concept: ids[0], type: 'IS-A' });
+    assert.deepEqual(cycle.relationships.map(rel => rel.id), [strongAB, weakBA, strongBC, weakCB]);
+    await alice.resolveConflict(cycle.key, { strategy: 'KeepHighestConfidence', concept: ids[0], type: 'IS-A' });
+    await assert.rejects(alice.getRelationship(weakBA), NotFoundError);
+    await assert.rejects(alice.getRelationship(weakCB), NotFoundError);
+    assert.equal((await alice.getRelationship(strongBC)).id, strongBC);
+    assert.deepEqual(await alice.analyzeConflicts(), []);
+  });
+
+  it('logs conflict flags as revertable changes', async () => {
+    const { alice } = await setup();
+    const penguin = await alice.createConcept({ name: 'Penguin' });
+    const flyer = await alice.createConcept({ name: 'Flyer' });
+    const likely = await alice.assert(penguin, 'IS-A', flyer, { p: 0.9, c: 0.5 });
+    await alice.assert(penguin, 'IS-A', flyer, { p: 0.1, c: 0.9 });
+    const [conflict] = await alice.analyzeConflicts();
+    const seq = await alice.getChangeSeq();
+
+    await alice.resolveConflict(conflict.key, { strategy: 'MarkDisputed', relationship: likely });
+    const [flagged] = (await alice.changesSince(seq)).changes;
+    assert.deepEqual(flagged.entity, { RelationshipFlag: likely });
+    assert.deepEqual(flagged.action, { Create: null });
+    assert.equal(flagged.after.RelationshipFlag.relationship.id, likely);
+    assert.ok('Disputed' in flagged.after.RelationshipFlag.flag);
+    assert.ok((await alice.getAllChangeHistory({ concept: penguin })).some(c => c.id === flagged.id));
+
+    await alice.revertChange(flagged.id);
+    const history = await alice.getAllChangeHistory({ entity: { relationshipFlag: likely } });
+    assert.deepEqual(history.map(c => c.action), [{ Revert: flagged.id }, { Create: null }]);
+  });
+
+  it('moves reliability with corroboration and contradiction', async () => {
+    const { alice, bob } = await setup();
+    const dog = await alice.createConcept({ name: 'Dog' });
+    const mammal = await alice.createConcept({ name: 'Mammal' });
+    await alice.assert(dog, 'IS-A', mammal, { p: 1 });
+    await bob.assert(dog, 'IS-A', mammal, { p: 0.9 });
+    await bob.assert(dog, 'IS-A', mammal, { p: 0.9 });
+    // Repeating a statement does not corroborate twice
+    assert.deepEqual((await bob.getUserReliability(ALICE)).score, fraction(21, 40));
+
+    assert.deepEqual(await bob.analyzeConflicts(), []);
+    const changed = await bob.assert(dog, 'IS-A', mammal, { p: 0.2 });
+    const [disagreement] = await bob.analyzeConflicts();
+    assert.ok('ProbabilityDisagreement' in disagreement.kind);
+    // Bob's contradiction replaces his corroboration rather than adding to it
+    assert.deepEqual((await bob.getUserReliability(ALICE)).score, fraction(19, 40));
+    await bob.assert(dog, 'IS-A', mammal, { p: 0.2 });
+    assert.deepEqual((await bob.getUserReliability(ALICE)).score, fraction(19, 40));
+    await bob.updateRelationship(changed, { probability: 0.95 });
+    assert.deepEqual((await bob.getUserReliability(ALICE)).score, fraction(21, 40));
+
+    // Below the initial score, confidence is discounted in proportion
+    await bob.updateRelationship(changed, { probability: 0.2 });
+    const { items } = await bob.infer(dog, { type: 'IS-A', maxDepth: 1, minConfidence: '24/25' });
+    assert.ok(items.length > 0);
+    assert.ok(items.every(item => item.relationship.creator.principalId.toText() === BOB.toText()));
+  });
+});
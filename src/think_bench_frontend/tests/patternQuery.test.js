@@ -0,0 +1,26 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseQuery, runQuery } from '../src/utils/patternQuery.js';
+import { setup } from './helpers.js';
+
+const names = result => result.rows.map(row => result.variables.map(name => row.bindings[name].name).join(' '));
+
+describe('pattern queries', () => {
+  it('joins patterns on shared variables', async () => {
+    const { alice } = await setup({ fixture: 'animals' });
+    const result = await runQuery(alice, '?x IS-A Mammal AND ?x HAS-A Wings');
+    assert.deepEqual(names(result), ['Bat']);
+  });
+
+  it('matches transitive and inherited edges', async () => {
+    const { alice } = await setup({ fixture: 'animals' });
+    const animals = await runQuery(alice, '?x IS-A Animal');
+    assert.deepEqual(names(animals).sort(), ['Bat', 'Bird', 'Cat', 'Dog', 'Mammal', 'Penguin', 'Sparrow']);
+    const parts = await runQuery(alice, 'Penguin HAS-A ?part WHERE p >= 0.9');
+    assert.deepEqual(names(parts).sort(), ['Feathers', 'Wings']);
+  });
+
+  it('rejects malformed queries', () => {
+    assert.throws(() => parseQuery('?x IS-A'), { name: 'ValidationError' });
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseStatements, statementNames, lookupConcepts, submitStatements, wordAt, applyCompletion,
+} from '../src/utils/quickAssert.js';
+import { setup } from './helpers.js';
+
+const fraction = (numerator, denominator) => ({ numerator: BigInt(numerator), denominator: BigInt(denominator) });
+
+describe('quick assert', () => {
+  it('parses statements with optional values and multi-word names', async () => {
+    const { alice } = await setup();
+    const types = await alice.listRelationshipTypes();
+    const [dog, wheel, vehicle, bad] = parseStatements([
+      'Dog IS-A Mammal 0.95 conf 0.8',
+      '# comment',
+      'Wheel part-of Car',
+      '',
+      'Land Vehicle IS-A "Means of Transport" c 4/5',
+      'Dog EATS Meat',
+    ].join('\n'), types);
+
+    assert.deepEqual(
+      [dog.statement.subject, dog.statement.type.name, dog.statement.object],
+      ['Dog', 'IS-A', 'Mammal']
+    );
+    assert.deepEqual([dog.statement.probability, dog.statement.confidence], [fraction(19, 20), fraction(4, 5)]);
+    assert.equal(wheel.line, 3);
+    assert.equal(wheel.statement.type.name, 'PART-OF');
+    assert.deepEqual(wheel.statement.probability, fraction(1, 1));
+    assert.deepEqual(
+      [vehicle.statement.subject, vehicle.statement.object, vehicle.statement.confidence],
+      ['Land Vehicle', 'Means of Transport', fraction(4, 5)]
+    );
+    assert.equal(bad.line, 6);
+    assert.match(bad.error, /No relationship type/);
+    assert.match(parseStatements('Dog IS-A Mammal 2', types)[0].error, /Invalid probability "2"/);
+  });
+
+  it('creates chosen concepts and reports failures per line', async () => {
+    const { alice } = await setup();
+    const types = await alice.listRelationshipTypes();
+    const dog = await alice.createConcept({ name: 'Dog' });
+    const parsed = parseStatements('dogs IS-A Mammal 0.9\nDog HAS-A Tail\nCat IS-A Mammal\nDog IS-A Dog', types);
+    const lookup = await lookupConcepts(alice, statementNames(parsed));
+    assert.equal(lookup.get('Dog').concept.id, dog);
+    assert.equal(lookup.get('dogs').suggestions[0].concept.id, dog);
+
+    const choices = new Map([['dogs', dog.toString()], ['Mammal', 'create'], ['Tail', 'create'], ['Cat', 'skip']]);
+    const result = await submitStatements(alice, parsed, lookup, choices);
+    assert.equal(result.created, 2);
+    assert.deepEqual(result.asserted.map(item => item.line), [1, 2]);
+    assert.deepEqual(result.errors.map(item => item.line), [3, 4]);
+    assert.match(result.errors[0].message, /Unknown concept: Cat/);
+    assert.equal((await alice.getRelationship(result.asserted[0].id)).fromConceptId, dog);
+  });
+
+  it('completes the word at the caret', async () => {
+    const { alice } = await setup();
+    const types = await alice.listRelationshipTypes();
+    const text = 'Dog IS-A Mammal\nWheel PA';
+    const word = wordAt(text, text.length, types);
+    assert.deepEqual(word, { start: 22, end: 24, prefix: 'PA', expects: 'type' });
+    assert.equal(wordAt(text, 10, types).expects, 'concept');
+
+    const completed = applyCompletion(text, word, { kind: 'type', value: 'PART-OF' }, types);
+    assert.equal(completed.text, 'Dog IS-A Mammal\nWheel PART-OF ');
+    assert.equal(completed.caret, completed.text.length);
+    const quoted = applyCompletion('Wheel PART-OF La', wordAt('Wheel PART-OF La', 16, types), { kind: 'concept', value: 'Land IS-A Vehicle' }, types);
+    assert.equal(quoted.text, 'Wheel PART-OF "Land IS-A Vehicle" ');
+  });
+});
@@ -6,6 +6,10 @@ import dotenv from 'dotenv';
 
 dotenv.config({ path: '../../.env' });
 
+// VITE_MOCK_BACKEND=true swaps the generated backend declarations for the
+// in-memory canister in src/mock, so no replica or dfx generate is needed
+const useMockBackend = process.env.VITE_MOCK_BACKEND === 'true';
+
 export default defineConfig({
   build: {
     emptyOutDir: true,
@@ -32,6 +36,10 @@ export default defineConfig({
   ],
   resolve: {
     alias: [
+      ...(useMockBackend ? [{
+        find: "declarations/think_bench_backend",
+        replacement: fileURLToPath(new URL("./src/mock/declarations.js", import.meta.url)),
+      }] : []),
       {
         find: "declarations",
         replacement: fileURLToPath(